@@ -0,0 +1,648 @@
+#!/usr/bin/env node
+/**
+ * OmniGene CLI
+ * Command-line front end for the headless KEGG client
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import {
+  CONFIG,
+  DDI_LABELS,
+  EXPANSION_STRATEGIES,
+  KeggAPI,
+  KeggAbortError,
+  KeggCache,
+  collectCandidateDrugs,
+  exportCandidates,
+  exportFormatOf,
+  exportNetwork,
+  exportReport,
+  formatScoreBreakdown,
+  getDrugInteractionList,
+  isAbortError,
+  networkFormatOf,
+  reportFormatOf,
+  parseGeneList,
+  parseGmt,
+  parseScoringWeights
+} from '../index.js';
+
+const USAGE = `Usage: omnigene <command> [options]
+
+Commands:
+  candidates <gene>     Related genes and drug candidates for a gene (e.g. hsa:5747, 5747)
+  disease <disease>     Drug candidates for a disease, from its genes (e.g. H00031 or "breast cancer")
+  gene-list <file>      Drug candidates combined over a gene list - symbols or IDs, one per line or
+                        comma/space separated - or a GMT gene-set file (.gmt); - reads stdin
+  enrich <file>         KEGG pathways over-represented in a gene list or GMT gene set (hypergeometric
+                        test, Benjamini-Hochberg q-values); - reads stdin
+  gene-search <name>    Find genes by symbol or name (e.g. PTK2)
+  drug <code>           Show a KEGG drug entry (e.g. D00036)
+  repurpose <drug>      Diseases linked to a drug's targets and their pathway neighbours that the
+                        drug isn't indicated for (e.g. D00109 or aspirin)
+  ddi <drug>...         Contraindications (CI) and precautions (P) among drugs, given as
+                        D numbers or names (e.g. D00564 D00100, or aspirin warfarin)
+
+Options:
+  --depth <n>           Pathway hops to expand from the query gene (candidates, default ${CONFIG.EXPANSION_DEPTH})
+  --strategy <name>     Which pathways and genes to expand first: ${Object.keys(EXPANSION_STRATEGIES).join(', ')}
+                        (candidates, default ${CONFIG.EXPANSION_STRATEGY})
+  --max-pathways <n>    Pathways expanded per gene (default ${CONFIG.EXPANSION_MAX_PATHWAYS_PER_GENE})
+  --max-genes-per-pathway <n>
+                        Genes taken from each pathway (default ${CONFIG.EXPANSION_MAX_GENES_PER_PATHWAY})
+  --max-genes <n>       Related genes in total (default ${CONFIG.EXPANSION_MAX_TOTAL_GENES})
+  --max-disease-genes <n>
+                        Disease genes expanded (disease, default ${CONFIG.DISEASE_MAX_GENES})
+  --max-list-genes <n>  Genes searched from the list (gene-list, default ${CONFIG.GENE_LIST_MAX_GENES})
+  --gmt                 Read the gene-list file as GMT whatever its extension (gene-list, enrich)
+  --gene-set <name>     Gene set to search in a GMT file with more than one (gene-list, enrich)
+  --max-targets <n>     Drug targets expanded (repurpose, default ${CONFIG.DRUG_MAX_TARGETS})
+  --max-diseases <n>    Candidate diseases listed (repurpose, default ${CONFIG.DRUG_MAX_DISEASES})
+  --check-interactions  Check the candidates for drug-drug interactions (candidates)
+  --medications <list>  Comma-separated current medications to check against (candidates, ddi;
+                        implies --check-interactions)
+  --proximity           Network proximity of each drug's targets to the disease module, as a
+                        distance and z-score (candidates, disease, gene-list)
+  --scoring <file>      JSON file of repurposing score weights, e.g. {"sharedDisease": 0.4}
+                        (components: ${Object.keys(CONFIG.SCORING_WEIGHTS).join(', ')})
+  --format <json|tsv>   Output format (default json)
+  --export <file>       Also write the candidate table - drug, score, the gene it came through, relation,
+                        pathway, diseases - to a .csv, .tsv, .json or .xlsx file (candidates, disease, gene-list)
+  --export-network <file>
+                        Also write the gene network with its drugs and diseases for Cytoscape - .cyjs (or .json),
+                        .graphml or .sif (candidates)
+  --report <file>       Also write a standalone report - gene, pathways, related genes, ranked candidates,
+                        network figure, parameters and KEGG release - as .html or .md (candidates)
+  --organism <code>     Organism for bare gene IDs and name searches (default ${CONFIG.DEFAULT_ORGANISM})
+  --kegg-base <url>     KEGG REST endpoint (default ${CONFIG.KEGG_BASE_URL})
+  --timeout <ms>        Request timeout in milliseconds (default ${CONFIG.REQUEST_TIMEOUT})
+  --cache-dir <dir>     Response cache directory (default ${CONFIG.CACHE_DIR})
+  --no-cache            Don't read or write the response cache
+  --verbose             Log requests to stderr
+  -h, --help            Show this help
+`;
+
+const OPTIONS = {
+  depth: { type: 'string' },
+  strategy: { type: 'string' },
+  'max-pathways': { type: 'string' },
+  'max-genes-per-pathway': { type: 'string' },
+  'max-genes': { type: 'string' },
+  'max-disease-genes': { type: 'string' },
+  'max-list-genes': { type: 'string' },
+  gmt: { type: 'boolean' },
+  'gene-set': { type: 'string' },
+  'max-targets': { type: 'string' },
+  'max-diseases': { type: 'string' },
+  'check-interactions': { type: 'boolean' },
+  medications: { type: 'string' },
+  proximity: { type: 'boolean' },
+  scoring: { type: 'string' },
+  format: { type: 'string' },
+  export: { type: 'string' },
+  'export-network': { type: 'string' },
+  report: { type: 'string' },
+  organism: { type: 'string' },
+  'kegg-base': { type: 'string' },
+  timeout: { type: 'string' },
+  'cache-dir': { type: 'string' },
+  'no-cache': { type: 'boolean' },
+  verbose: { type: 'boolean' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+// Thrown for bad arguments - exits with status 2 and the usage text
+class UsageError extends Error {}
+
+// Positive integer option value
+function parseCount(value, name, fallback) {
+  if (value === undefined) return fallback;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new UsageError(`--${name} must be a positive integer`);
+  }
+  return count;
+}
+
+// One TSV line - tabs and newlines inside values would break the columns
+function tsvRow(values) {
+  return values
+    .map(value => (value === undefined || value === null ? '' : String(value)).replace(/[\t\r\n]+/g, ' '))
+    .join('\t');
+}
+
+// Disease list as a single TSV cell
+function formatDiseases(diseases = []) {
+  return diseases.map(disease => `${disease.name} (${disease.code})`).join('; ');
+}
+
+// A drug's interactions as a single TSV cell, e.g. "CI Warfarin (dr:D00564); P Aspirin (dr:D00109)"
+function formatInteractions(interactions, drugCode) {
+  return getDrugInteractionList(interactions, drugCode)
+    .map(other => `${other.labels.join(',')} ${other.name} (${other.code})`)
+    .join('; ');
+}
+
+// A drug's network proximity as distance and z-score cells (empty without one)
+function proximityColumns(drug) {
+  const proximity = drug.proximity;
+  if (!proximity || proximity.distance === null) return ['', ''];
+  return [proximity.distance.toFixed(2), proximity.zScore === null ? '' : proximity.zScore.toFixed(2)];
+}
+
+// Where a record came from - KEGG URL, retrieval time and release cells (empty without provenance)
+const PROVENANCE_COLUMNS = ['source_url', 'retrieved_at', 'kegg_release'];
+
+function provenanceColumns(record) {
+  const provenance = record && record.provenance;
+  if (!provenance) return ['', '', ''];
+  return [provenance.url, provenance.retrievedAt, provenance.release];
+}
+
+// Flatten a getRelatedGenesAndDrugs result into one row per gene/drug pair.
+// With an interaction check, each drug also lists what it interacts with
+function candidatesToTsv(geneCode, result, interactions = null) {
+  const rows = [tsvRow([
+    'gene', 'gene_name', 'source', 'depth', 'pathway', 'drug', 'drug_name',
+    'target_class', 'mechanism', 'query_effect', 'repurposing_score', 'score_breakdown',
+    'proximity_distance', 'proximity_z', 'diseases', ...PROVENANCE_COLUMNS,
+    ...(interactions ? ['interactions'] : [])
+  ])];
+  const drugColumns = drug => [
+    drug.code, drug.name, drug.targetLabel, drug.mechanism, drug.queryEffect ? drug.queryEffect.label : '',
+    drug.repurposingScore, formatScoreBreakdown(drug.scoreBreakdown, drug.scoreTotal), ...proximityColumns(drug),
+    formatDiseases(drug.diseases), ...provenanceColumns(drug),
+    ...(interactions ? [formatInteractions(interactions, drug.code)] : [])
+  ];
+  
+  for (const drug of result.drugsWithInfo || []) {
+    rows.push(tsvRow([geneCode, result.geneName, 'query', 0, '', ...drugColumns(drug)]));
+  }
+  
+  for (const [relatedCode, gene] of Object.entries(result.relatedGenes || {})) {
+    for (const drug of gene.drugsWithInfo || []) {
+      rows.push(tsvRow([relatedCode, gene.geneName, gene.relation, gene.depth, gene.pathway, ...drugColumns(drug)]));
+    }
+  }
+  
+  return rows.join('\n');
+}
+
+function genesToTsv(genes) {
+  return [
+    tsvRow(['id', 'description', ...PROVENANCE_COLUMNS]),
+    ...genes.map(gene => tsvRow([gene.id, gene.description, ...provenanceColumns(gene)]))
+  ].join('\n');
+}
+
+function drugToTsv(drug) {
+  return [
+    tsvRow(['code', 'name', 'diseases', ...PROVENANCE_COLUMNS]),
+    tsvRow([drug.code, drug.name, formatDiseases(drug.diseases), ...provenanceColumns(drug)])
+  ].join('\n');
+}
+
+// One row per drug of a disease search: candidates first, in rank order, then those already indicated
+function diseaseCandidatesToTsv(result) {
+  const rows = [tsvRow([
+    'rank', 'status', 'drug', 'drug_name', 'target_class', 'mechanism', 'query_effect',
+    'disease_genes', 'repurposing_score', 'score_breakdown', 'proximity_distance', 'proximity_z', 'diseases',
+    ...PROVENANCE_COLUMNS
+  ])];
+  const drugRow = (drug, rank, status) => tsvRow([
+    rank, status, drug.code, drug.name, drug.targetLabel, drug.mechanism, drug.queryEffect ? drug.queryEffect.label : '',
+    drug.diseaseGenes.join(', '), drug.repurposingScore, formatScoreBreakdown(drug.scoreBreakdown, drug.scoreTotal),
+    ...proximityColumns(drug), formatDiseases(drug.diseases), ...provenanceColumns(drug)
+  ]);
+  
+  result.candidates.forEach((drug, index) => rows.push(drugRow(drug, index + 1, 'candidate')));
+  result.indicated.forEach(drug => rows.push(drugRow(drug, '', 'indicated')));
+  return rows.join('\n');
+}
+
+// One row per drug of a gene-list search, in rank order (most input genes hit first)
+function geneListCandidatesToTsv(result) {
+  return [
+    tsvRow([
+      'rank', 'drug', 'drug_name', 'hit_count', 'input_genes', 'best_score', 'best_gene', 'score_breakdown',
+      'proximity_distance', 'proximity_z', 'target_class', 'mechanism', 'diseases', ...PROVENANCE_COLUMNS
+    ]),
+    ...result.candidates.map((drug, index) => tsvRow([
+      index + 1, drug.code, drug.name, drug.hitCount, drug.inputGenes.join(', '), drug.bestScore, drug.bestGene,
+      formatScoreBreakdown(drug.scoreBreakdown, drug.scoreTotal), ...proximityColumns(drug),
+      drug.targetLabel, drug.mechanism, formatDiseases(drug.diseases), ...provenanceColumns(drug)
+    ]))
+  ].join('\n');
+}
+
+// One row per pathway tested in an enrichment, most significant first
+function enrichmentToTsv(result) {
+  return [
+    tsvRow([
+      'pathway', 'pathway_name', 'size', 'overlap', 'expected', 'fold_enrichment', 'p_value', 'q_value', 'genes',
+      ...PROVENANCE_COLUMNS
+    ]),
+    ...result.pathways.map(pathway => tsvRow([
+      pathway.id, pathway.name, pathway.size, pathway.overlap, pathway.expected.toFixed(2),
+      pathway.foldEnrichment.toFixed(2), pathway.pValue.toExponential(3), pathway.qValue.toExponential(3),
+      pathway.genes.join(', '), ...provenanceColumns(pathway)
+    ]))
+  ].join('\n');
+}
+
+// Genes of a gene-list file, or of one set in a GMT file
+async function readGeneList(path, values) {
+  let text;
+  try {
+    text = path === '-' ? await readStream(process.stdin) : await readFile(path, 'utf8');
+  } catch (error) {
+    throw new UsageError(`Can't read ${path}: ${error.message}`);
+  }
+  
+  if (!values.gmt && !/\.gmt$/i.test(path)) {
+    if (values['gene-set'] !== undefined) throw new UsageError('--gene-set needs a GMT file');
+    return { genes: parseGeneList(text) };
+  }
+  
+  const sets = parseGmt(text);
+  if (sets.length === 0) throw new UsageError(`No gene sets found in ${path}`);
+  const name = values['gene-set'];
+  const set = name === undefined && sets.length === 1 ? sets[0] : sets.find(candidate => candidate.name === name);
+  if (!set) {
+    const names = sets.map(candidate => candidate.name).join(', ');
+    throw new UsageError(name === undefined
+      ? `${path} has ${sets.length} gene sets - choose one with --gene-set (${names})`
+      : `No gene set "${name}" in ${path} (found ${names})`);
+  }
+  return { genes: set.genes, geneSet: set.name };
+}
+
+// Score weights from a --scoring JSON file; undefined keeps the CONFIG defaults
+async function readScoring(path) {
+  if (path === undefined) return undefined;
+  
+  let text;
+  try {
+    text = await readFile(path, 'utf8');
+  } catch (error) {
+    throw new UsageError(`Can't read ${path}: ${error.message}`);
+  }
+  try {
+    return parseScoringWeights(text);
+  } catch (error) {
+    throw new UsageError(`${path}: ${error.message}`);
+  }
+}
+
+// Commands whose candidate table --export writes
+const EXPORT_COMMANDS = ['candidates', 'disease', 'gene-list'];
+
+// Write the candidate table of a search to an --export file, in the format its extension names,
+// with interactions (--check-interactions) as a ddi column. Returns the notice to print, or null without --export
+async function writeExport(path, search, geneCode = null, interactions = null) {
+  if (path === undefined) return null;
+  const exported = exportCandidates(search, exportFormatOf(path), { geneCode, interactions });
+  await writeFile(path, exported.content);
+  return `Wrote ${exported.rowCount} candidate rows to ${path}`;
+}
+
+// Write the gene network of a candidates search to an --export-network file
+async function writeNetworkExport(path, result, geneCode) {
+  if (path === undefined) return null;
+  const exported = exportNetwork(result, geneCode, networkFormatOf(path));
+  await writeFile(path, exported.content);
+  return `Wrote a network of ${exported.nodeCount} nodes and ${exported.edgeCount} edges to ${path}`;
+}
+
+// Write the report of a candidates search to a --report file, with the settings the API ran with
+async function writeReport(path, result, geneCode, api) {
+  if (path === undefined) return null;
+  const report = exportReport(result, geneCode, reportFormatOf(path), {
+    scoring: api.scoring,
+    proximity: api.proximity,
+    keggBase: api.baseUrl
+  });
+  await writeFile(path, report.content);
+  return `Wrote the report to ${path}`;
+}
+
+// Whole of a readable stream as text
+async function readStream(stream) {
+  let text = '';
+  stream.setEncoding('utf8');
+  for await (const chunk of stream) text += chunk;
+  return text;
+}
+
+// One row per candidate disease of a drug-first search, best supported first
+function repurposingToTsv(result) {
+  return [
+    tsvRow(['rank', 'disease', 'disease_name', 'target_genes', 'interacting_genes', 'pathway_genes', ...PROVENANCE_COLUMNS]),
+    ...result.diseases.map((disease, index) => tsvRow([
+      index + 1, disease.code, disease.name, disease.targetGenes.join(', '), disease.interactingGenes.join(', '),
+      disease.pathwayGenes.length, ...provenanceColumns(disease)
+    ]))
+  ].join('\n');
+}
+
+// One row per interacting pair of a checkDrugInteractions result
+function interactionsToTsv(interactions) {
+  const names = new Map(interactions.drugs.map(drug => [drug.code, drug.name]));
+  return [
+    tsvRow(['drug1', 'drug1_name', 'drug2', 'drug2_name', 'labels', 'description', 'mechanism', ...PROVENANCE_COLUMNS]),
+    ...interactions.pairs.map(pair => tsvRow([
+      pair.drug1, names.get(pair.drug1), pair.drug2, names.get(pair.drug2), pair.labels.join(','),
+      pair.labels.map(label => DDI_LABELS[label] || label).join(', '), pair.mechanism, ...provenanceColumns(pair)
+    ]))
+  ].join('\n');
+}
+
+// Comma-separated --medications list
+function parseMedications(value) {
+  return (value || '').split(',').map(name => name.trim()).filter(Boolean);
+}
+
+// One-line note on medications the interaction check couldn't find in KEGG DRUG, or null
+function describeUnresolved(interactions) {
+  if (!interactions || !interactions.unresolved || interactions.unresolved.length === 0) return null;
+  return `Not found in KEGG DRUG: ${interactions.unresolved.join(', ')}`;
+}
+
+// One-line note on what the expansion budgets left out, or null if nothing was
+function describeTruncation(expansion) {
+  if (!expansion || !expansion.truncated) return null;
+  
+  const parts = [];
+  if (expansion.pathwaysSkipped > 0) parts.push(`${expansion.pathwaysSkipped} pathways`);
+  if (expansion.genesSkipped > 0) parts.push(`${expansion.genesSkipped} genes`);
+  const budget = expansion.budgetExhausted ? `, total gene budget of ${expansion.maxTotalGenes} reached` : '';
+  return `Expansion truncated: ${parts.join(' and ')} not expanded (strategy ${expansion.strategy}${budget})`;
+}
+
+// Expansion settings from the command line; unset ones keep the CONFIG defaults
+function parseExpansion(values) {
+  if (values.strategy !== undefined && !EXPANSION_STRATEGIES[values.strategy]) {
+    throw new UsageError(`Unknown strategy "${values.strategy}" (expected one of ${Object.keys(EXPANSION_STRATEGIES).join(', ')})`);
+  }
+  
+  return {
+    depth: parseCount(values.depth, 'depth'),
+    maxPathwaysPerGene: parseCount(values['max-pathways'], 'max-pathways'),
+    maxGenesPerPathway: parseCount(values['max-genes-per-pathway'], 'max-genes-per-pathway'),
+    maxTotalGenes: parseCount(values['max-genes'], 'max-genes'),
+    strategy: values.strategy
+  };
+}
+
+function createApi(values, scoring) {
+  const timeout = values.timeout === undefined ? undefined : parseCount(values.timeout, 'timeout');
+  
+  return new KeggAPI({
+    baseUrl: values['kegg-base'],
+    organism: values.organism,
+    scoring,
+    proximity: values.proximity || undefined,
+    retry: timeout ? { timeout } : undefined,
+    cache: new KeggCache({
+      enabled: CONFIG.CACHE_ENABLED && !values['no-cache'],
+      ttl: CONFIG.CACHE_TTL,
+      maxEntries: CONFIG.CACHE_MAX_ENTRIES,
+      maxBytes: CONFIG.CACHE_MAX_BYTES,
+      directory: values['cache-dir'] || CONFIG.CACHE_DIR
+    })
+  });
+}
+
+// Run one command; resolves to { output, error, notice } for main() to print
+async function runCommand(command, args, values, { signal } = {}) {
+  const format = values.format || 'json';
+  if (format !== 'json' && format !== 'tsv') {
+    throw new UsageError(`Unknown format "${format}" (expected json or tsv)`);
+  }
+  if (values.export !== undefined) {
+    if (!EXPORT_COMMANDS.includes(command)) throw new UsageError(`--export works with ${EXPORT_COMMANDS.join(', ')}`);
+    if (!exportFormatOf(values.export)) throw new UsageError(`--export needs a .csv, .tsv, .json or .xlsx file (got ${values.export})`);
+  }
+  if (values['export-network'] !== undefined) {
+    if (command !== 'candidates') throw new UsageError('--export-network works with candidates');
+    if (!networkFormatOf(values['export-network'])) {
+      throw new UsageError(`--export-network needs a .cyjs, .json, .graphml or .sif file (got ${values['export-network']})`);
+    }
+  }
+  if (values.report !== undefined) {
+    if (command !== 'candidates') throw new UsageError('--report works with candidates');
+    if (!reportFormatOf(values.report)) throw new UsageError(`--report needs a .html or .md file (got ${values.report})`);
+  }
+  if (command === 'ddi' ? args.length === 0 : args.length !== 1) {
+    throw new UsageError(command === 'ddi' ? 'ddi expects at least one drug' : `${command} expects exactly one argument`);
+  }
+  
+  const api = createApi(values, await readScoring(values.scoring));
+  const [query] = args;
+  const medications = parseMedications(values.medications);
+  
+  switch (command) {
+    case 'candidates': {
+      const geneCode = api.formatGeneCode(query);
+      const result = await api.getRelatedGenesAndDrugs(geneCode, { signal, expansion: parseExpansion(values) });
+      if (result.cancelled) throw new KeggAbortError();
+      if (result.error) return { error: `${result.error}: ${result.message}` };
+      
+      let interactions = null;
+      if (values['check-interactions'] || medications.length > 0) {
+        interactions = await api.checkDrugInteractions(collectCandidateDrugs(result), medications, { signal });
+        if (interactions.cancelled) throw new KeggAbortError();
+        if (interactions.error) return { error: `${interactions.error}: ${interactions.message}` };
+      }
+      
+      const notices = [
+        describeTruncation(result.expansion),
+        describeUnresolved(interactions),
+        await writeExport(values.export, result, geneCode, interactions),
+        await writeNetworkExport(values['export-network'], result, geneCode),
+        await writeReport(values.report, result, geneCode, api)
+      ].filter(Boolean);
+      return {
+        output: format === 'tsv' ? candidatesToTsv(geneCode, result, interactions) : { ...result, ...(interactions ? { interactions } : {}) },
+        notice: notices.length > 0 ? notices.join('\n') : null
+      };
+    }
+    
+    case 'disease': {
+      const result = await api.getDiseaseCandidates(query, {
+        signal,
+        expansion: parseExpansion(values),
+        maxGenes: parseCount(values['max-disease-genes'], 'max-disease-genes', CONFIG.DISEASE_MAX_GENES)
+      });
+      if (result.cancelled) throw new KeggAbortError();
+      if (result.error) return { error: `${result.error}: ${result.message}` };
+      
+      const notices = [];
+      if (result.matches && result.matches.length > 1) {
+        notices.push(`${result.matches.length} diseases match "${query}" - using ${result.disease.code} (${result.disease.name})`);
+      }
+      if (result.genesSkipped > 0) {
+        notices.push(`${result.genesSkipped} of the disease's genes not expanded (--max-disease-genes ${result.genes.length})`);
+      }
+      notices.push(await writeExport(values.export, result));
+      return {
+        output: format === 'tsv' ? diseaseCandidatesToTsv(result) : result,
+        notice: notices.filter(Boolean).join('\n') || null
+      };
+    }
+    
+    case 'gene-list': {
+      const { genes, geneSet } = await readGeneList(query, values);
+      const result = await api.getGeneListCandidates(genes, {
+        signal,
+        expansion: parseExpansion(values),
+        maxGenes: parseCount(values['max-list-genes'], 'max-list-genes', CONFIG.GENE_LIST_MAX_GENES)
+      });
+      if (result.cancelled) throw new KeggAbortError();
+      if (result.error) return { error: `${result.error}: ${result.message}` };
+      
+      const notices = [];
+      const failed = result.genes.filter(gene => gene.error);
+      const ambiguous = result.genes.filter(gene => gene.ambiguous);
+      if (failed.length > 0) notices.push(`No drug data for ${failed.length} genes: ${failed.map(gene => gene.input).join(', ')}`);
+      if (ambiguous.length > 0) {
+        notices.push(`Ambiguous symbols, first match used: ${ambiguous.map(gene => `${gene.input} -> ${gene.code}`).join(', ')}`);
+      }
+      if (result.genesSkipped > 0) notices.push(`${result.genesSkipped} genes of the list not searched (--max-list-genes)`);
+      notices.push(await writeExport(values.export, result));
+      return {
+        output: format === 'tsv' ? geneListCandidatesToTsv(result) : { ...(geneSet ? { geneSet } : {}), ...result },
+        notice: notices.filter(Boolean).join('\n') || null
+      };
+    }
+    
+    case 'enrich': {
+      const { genes, geneSet } = await readGeneList(query, values);
+      const result = await api.getPathwayEnrichment(genes, { signal });
+      if (result.cancelled) throw new KeggAbortError();
+      if (result.error) return { error: `${result.error}: ${result.message}` };
+      
+      const unresolved = result.genes.filter(gene => gene.error);
+      const notices = [`${result.mappedCount} of ${result.genes.length} genes in KEGG pathways (background ${result.backgroundSize} genes)`];
+      if (unresolved.length > 0) notices.push(`Not found: ${unresolved.map(gene => gene.input).join(', ')}`);
+      return {
+        output: format === 'tsv' ? enrichmentToTsv(result) : { ...(geneSet ? { geneSet } : {}), ...result },
+        notice: notices.join('\n')
+      };
+    }
+    
+    case 'repurpose': {
+      const result = await api.getDrugRepurposing(query, {
+        signal,
+        maxTargets: parseCount(values['max-targets'], 'max-targets', CONFIG.DRUG_MAX_TARGETS),
+        maxPathways: parseCount(values['max-pathways'], 'max-pathways', CONFIG.EXPANSION_MAX_PATHWAYS_PER_GENE),
+        maxDiseases: parseCount(values['max-diseases'], 'max-diseases', CONFIG.DRUG_MAX_DISEASES)
+      });
+      if (result.cancelled) throw new KeggAbortError();
+      if (result.error) return { error: `${result.error}: ${result.message}` };
+      
+      const notices = [];
+      if (result.targetsSkipped > 0) notices.push(`${result.targetsSkipped} drug targets not expanded (--max-targets)`);
+      if (result.diseasesSkipped > 0) notices.push(`${result.diseasesSkipped} more candidate diseases not listed (--max-diseases)`);
+      return {
+        output: format === 'tsv' ? repurposingToTsv(result) : result,
+        notice: notices.length > 0 ? notices.join('\n') : null
+      };
+    }
+    
+    case 'ddi': {
+      // The drugs named on the command line resolve the same way as medications
+      const drugs = [];
+      const unresolved = [];
+      for (const arg of args) {
+        const drug = await api.resolveDrug(arg, { signal });
+        if (drug) {
+          drugs.push(drug);
+        } else {
+          unresolved.push(arg);
+        }
+      }
+      if (drugs.length === 0) return { error: `No KEGG drugs found for ${args.join(', ')}` };
+      
+      const interactions = await api.checkDrugInteractions(drugs, medications, { signal });
+      if (interactions.cancelled) throw new KeggAbortError();
+      if (interactions.error) return { error: `${interactions.error}: ${interactions.message}` };
+      interactions.unresolved.unshift(...unresolved);
+      
+      return {
+        output: format === 'tsv' ? interactionsToTsv(interactions) : interactions,
+        notice: describeUnresolved(interactions)
+      };
+    }
+    
+    case 'gene-search': {
+      // The searches fetch the release themselves; these lookups only need it for their provenance
+      await api.getKeggRelease({ signal });
+      const genes = await api.suggestGenes(query, { signal, limit: null });
+      if (genes.length === 0) return { error: `No genes found with name ${query}` };
+      return { output: format === 'tsv' ? genesToTsv(genes) : genes };
+    }
+    
+    case 'drug': {
+      await api.getKeggRelease({ signal });
+      const drug = await api.getDrug(query, { signal });
+      if (!drug) return { error: `No KEGG drug found for ${query}` };
+      return { output: format === 'tsv' ? drugToTsv(drug) : drug };
+    }
+    
+    default:
+      throw new UsageError(`Unknown command "${command}"`);
+  }
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  
+  const { values, positionals } = parsed;
+  if (values.help || positionals.length === 0) {
+    (values.help ? process.stdout : process.stderr).write(USAGE);
+    return values.help ? 0 : 2;
+  }
+  
+  // Keep stdout for results; debug output only on request, and on stderr
+  CONFIG.DEBUG_MODE = Boolean(values.verbose);
+  CONFIG.DEBUG_LOGGER = (...args) => console.error(...args);
+  
+  // Ctrl+C cancels outstanding requests instead of leaving them to time out
+  const controller = new AbortController();
+  process.once('SIGINT', () => controller.abort());
+  
+  const [command, ...args] = positionals;
+  try {
+    const { output, error, notice } = await runCommand(command, args, values, { signal: controller.signal });
+    if (notice) process.stderr.write(`${notice}\n`);
+    if (error) {
+      process.stderr.write(`${error}\n`);
+      return 1;
+    }
+    process.stdout.write(typeof output === 'string' ? `${output}\n` : `${JSON.stringify(output, null, 2)}\n`);
+    return 0;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      process.stderr.write(`${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+    if (isAbortError(error)) {
+      process.stderr.write('Cancelled\n');
+      return 130;
+    }
+    process.stderr.write(`${error.message}\n`);
+    return 1;
+  }
+}
+
+main(process.argv.slice(2)).then(code => {
+  process.exitCode = code;
+});
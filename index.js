@@ -0,0 +1,126 @@
+/**
+ * OmniGene
+ * Headless entry point - the KEGG client, cache, parser and errors, without any UI
+ */
+
+export { CONFIG, debug } from './kegg-config.js';
+export { KeggAPI, getOrganismCode } from './kegg-api.js';
+export { EXPANSION_STRATEGIES, resolveExpansionOptions } from './kegg-expansion.js';
+export { RELATION_EFFECTS, parseKgml, getEntryGenes, describeRelation, getGeneRelations } from './kegg-kgml.js';
+export {
+  MECHANISM_SIGNS,
+  TARGET_CLASSES,
+  getMechanismSign,
+  getDrugTargets,
+  classifyDrug,
+  annotateDrugTargets
+} from './kegg-targets.js';
+export {
+  DDI_LABELS,
+  formatDrugCode,
+  collectCandidateDrugs,
+  parseDdiResponse,
+  buildInteractionMatrix,
+  getDrugInteractionList
+} from './kegg-ddi.js';
+export {
+  TARGET_CLASS_ORDER,
+  targetClassRank,
+  formatDiseaseCode,
+  isDiseaseCode,
+  isIndicatedFor,
+  rankDiseaseCandidates
+} from './kegg-disease.js';
+export { rankNeighbourhoodDiseases } from './kegg-repurposing.js';
+export {
+  parseGeneFindLine,
+  parseGeneFindResponse,
+  geneMatchRank,
+  rankGeneMatches,
+  isAmbiguousGeneQuery
+} from './kegg-gene-search.js';
+export { isGeneId, parseGeneList, parseGmt, aggregateGeneListCandidates } from './kegg-gene-list.js';
+export {
+  hypergeometricPValue,
+  benjaminiHochberg,
+  parsePathwayLinks,
+  parsePathwayList,
+  enrichPathways
+} from './kegg-enrichment.js';
+export {
+  SCORE_COMPONENTS,
+  resolveScoringWeights,
+  parseScoringWeights,
+  scoreDrug,
+  scoreGeneResult,
+  formatScoreComponent,
+  formatScoreBreakdown
+} from './kegg-scoring.js';
+export {
+  buildRelationGraph,
+  shortestPathLengths,
+  closestDistance,
+  degreeBins,
+  networkProximity,
+  createProximityCalculator,
+  closerProximity
+} from './kegg-proximity.js';
+export { parseKeggRelease, createProvenance, formatProvenance } from './kegg-provenance.js';
+export {
+  EXPORT_FORMATS,
+  CANDIDATE_COLUMNS,
+  candidateRows,
+  formatTable,
+  exportFormatOf,
+  exportCandidates
+} from './kegg-export.js';
+export { crc32, createZip, createXlsx } from './kegg-xlsx.js';
+export {
+  NETWORK_FORMATS,
+  buildNetwork,
+  formatNetwork,
+  parseNetwork,
+  networkFormatOf,
+  networkToResult,
+  exportNetwork
+} from './kegg-network.js';
+export {
+  REPORT_FORMATS,
+  networkFigureSvg,
+  buildReport,
+  reportToMarkdown,
+  reportToHtml,
+  exportReport,
+  reportFormatOf
+} from './kegg-report.js';
+export { LAYOUTS, circleLayout, forceLayout, hierarchicalLayout, layoutNetwork, fitTransform } from './kegg-layout.js';
+export {
+  KeggCache,
+  MemoryCacheStore,
+  IndexedDbCacheStore,
+  FileCacheStore,
+  createDefaultCacheStore,
+  getKeggOperation,
+  formatBytes
+} from './kegg-cache.js';
+export {
+  splitKeggRecords,
+  parseKeggRecord,
+  parseKeggEntry,
+  parseKeggEntries,
+  getSectionLines,
+  getSectionText,
+  parseBracketLinks,
+  stripBracketLinks,
+  getLinkedIds,
+  plainDrugName
+} from './kegg-flat-file.js';
+export {
+  KeggError,
+  KeggNotFoundError,
+  KeggRateLimitError,
+  KeggNetworkError,
+  KeggTimeoutError,
+  KeggAbortError,
+  isAbortError
+} from './kegg-errors.js';
@@ -0,0 +1,1975 @@
+/**
+ * KEGG API
+ * Headless data and scoring layer - no DOM access, runs in the browser and under Node 18+
+ */
+
+import { CONFIG, debug } from './kegg-config.js';
+import { KeggCache } from './kegg-cache.js';
+import {
+  splitKeggRecords,
+  parseKeggRecord,
+  parseKeggEntry,
+  getSectionText,
+  plainDrugName
+} from './kegg-flat-file.js';
+import {
+  KeggError,
+  KeggNotFoundError,
+  KeggNetworkError,
+  KeggTimeoutError,
+  KeggAbortError,
+  createResponseError,
+  isAbortError,
+  throwIfAborted,
+  delay,
+  allSignals
+} from './kegg-errors.js';
+import { EXPANSION_STRATEGIES, resolveExpansionOptions } from './kegg-expansion.js';
+import { parseKgml, getGeneRelations } from './kegg-kgml.js';
+import { getDrugTargets, annotateDrugTargets } from './kegg-targets.js';
+import { formatDrugCode, parseDdiResponse, buildInteractionMatrix } from './kegg-ddi.js';
+import { formatDiseaseCode, isDiseaseCode, rankDiseaseCandidates } from './kegg-disease.js';
+import { rankNeighbourhoodDiseases } from './kegg-repurposing.js';
+import { parseGeneFindResponse, rankGeneMatches, isAmbiguousGeneQuery } from './kegg-gene-search.js';
+import { isGeneId, aggregateGeneListCandidates } from './kegg-gene-list.js';
+import { parsePathwayLinks, parsePathwayList, enrichPathways } from './kegg-enrichment.js';
+import { resolveScoringWeights, scoreGeneResult } from './kegg-scoring.js';
+import { buildRelationGraph, createProximityCalculator } from './kegg-proximity.js';
+import { parseKeggRelease, createProvenance } from './kegg-provenance.js';
+
+// Organism code of a gene or pathway ID (mmu:14083 -> mmu, path:rno04510 -> rno)
+function getOrganismCode(keggId) {
+  const id = String(keggId).replace(/^path:/, '');
+  const match = id.match(/^([a-z]{3,4}):/) || id.match(/^([a-z]{3,4})\d{5}$/);
+  return match ? match[1] : null;
+}
+
+// Main KEGG API class
+class KeggAPI {
+  constructor(options = {}) {
+    // For tracking pending requests
+    this.pendingRequests = new Map();
+    
+    // KEGG REST endpoint - point it at a mirror or a local mock server if needed
+    this.baseUrl = (options.baseUrl || CONFIG.KEGG_BASE_URL).replace(/\/+$/, '');
+    
+    // Organism used for bare gene IDs and name lookups
+    this.organism = options.organism || CONFIG.DEFAULT_ORGANISM;
+    
+    // Network expansion settings; unset ones fall back to CONFIG (see kegg-expansion.js)
+    this.expansion = { ...(options.expansion || {}) };
+    
+    // Repurposing score weights; unset components fall back to CONFIG (see kegg-scoring.js)
+    this.scoring = resolveScoringWeights(options.scoring);
+    
+    // Whether drugs get a network proximity to the disease module (see addNetworkProximity)
+    this.proximity = options.proximity ?? CONFIG.PROXIMITY_ENABLED;
+    
+    // Timeout and retry behaviour, overridable per instance
+    this.retryPolicy = {
+      timeout: CONFIG.REQUEST_TIMEOUT,
+      attempts: CONFIG.RETRY_ATTEMPTS,
+      baseDelay: CONFIG.RETRY_BASE_DELAY,
+      maxDelay: CONFIG.RETRY_MAX_DELAY,
+      jitter: CONFIG.RETRY_JITTER,
+      retryStatuses: CONFIG.RETRY_STATUSES,
+      ...(options.retry || {})
+    };
+    
+    // Entries waiting to be sent as one batched get, and entries in flight
+    this.entryQueue = [];
+    this.entryFlushTimer = null;
+    this.pendingEntries = new Map();
+    
+    // When each URL's response was retrieved from KEGG, and the KEGG release (see provenance)
+    this.retrievals = new Map();
+    this.release = null;
+    
+    // Persistent response cache
+    this.cache = options.cache || new KeggCache({
+      enabled: CONFIG.CACHE_ENABLED,
+      ttl: CONFIG.CACHE_TTL,
+      maxEntries: CONFIG.CACHE_MAX_ENTRIES,
+      maxBytes: CONFIG.CACHE_MAX_BYTES,
+      directory: CONFIG.CACHE_DIR
+    });
+    
+    // Metrics tracking
+    this.metrics = {
+      requestCount: 0,
+      successCount: 0,
+      failureCount: 0,
+      totalTime: 0,
+      cacheHits: 0
+    };
+    
+    debug("KeggAPI initialized");
+  }
+  
+  // Score every drug of a getRelatedGenesAndDrugs result with this instance's weights, in place.
+  // Each drug gets repurposingScore and scoreBreakdown - the components behind it
+  scoreDrugs(result) {
+    return scoreGeneResult(result, this.scoring);
+  }
+  
+  // The KEGG release from the info endpoint - { release, date, retrievedAt }, kept once known.
+  // null when KEGG can't say (the next search asks again)
+  async getKeggRelease({ signal } = {}) {
+    if (this.release) return this.release;
+    
+    const url = `${this.baseUrl}/info/kegg`;
+    try {
+      const release = parseKeggRelease(await this.fetchData(url, { signal }));
+      if (release) {
+        this.release = { ...release, retrievedAt: new Date(this.retrievals.get(url) ?? Date.now()).toISOString() };
+      }
+      return this.release;
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      debug(`KEGG release unavailable: ${error.message}`);
+      return null;
+    }
+  }
+  
+  // Provenance of a record read from the response of a URL (see kegg-provenance.js)
+  provenance(url) {
+    return createProvenance(url, this.retrievals.get(url) ?? null, this.release ? this.release.release : null);
+  }
+  
+  // Remember when a URL's response was retrieved from KEGG
+  _noteRetrieval(url, time = null) {
+    this.retrievals.set(url, time ?? Date.now());
+  }
+  
+  // Add the organism prefix to bare gene IDs (5747 -> hsa:5747)
+  formatGeneCode(geneCode, organism = this.organism) {
+    return geneCode.includes(':') ? geneCode : `${organism}:${geneCode}`;
+  }
+  
+  // Second column of a tab-separated link response (e.g. "hsa:5747\tko:K05725" -> "ko:K05725")
+  _parseLinkResponse(response) {
+    if (!response || response.trim() === '') return [];
+    return response.trim().split('\n')
+      .map(line => {
+        const parts = line.split('\t');
+        return parts.length >= 2 ? parts[1].trim() : null;
+      })
+      .filter(Boolean);
+  }
+  
+  // Outcome of a failed search, typed so the UI can tell a missing gene from KEGG being down
+  _errorResult(error) {
+    if (!(error instanceof KeggError)) {
+      return { error: "Processing Error", message: error.message };
+    }
+    
+    const titles = {
+      'not-found': "Not Found",
+      'rate-limited': "Rate Limited",
+      network: "KEGG Unavailable",
+      timeout: "KEGG Unavailable",
+      http: "KEGG Error"
+    };
+    return { error: titles[error.kind] || "KEGG Error", errorKind: error.kind, message: error.message };
+  }
+  
+  // Outcome of a search that was cancelled through its AbortSignal
+  _cancelledResult() {
+    return { cancelled: true, error: "Cancelled", message: "Search cancelled" };
+  }
+  
+  // Clean text helper
+  cleanText(text, prefix = "") {
+    if (!text) return "";
+    return text.replace(prefix, "").trim();
+  }
+  
+  // Fetch data with better error handling
+  async fetchData(url, { signal } = {}) {
+    throwIfAborted(signal);
+    debug(`Fetching: ${url}`);
+    
+    // Join a pending request for the same URL, or start a new one
+    let pending = this.pendingRequests.get(url);
+    if (!pending) {
+      pending = this._createSharedRequest(
+        requestSignal => this._fetchThroughCache(url, { signal: requestSignal }),
+        done => {
+          if (this.pendingRequests.get(url) === done) this.pendingRequests.delete(url);
+        }
+      );
+      this.pendingRequests.set(url, pending);
+    }
+    
+    return this._joinSharedRequest(pending, signal);
+  }
+  
+  // Start a request that several callers can wait on. It runs under its own
+  // AbortController, which is only aborted once every caller has been cancelled
+  _createSharedRequest(start, release) {
+    const controller = new AbortController();
+    const pending = { waiting: 0 };
+    
+    pending.cancel = () => {
+      release(pending);
+      controller.abort();
+    };
+    pending.promise = start(controller.signal).finally(() => release(pending));
+    
+    return pending;
+  }
+  
+  // Wait on a shared request, giving up (and rejecting with KeggAbortError) when signal aborts
+  _joinSharedRequest(pending, signal) {
+    pending.waiting++;
+    
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      
+      const settle = () => {
+        settled = true;
+        pending.waiting--;
+        if (signal) signal.removeEventListener('abort', onAbort);
+      };
+      
+      const onAbort = () => {
+        if (settled) return;
+        settle();
+        if (pending.waiting === 0) pending.cancel();
+        reject(new KeggAbortError());
+      };
+      
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      
+      pending.promise.then(
+        value => {
+          if (settled) return;
+          settle();
+          resolve(value);
+        },
+        error => {
+          if (settled) return;
+          settle();
+          reject(error);
+        }
+      );
+    });
+  }
+  
+  // Serve from the cache when possible, otherwise fetch and store
+  async _fetchThroughCache(url, { signal } = {}) {
+    const cached = await this.cache.get(url);
+    if (cached !== null) {
+      this.metrics.cacheHits++;
+      this._noteRetrieval(url, this.cache.storedAt(url));
+      return cached;
+    }
+    
+    const data = await this._fetchWithRetry(url, { signal });
+    this._noteRetrieval(url);
+    
+    // Batched gets are cached per entry by getEntries instead
+    if (!this._isBatchedGetUrl(url)) {
+      await this.cache.set(url, data);
+    }
+    return data;
+  }
+  
+  // URL of a single DBGET entry
+  _entryUrl(entryId) {
+    return `${this.baseUrl}/get/${entryId}`;
+  }
+  
+  _isBatchedGetUrl(url) {
+    return /\/get\/[^/]*\+/.test(url);
+  }
+  
+  // Fetch one entry, batched with other entries requested within CONFIG.BATCH_DELAY
+  fetchEntry(entryId, { signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal && signal.aborted) {
+        reject(new KeggAbortError());
+        return;
+      }
+      
+      const onAbort = () => {
+        // Drop it if it's still queued, so it never reaches KEGG
+        const index = this.entryQueue.indexOf(item);
+        if (index !== -1) this.entryQueue.splice(index, 1);
+        reject(new KeggAbortError());
+      };
+      // Settling stops listening, so a long-lived signal doesn't collect a listener per entry
+      const settle = callback => value => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        callback(value);
+      };
+      const item = { entryId, signal, resolve: settle(resolve), reject: settle(reject) };
+      this.entryQueue.push(item);
+      
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+      
+      if (!this.entryFlushTimer) {
+        this.entryFlushTimer = setTimeout(() => this._flushEntryQueue(), CONFIG.BATCH_DELAY);
+      }
+    });
+  }
+  
+  // Send everything queued by fetchEntry as batched gets
+  async _flushEntryQueue() {
+    const queue = this.entryQueue;
+    this.entryQueue = [];
+    this.entryFlushTimer = null;
+    
+    if (queue.length === 0) return;
+    
+    try {
+      // The batch is only cancelled if every caller in it is
+      const entries = await this.getEntries(queue.map(item => item.entryId), {
+        signal: allSignals(queue.map(item => item.signal))
+      });
+      for (const item of queue) {
+        item.resolve(entries.get(item.entryId) || null);
+      }
+    } catch (error) {
+      for (const item of queue) {
+        item.reject(error);
+      }
+    }
+  }
+  
+  // Fetch several entries with as few requests as possible
+  // Returns a Map of entry ID -> flat-file record; entries KEGG doesn't know are left out, other failures throw
+  async getEntries(entryIds, { signal } = {}) {
+    throwIfAborted(signal);
+    
+    const entries = new Map();
+    const uniqueIds = [...new Set(entryIds.filter(Boolean))];
+    const toFetch = [];
+    
+    // Batches this call waits on, including ones other callers already started. Each is joined as
+    // soon as it's seen - otherwise its other callers could all abort (and cancel it) while we're
+    // still reading the cache
+    const joined = new Map();
+    const join = batch => {
+      if (joined.has(batch)) return;
+      const promise = this._joinSharedRequest(batch, signal);
+      // Awaited below; until then a failure mustn't count as unhandled
+      promise.catch(() => {});
+      joined.set(batch, promise);
+    };
+    
+    for (const entryId of uniqueIds) {
+      if (this.pendingEntries.has(entryId)) {
+        join(this.pendingEntries.get(entryId));
+        continue;
+      }
+      
+      const cached = await this.cache.get(this._entryUrl(entryId));
+      if (cached !== null) {
+        this.metrics.cacheHits++;
+        this._noteRetrieval(this._entryUrl(entryId), this.cache.storedAt(this._entryUrl(entryId)));
+        entries.set(entryId, cached);
+      } else {
+        toFetch.push(entryId);
+      }
+    }
+    
+    // Split into batches of CONFIG.BATCH_SIZE and send them together
+    let requestCount = 0;
+    for (let i = 0; i < toFetch.length; i += CONFIG.BATCH_SIZE) {
+      const batchIds = toFetch.slice(i, i + CONFIG.BATCH_SIZE);
+      const batch = this._createSharedRequest(
+        batchSignal => this._fetchEntryBatch(batchIds, { signal: batchSignal }),
+        done => {
+          for (const entryId of batchIds) {
+            if (this.pendingEntries.get(entryId) === done) this.pendingEntries.delete(entryId);
+          }
+        }
+      );
+      
+      for (const entryId of batchIds) {
+        this.pendingEntries.set(entryId, batch);
+      }
+      join(batch);
+      requestCount++;
+    }
+    
+    const batchRecords = await Promise.all(joined.values());
+    for (const records of batchRecords) {
+      for (const entryId of uniqueIds) {
+        if (records.has(entryId)) entries.set(entryId, records.get(entryId));
+      }
+    }
+    
+    debug(`Got ${entries.size} of ${uniqueIds.length} entries (${requestCount} batched requests)`);
+    return entries;
+  }
+  
+  // Fetch one batch and hand each record back under the ID it was requested with
+  async _fetchEntryBatch(batchIds, { signal } = {}) {
+    const records = new Map();
+    
+    let response;
+    try {
+      response = await this.fetchData(this._entryUrl(batchIds.join('+')), { signal });
+    } catch (error) {
+      // KEGG answers 404 when it knows none of the IDs - anything else (down, throttling) is a real failure
+      if (!(error instanceof KeggNotFoundError)) throw error;
+      debug(`No entries for ${batchIds.join(', ')}`);
+      return records;
+    }
+    
+    if (!response) return records;
+    
+    // KEGG silently drops unknown IDs, so match records back by their ENTRY name
+    const texts = splitKeggRecords(response);
+    const entryNames = new Map(texts.map(text => [
+      text,
+      getSectionText(parseKeggRecord(text), 'ENTRY').split(/\s+/)[0].toUpperCase()
+    ]));
+    
+    const unmatched = [];
+    const unclaimed = new Set(texts);
+    
+    for (const entryId of batchIds) {
+      const localId = entryId.split(':').pop().toUpperCase();
+      const text = texts.find(candidate => unclaimed.has(candidate) && entryNames.get(candidate) === localId);
+      
+      if (text) {
+        unclaimed.delete(text);
+        records.set(entryId, `${text}\n///\n`);
+      } else {
+        unmatched.push(entryId);
+      }
+    }
+    
+    // Fall back to response order when every ID got a record but ENTRY names don't match the IDs
+    if (unmatched.length > 0 && unmatched.length === unclaimed.size) {
+      const leftovers = [...unclaimed];
+      unmatched.forEach((entryId, i) => records.set(entryId, `${leftovers[i]}\n///\n`));
+    }
+    
+    for (const [entryId, record] of records) {
+      this._noteRetrieval(this._entryUrl(entryId));
+      await this.cache.set(this._entryUrl(entryId), record);
+    }
+    
+    return records;
+  }
+  
+  // Fetch with retries - exponential backoff with jitter, honouring Retry-After.
+  // Only failures that may go away are retried (network, timeout, throttling, listed statuses)
+  async _fetchWithRetry(url, { signal } = {}) {
+    const policy = this.retryPolicy;
+    
+    for (let attempt = 1; ; attempt++) {
+      // Start timing the request
+      const startTime = performance.now();
+      
+      try {
+        debug(`Fetch attempt ${attempt} for ${url}`);
+        const data = await this._fetchOnce(url, { signal });
+        debug(`Fetch successful for ${url} (${data.length} bytes)`);
+        this.metrics.successCount++;
+        this.metrics.totalTime += (performance.now() - startTime);
+        return data;
+      } catch (error) {
+        // Cancelled requests are not failures and are never retried
+        if (isAbortError(error)) {
+          debug(`Fetch cancelled for ${url}`);
+          throw error;
+        }
+        
+        debug(`Fetch attempt ${attempt} failed: ${error.message}`);
+        this.metrics.failureCount++;
+        
+        if (!error.retryable || attempt >= policy.attempts) {
+          throw error;
+        }
+        
+        // A server asking us to wait longer than we ever back off gets the error now, not a long sleep
+        if (error.retryAfter != null && error.retryAfter > policy.maxDelay) {
+          throw error;
+        }
+        
+        const wait = this._retryDelay(attempt, error);
+        debug(`Retrying ${url} in ${wait}ms`);
+        await delay(wait, signal);
+      }
+    }
+  }
+  
+  // Delay before the next attempt - the server's Retry-After wins over our own backoff (see
+  // _fetchWithRetry for one beyond maxDelay)
+  _retryDelay(attempt, error) {
+    if (error.retryAfter !== undefined && error.retryAfter !== null) {
+      return error.retryAfter;
+    }
+    
+    const { baseDelay, maxDelay, jitter } = this.retryPolicy;
+    const backoff = Math.min(baseDelay * 2 ** (attempt - 1), maxDelay);
+    // Jitter spreads the waits out but never past maxDelay
+    return Math.min(maxDelay, Math.round(backoff * (1 - jitter + Math.random() * 2 * jitter)));
+  }
+  
+  // A single attempt, given up after the policy's timeout
+  async _fetchOnce(url, { signal } = {}) {
+    const timeout = this.retryPolicy.timeout;
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    const onAbort = () => controller.abort();
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    
+    try {
+      // Direct API call - user has CORS extension installed
+      const response = await fetch(url, { 
+        method: 'GET',
+        headers: {
+          'Accept': 'text/plain'
+        },
+        signal: controller.signal
+      });
+      
+      if (!response.ok) {
+        throw createResponseError(url, response, this.retryPolicy.retryStatuses);
+      }
+      
+      return await response.text();
+    } catch (error) {
+      if (error instanceof KeggError) throw error;
+      if (signal && signal.aborted) throw new KeggAbortError();
+      if (controller.signal.aborted) throw new KeggTimeoutError(url, timeout);
+      throw new KeggNetworkError(url, error);
+    } finally {
+      clearTimeout(timer);
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+  
+  // Update metrics for tracking API request performance
+  _updateMetrics(result, startTime = null) {
+    this.metrics.requestCount++;
+    
+    if (result === 'success' && startTime) {
+      const elapsedTime = performance.now() - startTime;
+      this.metrics.successCount++;
+      this.metrics.totalTime += elapsedTime;
+      debug(`Request completed in ${elapsedTime.toFixed(2)}ms`);
+    } else if (result === 'error') {
+      this.metrics.failureCount++;
+    }
+  }
+  
+  // Get gene name from KEGG
+  async getGeneName(geneCode, { signal } = {}) {
+    try {
+      const formattedGeneCode = this.formatGeneCode(geneCode);
+      const url = `${this.baseUrl}/get/${formattedGeneCode}`;
+      const response = await this.fetchData(url, { signal });
+      
+      if (!response || response.includes('No such data')) {
+        return "Unknown";
+      }
+      
+      const entry = parseKeggEntry(response);
+      return entry.name || "Unknown";
+    } catch (error) {
+      // Only a missing entry means "Unknown" - other failures say nothing about the gene
+      if (!(error instanceof KeggNotFoundError)) throw error;
+      debug(`Error getting gene name: ${error.message}`);
+      return "Unknown";
+    }
+  }
+  
+  // Genes of one organism matching a symbol, alias or name, best match first (see kegg-gene-search.js):
+  // [{ id, symbol, aliases, name, description }]. limit: null returns every match
+  async suggestGenes(query, { organism = this.organism, limit = CONFIG.GENE_SUGGESTION_LIMIT, signal } = {}) {
+    const text = String(query).trim();
+    if (!text) return [];
+    
+    const url = `${this.baseUrl}/find/${organism}/${encodeURIComponent(text)}`;
+    let response;
+    try {
+      response = await this.fetchData(url, { signal });
+    } catch (error) {
+      if (error instanceof KeggNotFoundError) return [];
+      throw error;
+    }
+    
+    const provenance = this.provenance(url);
+    const genes = rankGeneMatches(parseGeneFindResponse(response, organism), text).map(gene => ({ ...gene, provenance }));
+    return limit === null ? genes : genes.slice(0, limit);
+  }
+  
+  // Resolve a gene name to its ID, then get related genes and drugs for it.
+  // The result also carries the ID used and every match, best first, so callers can offer the
+  // others; `ambiguous` says whether the first match was a guess (see isAmbiguousGeneQuery)
+  async processGeneByName(geneName, { signal } = {}) {
+    debug(`Finding gene by name: ${geneName}`);
+    
+    let genes;
+    try {
+      genes = await this.suggestGenes(geneName, { signal, limit: null });
+    } catch (error) {
+      if (isAbortError(error)) return this._cancelledResult();
+      return this._errorResult(error);
+    }
+    
+    if (!genes || genes.length === 0) {
+      debug(`No genes found with name ${geneName}`);
+      return { error: "Invalid Gene", errorKind: 'not-found', message: `No genes found with name ${geneName}` };
+    }
+    
+    if (genes.length > 1) {
+      debug(`Found ${genes.length} matches for "${geneName}". Using the first match: ${genes[0].id}`);
+    }
+    
+    debug(`Using gene: ${genes[0].id} - ${genes[0].description}`);
+    const result = await this.getRelatedGenesAndDrugs(genes[0].id, { signal });
+    return { ...result, geneCode: genes[0].id, matches: genes, ambiguous: isAmbiguousGeneQuery(genes, geneName) };
+  }
+  
+  // Get KO (KEGG Orthology) information for a gene
+  async getGeneKO(geneCode, { signal } = {}) {
+    try {
+      const formattedGeneCode = this.formatGeneCode(geneCode);
+      // Use the link API to get KO identifiers for this gene
+      const url = `${this.baseUrl}/link/ko/${formattedGeneCode}`;
+      debug(`Fetching KO for ${formattedGeneCode}: ${url}`);
+      const response = await this.fetchData(url, { signal });
+      
+      if (!response || response.trim() === '') {
+        debug(`No KO data found for ${formattedGeneCode}`);
+        return [];
+      }
+      
+      // Parse KO identifiers from response
+      // Format: hsa:5747    ko:K05698
+      const koIds = response.trim().split('\n')
+        .map(line => {
+          const parts = line.split('\t');
+          return parts.length >= 2 ? parts[1] : null;
+        })
+        .filter(Boolean);
+      
+      debug(`Found ${koIds.length} KO identifiers for ${formattedGeneCode}`);
+      
+      // Get detailed information for all KOs in batched requests
+      const koEntries = await this.getEntries(koIds, { signal });
+      const koDetails = [];
+      for (const koId of koIds) {
+        try {
+          const koResponse = koEntries.get(koId);
+          
+          if (koResponse) {
+            // Extract name for this KO
+            const name = parseKeggEntry(koResponse).name || koId;
+            
+            koDetails.push({
+              id: koId,
+              name: name,
+              provenance: this.provenance(url)
+            });
+            
+            debug(`Added KO: ${koId} - ${name}`);
+          }
+        } catch (koError) {
+          debug(`Error fetching KO detail ${koId}: ${koError.message}`);
+        }
+      }
+      
+      return koDetails;
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      debug(`Error getting KO data: ${error.message}`);
+      return [];
+    }
+  }
+  
+  // Get diseases associated with a gene
+  async getGeneDiseases(geneCode, { signal } = {}) {
+    try {
+      const formattedGeneCode = this.formatGeneCode(geneCode);
+      // Use the link API to get disease identifiers for this gene
+      const url = `${this.baseUrl}/link/disease/${formattedGeneCode}`;
+      debug(`Fetching diseases for ${formattedGeneCode}: ${url}`);
+      const response = await this.fetchData(url, { signal });
+      
+      if (!response || response.trim() === '') {
+        debug(`No disease data found for ${formattedGeneCode}`);
+        return [];
+      }
+      
+      // Parse disease identifiers from response
+      // Format: hsa:5747    ds:H00123
+      const diseaseIds = response.trim().split('\n')
+        .map(line => {
+          const parts = line.split('\t');
+          return parts.length >= 2 ? parts[1] : null;
+        })
+        .filter(Boolean);
+      
+      debug(`Found ${diseaseIds.length} disease identifiers for ${formattedGeneCode}`);
+      
+      // Get detailed information for all diseases in batched requests
+      const diseaseEntries = await this.getEntries(diseaseIds, { signal });
+      const diseaseDetails = [];
+      for (const diseaseId of diseaseIds) {
+        try {
+          const diseaseResponse = diseaseEntries.get(diseaseId);
+          
+          if (diseaseResponse) {
+            // Extract name for this disease
+            const name = parseKeggEntry(diseaseResponse).name || diseaseId;
+            
+            diseaseDetails.push({
+              code: diseaseId,
+              name: name,
+              provenance: this.provenance(url)
+            });
+            
+            debug(`Added disease: ${diseaseId} - ${name}`);
+          }
+        } catch (diseaseError) {
+          debug(`Error fetching disease detail ${diseaseId}: ${diseaseError.message}`);
+        }
+      }
+      
+      return diseaseDetails;
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      debug(`Error getting disease data: ${error.message}`);
+      return [];
+    }
+  }
+  
+  // Map a gene to its orthologs in another organism through shared KOs
+  async getOrthologs(geneCode, { targetOrganism = CONFIG.DRUG_TARGET_ORGANISM, signal } = {}) {
+    try {
+      const formattedGeneCode = this.formatGeneCode(geneCode);
+      const koResponse = await this.fetchData(`${this.baseUrl}/link/ko/${formattedGeneCode}`, { signal });
+      const koIds = this._parseLinkResponse(koResponse);
+      
+      const orthologs = [];
+      for (const koId of koIds) {
+        try {
+          const url = `${this.baseUrl}/link/${targetOrganism}/${koId}`;
+          const genesResponse = await this.fetchData(url, { signal });
+          for (const orthologId of this._parseLinkResponse(genesResponse)) {
+            if (orthologId !== formattedGeneCode && !orthologs.some(o => o.id === orthologId)) {
+              orthologs.push({ id: orthologId, ko: koId, provenance: this.provenance(url) });
+            }
+          }
+        } catch (koError) {
+          if (isAbortError(koError)) throw koError;
+          debug(`No ${targetOrganism} genes found for ${koId}: ${koError.message}`);
+        }
+      }
+      
+      debug(`Mapped ${formattedGeneCode} to ${orthologs.length} ${targetOrganism} orthologs`);
+      return orthologs;
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      debug(`Error getting orthologs: ${error.message}`);
+      return [];
+    }
+  }
+  
+  // Get the pathway IDs a gene takes part in
+  async getGenePathways(geneCode, { signal } = {}) {
+    const formattedGeneCode = this.formatGeneCode(geneCode);
+    const url = `${this.baseUrl}/link/pathway/${formattedGeneCode}`;
+    debug(`Fetching pathways: ${url}`);
+    
+    try {
+      const pathways = this._parseLinkResponse(await this.fetchData(url, { signal }));
+      debug(`Found ${pathways.length} pathways for gene: ${formattedGeneCode}`);
+      return pathways;
+    } catch (error) {
+      // A gene without pathways is answered with a 404
+      if (error instanceof KeggNotFoundError) return [];
+      throw error;
+    }
+  }
+  
+  // Get drug codes for a gene; genes of other organisms are projected onto
+  // their CONFIG.DRUG_TARGET_ORGANISM orthologs, since that is what KEGG DRUG targets.
+  // sources maps each drug (dr: form) to the link URL that listed it first
+  async getGeneDrugCodes(geneCode, { signal } = {}) {
+    const formattedGeneCode = this.formatGeneCode(geneCode);
+    
+    let targetGenes = [formattedGeneCode];
+    let orthologs = [];
+    if (getOrganismCode(formattedGeneCode) !== CONFIG.DRUG_TARGET_ORGANISM) {
+      orthologs = await this.getOrthologs(formattedGeneCode, { signal });
+      targetGenes = orthologs.map(ortholog => ortholog.id);
+      debug(`Looking up drugs for ${formattedGeneCode} through orthologs: ${targetGenes.join(', ')}`);
+    }
+    
+    const drugCodes = [];
+    const sources = new Map();
+    for (const targetGene of targetGenes) {
+      try {
+        const url = `${this.baseUrl}/link/drug/${targetGene}`;
+        const drugsResponse = await this.fetchData(url, { signal });
+        
+        // Format: hsa:5747\tdr:D00036
+        for (const drugCode of this._parseLinkResponse(drugsResponse)) {
+          if ((drugCode.startsWith('dr:') || drugCode.match(/^D\d+$/)) && !drugCodes.includes(drugCode)) {
+            drugCodes.push(drugCode);
+            sources.set(formatDrugCode(drugCode), url);
+          }
+        }
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        debug(`No drug data found for gene ${targetGene}: ${error.message}`);
+      }
+    }
+    
+    return { drugCodes, orthologs, sources };
+  }
+  
+  // Point each drug at the link response that tied it to the gene (sources from getGeneDrugCodes)
+  _addDrugProvenance(drugs, sources) {
+    for (const drug of drugs) {
+      const url = sources.get(formatDrugCode(drug.code));
+      drug.provenance = url ? this.provenance(url) : null;
+    }
+    return drugs;
+  }
+  
+  // Get related genes and drugs - main function
+  // expansion overrides the instance's expansion settings (depth, budgets, strategy) for this call
+  // lookups shares pathway lookups between searches (see _createLookupStore)
+  // proximity adds each drug's network proximity to proximityDiseases (default: the gene's diseases)
+  async getRelatedGenesAndDrugs(geneCode, { signal, expansion = {}, lookups = this._createLookupStore(), proximity = this.proximity, proximityDiseases = null } = {}) {
+    try {
+      const formattedGeneCode = this.formatGeneCode(geneCode);
+      const release = await this.getKeggRelease({ signal });
+      
+      // Get gene name to verify it exists
+      debug(`Fetching gene info for ${formattedGeneCode}`);
+      const geneName = await this.getGeneName(formattedGeneCode, { signal });
+      if (geneName === "Unknown") {
+        debug(`Gene ${formattedGeneCode} not found`);
+        return { error: "Invalid Gene", errorKind: 'not-found', message: `Gene ${geneCode} not found` };
+      }
+      const provenance = this.provenance(this._entryUrl(formattedGeneCode));
+      
+      debug(`Processing gene: ${formattedGeneCode} (${geneName})`);
+      
+      // Get KO information for the base gene
+      const geneKO = await this.getGeneKO(formattedGeneCode, { signal });
+      debug(`Found ${geneKO.length} KO entries for gene ${formattedGeneCode}`);
+      
+      // Get diseases associated with the base gene
+      const geneDiseases = await this.getGeneDiseases(formattedGeneCode, { signal });
+      debug(`Found ${geneDiseases.length} diseases associated with gene ${formattedGeneCode}`);
+      
+      // 1. Get pathways for gene
+      const pathways = await this.getGenePathways(formattedGeneCode, { signal });
+      
+      if (pathways.length === 0) {
+        debug(`No pathway data found for ${formattedGeneCode}`);
+        return { 
+          geneName, 
+          geneKO,
+          diseases: geneDiseases,
+          drugs: [], 
+          relatedGenes: {},
+          provenance,
+          release,
+          error: "No Data",
+          message: "No pathway data found for this gene"
+        };
+      }
+      
+      // 2. Get drugs for the base gene - handle failures gracefully
+      // Genes of other organisms are looked up through their human orthologs
+      let baseDrugs = [];
+      let drugsWithInfo = [];
+      let orthologs = [];
+      let sources = new Map();
+      
+      try {
+        debug(`Fetching drugs for base gene: ${formattedGeneCode}`);
+        ({ drugCodes: baseDrugs, orthologs, sources } = await this.getGeneDrugCodes(formattedGeneCode, { signal }));
+        
+        debug(`Found ${baseDrugs.length} drugs for base gene ${formattedGeneCode}`);
+        
+        // 3. Get drug details - only if we found drugs
+        if (baseDrugs.length > 0) {
+          drugsWithInfo = this._addDrugProvenance(await this._fetchDrugDetails(baseDrugs, geneDiseases, { signal }), sources);
+          
+          debug(`Processed ${drugsWithInfo.length} drugs with details for base gene: ${formattedGeneCode}`);
+        } else {
+          debug(`No drugs found for gene: ${formattedGeneCode}`);
+        }
+      } catch (error) {
+        // Continue even if drug fetching fails - unless the search was cancelled
+        if (isAbortError(error)) throw error;
+        debug(`Error fetching drug information: ${error.message} - continuing with pathway analysis`);
+      }
+      
+      // 4. Expand the network through the gene's pathways, within the expansion budgets
+      const { relatedGenes, expansion: expansionReport } = await this.expandNetwork(
+        formattedGeneCode, pathways, geneDiseases, { signal, expansion, lookups }
+      );
+      
+      debug(`Completed processing with ${Object.keys(relatedGenes).length} related genes`);
+      
+      // Create final result, labelling how each drug reaches the query gene, then scoring it
+      const result = annotateDrugTargets({
+        geneName,
+        organism: getOrganismCode(formattedGeneCode),
+        orthologs,
+        geneKO,
+        diseases: geneDiseases,
+        drugs: baseDrugs,
+        drugsWithInfo: drugsWithInfo,
+        relatedGenes: relatedGenes,
+        expansion: expansionReport,
+        provenance,
+        release
+      }, formattedGeneCode);
+      if (proximity) {
+        await this.addNetworkProximity(result, formattedGeneCode, { signal, lookups, diseases: proximityDiseases });
+      }
+      return this.scoreDrugs(result);
+    } catch (error) {
+      if (isAbortError(error)) {
+        debug(`Search for ${geneCode} cancelled`);
+        return this._cancelledResult();
+      }
+      debug(`Error getting related genes and drugs: ${error.message}`);
+      return this._errorResult(error);
+    }
+  }
+  
+  // Drug record for candidate lists - name, diseases and targets with their mechanism of action
+  _createDrugInfo(drugCode, drugEntry) {
+    const targets = getDrugTargets(drugEntry);
+    return {
+      code: drugCode,
+      name: drugEntry.name || drugCode,
+      diseases: drugEntry.diseases,
+      targets,
+      mechanisms: [...new Set(targets.map(target => target.mechanism).filter(Boolean))]
+    };
+  }
+  
+  // Helper to fetch drug details
+  async _fetchDrugDetails(drugCodes, baseGeneDiseases = [], { signal } = {}) {
+    const drugsWithInfo = [];
+    debug(`Fetching details for ${drugCodes.length} drugs`);
+    
+    // Make sure we're using valid drug codes (typically starting with dr:)
+    const validDrugCodes = drugCodes.filter(drugCode => {
+      if (!drugCode || (!drugCode.startsWith('dr:') && !drugCode.match(/^D\d+$/))) {
+        debug(`Skipping invalid drug code: ${drugCode}`);
+        return false;
+      }
+      return true;
+    });
+    
+    // Fetch all drug entries up front in batched requests
+    const drugEntries = await this.getEntries(
+      validDrugCodes.map(drugCode => drugCode.startsWith('dr:') ? drugCode : `dr:${drugCode}`),
+      { signal }
+    );
+    
+    for (const drugCode of validDrugCodes) {
+      try {
+        // Format drug code properly for API call
+        const formattedDrugCode = drugCode.startsWith('dr:') ? drugCode : `dr:${drugCode}`;
+        const drugResponse = drugEntries.get(formattedDrugCode);
+        
+        if (!drugResponse || drugResponse.trim() === '') {
+          debug(`No data received for drug ${formattedDrugCode}`);
+          continue;
+        }
+        
+        const drugInfo = this._createDrugInfo(drugCode, parseKeggEntry(drugResponse));
+        
+        debug(`Found drug name: ${drugInfo.name}`);
+        
+        drugsWithInfo.push(drugInfo);
+        debug(`Processed drug ${drugCode} - found ${drugInfo.diseases.length} associated diseases`);
+    } catch (error) {
+        debug(`Error processing drug ${drugCode}: ${error.message}`);
+      }
+    }
+    
+    return drugsWithInfo;
+  }
+  
+  // Walk pathways out from a gene, hop by hop, within the expansion budgets.
+  // Returns the related genes found and a report of the settings used and what they left out
+  async expandNetwork(geneCode, pathways, baseGeneDiseases = [], { signal, expansion = {}, lookups } = {}) {
+    const formattedGeneCode = this.formatGeneCode(geneCode);
+    const settings = resolveExpansionOptions({ ...this.expansion, ...expansion });
+    const strategy = EXPANSION_STRATEGIES[settings.strategy];
+    const context = this._createExpansionContext(formattedGeneCode, baseGeneDiseases, { signal, lookups });
+    
+    const relatedGenes = {};
+    const report = {
+      ...settings,
+      hopsCompleted: 0,
+      pathways: [],
+      pathwaysSkipped: 0,
+      genesSkipped: 0,
+      budgetExhausted: false,
+      truncated: false
+    };
+    
+    // Genes already chosen (processed or not) and pathways already expanded
+    const selectedGenes = new Set([formattedGeneCode]);
+    const expandedPathways = new Set();
+    let frontier = [{ geneCode: formattedGeneCode, pathways }];
+    
+    for (let hop = 1; hop <= settings.depth && frontier.length > 0; hop++) {
+      const foundGenes = [];
+      
+      for (const source of frontier) {
+        const candidates = source.pathways
+          .map(pathway => this._formatPathwayCode(pathway))
+          .filter(pathway => !expandedPathways.has(pathway));
+        const rankedPathways = strategy.rankPathways
+          ? await strategy.rankPathways(candidates, context, { source: source.geneCode })
+          : candidates;
+        const pathwaysToProcess = rankedPathways.slice(0, settings.maxPathwaysPerGene);
+        report.pathwaysSkipped += rankedPathways.length - pathwaysToProcess.length;
+        
+        debug(`Hop ${hop}: expanding ${pathwaysToProcess.length} of ${candidates.length} pathways of ${source.geneCode}`);
+        
+        for (const pathway of pathwaysToProcess) {
+          const budget = settings.maxTotalGenes - (selectedGenes.size - 1);
+          if (budget <= 0) {
+            report.budgetExhausted = true;
+            report.pathwaysSkipped++;
+            continue;
+          }
+          expandedPathways.add(pathway);
+          
+          const pathwayGenes = await context.getPathwayGenes(pathway);
+          const pathwayName = await context.getPathwayName(pathway);
+          const candidateGenes = pathwayGenes.filter(gene => !selectedGenes.has(gene));
+          const rankedGenes = strategy.rankGenes
+            ? await strategy.rankGenes(candidateGenes, context, { pathway, source: source.geneCode })
+            : candidateGenes;
+          const limit = Math.min(settings.maxGenesPerPathway, budget);
+          const genesToProcess = rankedGenes.slice(0, limit);
+          
+          if (rankedGenes.length > limit && limit === budget) {
+            report.budgetExhausted = true;
+          }
+          report.genesSkipped += rankedGenes.length - genesToProcess.length;
+          report.pathways.push({
+            id: pathway,
+            name: pathwayName,
+            hop,
+            from: source.geneCode,
+            geneCount: pathwayGenes.length,
+            candidates: candidateGenes.length,
+            expanded: genesToProcess,
+            provenance: this.provenance(this._pathwayGenesUrl(pathway))
+          });
+          
+          debug(`Processing genes of ${pathwayName}: ${genesToProcess.join(', ')}`);
+          for (const gene of genesToProcess) selectedGenes.add(gene);
+          
+          // KGML relations between the gene being expanded and the genes taken from this pathway
+          const relations = await context.getRelations(pathway, source.geneCode);
+          const pathwayContext = { pathway, pathwayName, hop, from: source.geneCode };
+          const processed = await this._mapConcurrent(genesToProcess, settings.concurrency, gene =>
+            this._processRelatedGene(gene, { ...pathwayContext, interaction: relations.get(gene) || null }, relatedGenes, { signal })
+          );
+          foundGenes.push(...genesToProcess.filter((gene, index) => processed[index]));
+        }
+      }
+      
+      report.hopsCompleted = hop;
+      
+      // Genes found in this hop are the starting points of the next one
+      frontier = [];
+      if (hop < settings.depth && !report.budgetExhausted) {
+        for (const gene of foundGenes) {
+          frontier.push({ geneCode: gene, pathways: await this.getGenePathways(gene, { signal }) });
+        }
+      }
+    }
+    
+    report.truncated = report.pathwaysSkipped > 0 || report.genesSkipped > 0;
+    debug(`Expansion finished: ${Object.keys(relatedGenes).length} related genes, ${report.pathwaysSkipped} pathways and ${report.genesSkipped} genes left out`);
+    
+    return { relatedGenes, expansion: report };
+  }
+  
+  // Network proximity of every drug of a getRelatedGenesAndDrugs result, in place: the mean distance
+  // from the drug's targets to the nearest gene of the disease module, on the KGML relations of the
+  // pathways expanded, and its z-score against degree-matched random sets (see kegg-proximity.js).
+  // The module is the network's genes linked to the diseases (default: the query gene's).
+  // Drugs off the network, or a module without genes in it, get proximity null
+  async addNetworkProximity(result, geneCode, { signal, lookups = this._createLookupStore(), diseases = null } = {}) {
+    const context = this._createExpansionContext(geneCode, result.diseases || [], { signal, lookups });
+    const pathways = (result.expansion ? result.expansion.pathways : []).map(pathway => pathway.id);
+    const kgmls = await Promise.all(pathways.map(pathway => context.getPathwayKgml(pathway)));
+    const graph = buildRelationGraph(kgmls.filter(Boolean));
+    
+    const diseaseCodes = new Set((diseases || (result.diseases || []).map(disease => disease.code)).map(formatDiseaseCode));
+    const links = diseaseCodes.size > 0 ? await context.getDiseaseLinks() : new Map();
+    const module = [...graph.keys()].filter(gene => [...(links.get(gene) || [])].some(code => diseaseCodes.has(code)));
+    
+    // KEGG DRUG targets are human genes - other organisms' networks are reached through the orthologs
+    const networkGenes = new Map();
+    for (const ortholog of result.orthologs || []) networkGenes.set(ortholog.id, geneCode);
+    for (const [code, gene] of Object.entries(result.relatedGenes || {})) {
+      for (const ortholog of gene.orthologs || []) networkGenes.set(ortholog.id, code);
+    }
+    const targetGenes = drug => (drug.targets || [])
+      .flatMap(target => target.genes)
+      .map(gene => (graph.has(gene) ? gene : networkGenes.get(gene)))
+      .filter(Boolean);
+    
+    const proximityOf = createProximityCalculator(graph, {
+      samples: CONFIG.PROXIMITY_SAMPLES,
+      minBinSize: CONFIG.PROXIMITY_MIN_BIN_SIZE,
+      seed: CONFIG.PROXIMITY_SEED
+    });
+    const byDrug = new Map();
+    const apply = drug => {
+      if (!byDrug.has(drug.code)) byDrug.set(drug.code, proximityOf(targetGenes(drug), module));
+      drug.proximity = byDrug.get(drug.code);
+    };
+    (result.drugsWithInfo || []).forEach(apply);
+    for (const gene of Object.values(result.relatedGenes || {})) (gene.drugsWithInfo || []).forEach(apply);
+    
+    let edges = 0;
+    for (const neighbours of graph.values()) edges += neighbours.size;
+    result.proximity = {
+      diseases: [...diseaseCodes],
+      genes: graph.size,
+      relations: edges / 2,
+      moduleSize: module.length
+    };
+    debug(`Network proximity for ${geneCode}: ${graph.size} genes, ${edges / 2} relations, module of ${module.length}`);
+    return result;
+  }
+  
+  // Memo stores for pathway and disease-link lookups. Searches over several genes pass one store
+  // to every expansion, so a pathway shared by the genes is fetched and parsed once.
+  // geneSet is the gene set the enrichment strategy tests - a gene list's genes, when set
+  _createLookupStore(geneSet = null) {
+    return {
+      geneSet,
+      pathwayGenes: new Map(),
+      pathwayNames: new Map(),
+      pathwayKgml: new Map(),
+      geneRelations: new Map(),
+      diseaseLinks: new Map(),
+      pathwayLinks: new Map(),
+      enrichments: new Map()
+    };
+  }
+  
+  // Lookups shared by the expansion strategies, memoised for the length of one expansion
+  // (or of every expansion given the same lookups store)
+  _createExpansionContext(queryGene, queryDiseases, { signal, lookups = this._createLookupStore() } = {}) {
+    const { pathwayGenes, pathwayNames, pathwayKgml, geneRelations, diseaseLinks, pathwayLinks, enrichments } = lookups;
+    const queryDiseaseCodes = new Set(queryDiseases.map(disease => disease.code));
+    const organism = getOrganismCode(queryGene) || this.organism;
+    
+    const memo = (store, key, load) => {
+      if (!store.has(key)) store.set(key, load());
+      return store.get(key);
+    };
+    
+    const getDiseaseLinks = () => memo(diseaseLinks, organism, () => this.getOrganismDiseaseLinks(organism, { signal }));
+    const getPathwayKgml = pathway => memo(pathwayKgml, pathway, () =>
+      this.getPathwayKgml(pathway, { signal }).catch(error => {
+        if (isAbortError(error)) throw error;
+        debug(`Error fetching KGML of pathway ${pathway}: ${error.message}`);
+        return null;
+      })
+    );
+    // A gene list's enrichment is shared by all its expansions, a single gene's is its own
+    const enrichmentKey = lookups.geneSet ? 'gene-set' : queryGene;
+    
+    // Genes the enrichment strategy tests: the gene list's, or the query gene and the genes sharing its diseases
+    const getGeneSet = () => memo(enrichments, `genes ${enrichmentKey}`, async () => {
+      if (lookups.geneSet) return new Set(lookups.geneSet);
+      const genes = new Set([queryGene]);
+      if (queryDiseaseCodes.size > 0) {
+        for (const [gene, codes] of await getDiseaseLinks()) {
+          if ([...codes].some(code => queryDiseaseCodes.has(code))) genes.add(gene);
+        }
+      }
+      return genes;
+    });
+    
+    // Enrichment p-value of every pathway tested for that gene set; empty when the organism's
+    // pathway links can't be loaded
+    const getEnrichment = () => memo(enrichments, `pathways ${enrichmentKey}`, async () => {
+      try {
+        const links = await memo(pathwayLinks, organism, () => this.getOrganismPathwayLinks(organism, { signal }));
+        const { pathways } = enrichPathways([...await getGeneSet()], links, {
+          minSize: CONFIG.ENRICHMENT_MIN_PATHWAY_SIZE,
+          maxSize: CONFIG.ENRICHMENT_MAX_PATHWAY_SIZE
+        });
+        return new Map(pathways.map(row => [row.id, row.pValue]));
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        debug(`Error computing pathway enrichment for ${queryGene}: ${error.message}`);
+        return new Map();
+      }
+    });
+    
+    return {
+      queryGene,
+      queryDiseases,
+      
+      // Genes of a pathway's organism in the pathway, in KEGG's order.
+      // A pathway that fails to load is treated as empty rather than failing the search
+      getPathwayGenes: pathway => memo(pathwayGenes, pathway, () =>
+        this.getPathwayGenes(pathway, { signal }).catch(error => {
+          if (isAbortError(error)) throw error;
+          debug(`Error fetching genes of pathway ${pathway}: ${error.message}`);
+          return [];
+        })
+      ),
+      
+      getPathwayName: pathway => memo(pathwayNames, pathway, async () => {
+        try {
+          const response = await this.fetchData(`${this.baseUrl}/get/${pathway}`, { signal });
+          return (response && parseKeggEntry(response).name) || pathway;
+        } catch (error) {
+          if (isAbortError(error)) throw error;
+          debug(`Error fetching pathway info for ${pathway}: ${error.message}`);
+          return pathway;
+        }
+      }),
+      
+      // Parsed KGML of a pathway, or null when it has none or it fails to load
+      getPathwayKgml,
+      
+      // KGML relations of a gene within a pathway, keyed by the other gene (empty without KGML)
+      getRelations: (pathway, gene) => memo(geneRelations, `${pathway} ${gene}`, async () => {
+        const kgml = await getPathwayKgml(pathway);
+        return kgml ? getGeneRelations(kgml, gene) : new Map();
+      }),
+      
+      // Every gene of the organism -> Set of its ds: codes (one request, shared by the strategies)
+      getDiseaseLinks,
+      
+      // Enrichment p-value of a pathway for the search's gene set - 1 for pathways not tested
+      getPathwayPValue: async pathway => {
+        const pValues = await getEnrichment();
+        return pValues.has(pathway) ? pValues.get(pathway) : 1;
+      },
+      
+      isInGeneSet: async gene => (await getGeneSet()).has(gene),
+      
+      // Number of the query gene's diseases a gene is also linked to
+      sharedDiseaseCount: async gene => {
+        if (queryDiseaseCodes.size === 0) return 0;
+        const diseases = (await getDiseaseLinks()).get(gene);
+        if (!diseases) return 0;
+        let shared = 0;
+        for (const code of diseases) {
+          if (queryDiseaseCodes.has(code)) shared++;
+        }
+        return shared;
+      }
+    };
+  }
+  
+  // Run fn over items with at most `limit` calls in flight; results keep the input order
+  async _mapConcurrent(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await fn(items[index], index);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+  }
+  
+  // Pathway IDs from link responses often lack the "path:" prefix (hsa04510)
+  _formatPathwayCode(pathway) {
+    if (pathway.includes(':')) return pathway;
+    return pathway.match(/^[a-z]{3,4}\d+$/) ? `path:${pathway}` : pathway;
+  }
+  
+  // URL of a pathway's gene links, from the pathway's own organism.
+  // /link/{org}/{pathway_id} wants the ID without the "path:" prefix
+  _pathwayGenesUrl(pathway) {
+    const pathwayId = pathway.includes(':') ? pathway.split(':')[1] : pathway;
+    return `${this.baseUrl}/link/${getOrganismCode(pathwayId) || this.organism}/${pathwayId}`;
+  }
+  
+  // URL of a pathway's KGML
+  _pathwayKgmlUrl(pathway) {
+    const pathwayId = pathway.includes(':') ? pathway.split(':')[1] : pathway;
+    return `${this.baseUrl}/get/${pathwayId}/kgml`;
+  }
+  
+  // Genes in a pathway, from the pathway's own organism
+  async getPathwayGenes(pathway, { signal } = {}) {
+    const pathwayId = pathway.includes(':') ? pathway.split(':')[1] : pathway;
+    const organism = getOrganismCode(pathwayId) || this.organism;
+    
+    const url = this._pathwayGenesUrl(pathway);
+    debug(`Fetching pathway genes: ${url}`);
+    try {
+      // Only genes of the pathway's organism (e.g. hsa:) - KEGG may list others
+      return this._parseLinkResponse(await this.fetchData(url, { signal }))
+        .filter(gene => gene.startsWith(`${organism}:`));
+    } catch (error) {
+      if (error instanceof KeggNotFoundError) return [];
+      throw error;
+    }
+  }
+  
+  // Pathway topology from KGML - null for pathways KEGG has no KGML for (e.g. global maps)
+  async getPathwayKgml(pathway, { signal } = {}) {
+    const url = this._pathwayKgmlUrl(pathway);
+    debug(`Fetching pathway KGML: ${url}`);
+    try {
+      const xml = await this.fetchData(url, { signal });
+      return xml && xml.includes('<pathway') ? parseKgml(xml) : null;
+    } catch (error) {
+      if (error instanceof KeggNotFoundError) return null;
+      throw error;
+    }
+  }
+  
+  // Disease links for every gene of an organism, as gene -> Set of disease codes.
+  // One request instead of one per gene; organisms without disease links give an empty map
+  async getOrganismDiseaseLinks(organism, { signal } = {}) {
+    const links = new Map();
+    try {
+      const response = await this.fetchData(`${this.baseUrl}/link/disease/${organism}`, { signal });
+      for (const line of (response || '').trim().split('\n')) {
+        const [gene, disease] = line.split('\t');
+        if (!gene || !disease) continue;
+        if (!links.has(gene)) links.set(gene, new Set());
+        links.get(gene).add(disease.trim());
+      }
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      debug(`No disease links for ${organism}: ${error.message}`);
+    }
+    return links;
+  }
+  
+  // URL of the gene-pathway links of a whole organism
+  _organismPathwayLinksUrl(organism) {
+    return `${this.baseUrl}/link/pathway/${organism}`;
+  }
+  
+  // Pathway memberships of every gene of an organism, as pathway -> Set of genes (one request)
+  async getOrganismPathwayLinks(organism, { signal } = {}) {
+    return parsePathwayLinks(await this.fetchData(this._organismPathwayLinksUrl(organism), { signal }));
+  }
+  
+  // Names of an organism's pathways, as path:ID -> name
+  async getOrganismPathwayNames(organism, { signal } = {}) {
+    try {
+      return parsePathwayList(await this.fetchData(`${this.baseUrl}/list/pathway/${organism}`, { signal }));
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      debug(`No pathway list for ${organism}: ${error.message}`);
+      return new Map();
+    }
+  }
+  
+  // Pathway over-representation of a gene set (IDs or symbols, resolved like a gene list) against
+  // the organism's pathway-annotated genes - see enrichPathways for the test
+  async getPathwayEnrichment(items, {
+    signal,
+    organism = this.organism,
+    minSize = CONFIG.ENRICHMENT_MIN_PATHWAY_SIZE,
+    maxSize = CONFIG.ENRICHMENT_MAX_PATHWAY_SIZE
+  } = {}) {
+    try {
+      const inputs = [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+      if (inputs.length === 0) {
+        return { error: "Invalid Gene List", errorKind: 'not-found', message: 'The gene list is empty' };
+      }
+      
+      const release = await this.getKeggRelease({ signal });
+      const genes = await this._resolveGeneList(inputs, { organism, signal });
+      const codes = genes.filter(gene => gene.code && !gene.duplicate).map(gene => gene.code);
+      
+      const [pathwayGenes, names] = await Promise.all([
+        this.getOrganismPathwayLinks(organism, { signal }),
+        this.getOrganismPathwayNames(organism, { signal })
+      ]);
+      const enrichment = enrichPathways(codes, pathwayGenes, { names, minSize, maxSize });
+      debug(`Enrichment: ${enrichment.mapped.length} of ${codes.length} genes in pathways, ${enrichment.pathways.length} pathways tested`);
+      
+      // Memberships and background both come from the organism's pathway links
+      const provenance = this.provenance(this._organismPathwayLinksUrl(organism));
+      return {
+        organism,
+        genes: genes.map(gene => ({ ...gene, mapped: Boolean(gene.code) && enrichment.mapped.includes(gene.code) })),
+        backgroundSize: enrichment.backgroundSize,
+        mappedCount: enrichment.mapped.length,
+        pathways: enrichment.pathways.map(pathway => ({ ...pathway, provenance })),
+        release
+      };
+    } catch (error) {
+      if (isAbortError(error)) return this._cancelledResult();
+      debug(`Error in pathway enrichment: ${error.message}`);
+      return this._errorResult(error);
+    }
+  }
+  
+  // Fill in a related gene's details and drugs; returns false if the gene couldn't be processed
+  async _processRelatedGene(relatedGene, { pathway, pathwayName, hop, from, interaction }, relatedGenes, { signal } = {}) {
+    try {
+      // Get gene name and details
+      debug(`Getting name for gene ${relatedGene}`);
+      const relatedGeneName = await this.getGeneName(relatedGene, { signal });
+      if (relatedGeneName === "Unknown") {
+        debug(`Unable to get name for gene ${relatedGene}, skipping`);
+        return false;
+      }
+      
+      debug(`Found related gene: ${relatedGene} (${relatedGeneName})`);
+      
+      // Get KO information for the related gene
+      const relatedGeneKO = await this.getGeneKO(relatedGene, { signal });
+      debug(`Found ${relatedGeneKO.length} KO entries for related gene ${relatedGene}`);
+      
+      // Get diseases associated with the related gene
+      const relatedGeneDiseases = await this.getGeneDiseases(relatedGene, { signal });
+      debug(`Found ${relatedGeneDiseases.length} diseases for related gene ${relatedGene}`);
+      
+      // Relationship from the pathway's KGML - plain "Pathway" when the two genes only share the pathway
+      const relation = interaction ? interaction.label : "Pathway";
+      
+      // Initialize with basic info in case drug fetch fails
+      relatedGenes[relatedGene] = {
+        geneName: relatedGeneName,
+        relation: relation,
+        interaction,
+        pathway: pathwayName,
+        pathwayId: pathway,
+        depth: hop,
+        via: from,
+        ko: relatedGeneKO,
+        diseases: relatedGeneDiseases,
+        drugs: [],
+        drugsWithInfo: [],
+        orthologs: [],
+        // The KGML relation that linked the gene, or the pathway gene list it was taken from
+        provenance: this.provenance(interaction ? this._pathwayKgmlUrl(pathway) : this._pathwayGenesUrl(pathway))
+      };
+      
+      try {
+        // Get drugs for this gene (through human orthologs for other organisms)
+        debug(`Fetching drugs for related gene ${relatedGene}`);
+        const { drugCodes, orthologs, sources } = await this.getGeneDrugCodes(relatedGene, { signal });
+        
+        // Update gene entry with drug codes
+        relatedGenes[relatedGene].drugs = drugCodes;
+        relatedGenes[relatedGene].orthologs = orthologs;
+        
+        // Get drug details only if we have drug codes
+        if (drugCodes.length > 0) {
+          debug(`Found ${drugCodes.length} drugs for gene ${relatedGene}, fetching details`);
+          const drugsWithInfo = this._addDrugProvenance(await this._fetchDrugDetails(drugCodes, relatedGeneDiseases, { signal }), sources);
+          
+          // Scored with the rest of the result once the target classes are known (see scoreDrugs)
+          relatedGenes[relatedGene].drugsWithInfo = drugsWithInfo;
+          debug(`Added ${drugsWithInfo.length} drugs with details to gene ${relatedGene}`);
+        } else {
+          debug(`No drugs found for gene ${relatedGene}`);
+        }
+      } catch (drugError) {
+        if (isAbortError(drugError)) throw drugError;
+        debug(`Error fetching drugs for related gene ${relatedGene}: ${drugError.message}`);
+        // Gene info still preserved even if drug fetch fails
+      }
+      
+      return true;
+    } catch (geneError) {
+      if (isAbortError(geneError)) throw geneError;
+      debug(`Error processing related gene ${relatedGene}: ${geneError.message}`);
+      return false;
+    }
+  }
+  
+  // Get a drug's DBGET entry, parsed - null if KEGG has no such drug
+  async getDrug(drugCode, { signal } = {}) {
+    const formattedDrugCode = formatDrugCode(drugCode);
+    const entries = await this.getEntries([formattedDrugCode], { signal });
+    const record = entries.get(formattedDrugCode);
+    return record ? { code: formattedDrugCode, ...parseKeggEntry(record), provenance: this.provenance(this._entryUrl(formattedDrugCode)) } : null;
+  }
+  
+  // Resolve a drug given as a D number or a name to { code, name } - null if KEGG doesn't know it.
+  // Names prefer an exact match among KEGG's names over the first hit
+  async resolveDrug(query, { signal } = {}) {
+    const text = String(query).trim();
+    if (!text) return null;
+    
+    if (/^(dr:)?D\d{5}$/i.test(text)) {
+      const drug = await this.getDrug(formatDrugCode(text.replace(/^dr:/i, '').toUpperCase()), { signal });
+      return drug ? { code: drug.code, name: drug.name } : null;
+    }
+    
+    let response;
+    try {
+      response = await this.fetchData(`${this.baseUrl}/find/drug/${encodeURIComponent(text)}`, { signal });
+    } catch (error) {
+      if (error instanceof KeggNotFoundError) return null;
+      throw error;
+    }
+    
+    // "dr:D00109\tAspirin (JP18/USP); Acetylsalicylic acid; ..."
+    const matches = (response || '').trim().split('\n')
+      .map(line => line.split('\t'))
+      .filter(parts => parts.length >= 2 && parts[0].startsWith('dr:'))
+      .map(([code, names]) => ({ code: code.trim(), names: names.split(';').map(name => name.trim()).filter(Boolean) }));
+    const lower = text.toLowerCase();
+    const match = matches.find(drug => drug.names.some(name => name.replace(/\s*\([^)]*\)$/, '').toLowerCase() === lower)) || matches[0];
+    return match ? { code: match.code, name: match.names[0] ? plainDrugName(match.names[0]) : match.code } : null;
+  }
+  
+  // KEGG ddi interactions involving any of the given drugs, batched like DBGET gets
+  async getDrugInteractions(drugCodes, { signal } = {}) {
+    const codes = [...new Set(drugCodes.map(formatDrugCode))];
+    const interactions = [];
+    
+    for (let i = 0; i < codes.length; i += CONFIG.BATCH_SIZE) {
+      const url = `${this.baseUrl}/ddi/${codes.slice(i, i + CONFIG.BATCH_SIZE).join('+')}`;
+      debug(`Fetching drug interactions: ${url}`);
+      try {
+        const response = await this.fetchData(url, { signal });
+        const provenance = this.provenance(url);
+        interactions.push(...parseDdiResponse(response).map(interaction => ({ ...interaction, provenance })));
+      } catch (error) {
+        // 404 - none of these drugs has a known interaction
+        if (error instanceof KeggNotFoundError) continue;
+        throw error;
+      }
+    }
+    
+    return interactions;
+  }
+  
+  // Check candidate drugs ({ code, name }) against each other and against current medications,
+  // given as names or D numbers. Returns the interaction matrix (see kegg-ddi.js) and the
+  // medications KEGG couldn't resolve
+  async checkDrugInteractions(candidates, medications = [], { signal } = {}) {
+    try {
+      const release = await this.getKeggRelease({ signal });
+      const drugs = new Map();
+      for (const candidate of candidates) {
+        const code = formatDrugCode(candidate.code);
+        if (!drugs.has(code)) drugs.set(code, { code, name: candidate.name || code, role: 'candidate' });
+      }
+      
+      const unresolved = [];
+      for (const medication of medications) {
+        const drug = await this.resolveDrug(medication, { signal });
+        if (!drug) {
+          unresolved.push(medication);
+        } else if (drugs.has(drug.code)) {
+          drugs.get(drug.code).role = 'both';
+        } else {
+          drugs.set(drug.code, { ...drug, role: 'medication' });
+        }
+      }
+      
+      const interactions = await this.getDrugInteractions([...drugs.keys()], { signal });
+      const result = buildInteractionMatrix([...drugs.values()], interactions);
+      debug(`Found ${result.counts.CI} contraindications and ${result.counts.P} precautions among ${drugs.size} drugs`);
+      
+      return { ...result, unresolved, release };
+    } catch (error) {
+      if (isAbortError(error)) return this._cancelledResult();
+      debug(`Error checking drug interactions: ${error.message}`);
+      return this._errorResult(error);
+    }
+  }
+  
+  // Find diseases by name - [{ code, name }] in KEGG's order
+  async findDiseases(name, { signal } = {}) {
+    const url = `${this.baseUrl}/find/disease/${encodeURIComponent(name)}`;
+    let response;
+    try {
+      response = await this.fetchData(url, { signal });
+    } catch (error) {
+      if (error instanceof KeggNotFoundError) return [];
+      throw error;
+    }
+    
+    // "ds:H00031\tBreast cancer; Familial breast cancer"
+    const provenance = this.provenance(url);
+    return (response || '').trim().split('\n')
+      .map(line => line.split('\t'))
+      .filter(parts => parts.length >= 2 && parts[0].startsWith('ds:'))
+      .map(([code, names]) => ({ code: code.trim(), name: names.split(';')[0].trim(), provenance }));
+  }
+  
+  // Get a disease's DBGET entry, parsed - null if KEGG has no such disease
+  async getDisease(diseaseCode, { signal } = {}) {
+    const formattedDiseaseCode = formatDiseaseCode(diseaseCode);
+    const entries = await this.getEntries([formattedDiseaseCode], { signal });
+    const record = entries.get(formattedDiseaseCode);
+    return record ? { code: formattedDiseaseCode, ...parseKeggEntry(record), provenance: this.provenance(this._entryUrl(formattedDiseaseCode)) } : null;
+  }
+  
+  // Disease-first search from an H code or a disease name (first match, like processGeneByName):
+  // the disease's genes and pathways, the related-gene expansion run from up to maxGenes of its
+  // genes, and the drugs reached - ranked candidates apart from those already indicated
+  async getDiseaseCandidates(query, { signal, expansion = {}, maxGenes = CONFIG.DISEASE_MAX_GENES } = {}) {
+    try {
+      const release = await this.getKeggRelease({ signal });
+      const text = String(query).trim();
+      let matches = null;
+      let diseaseCode = text.replace(/^ds:/i, '').toUpperCase();
+      
+      if (!isDiseaseCode(text)) {
+        matches = await this.findDiseases(text, { signal });
+        if (matches.length === 0) {
+          return { error: "Invalid Disease", errorKind: 'not-found', message: `No diseases found with name ${text}` };
+        }
+        debug(`Found ${matches.length} diseases matching "${text}". Using ${matches[0].code}`);
+        diseaseCode = matches[0].code;
+      }
+      
+      const entry = await this.getDisease(diseaseCode, { signal });
+      if (!entry) {
+        return { error: "Invalid Disease", errorKind: 'not-found', message: `No KEGG disease found for ${text}` };
+      }
+      
+      const disease = {
+        code: entry.code,
+        name: entry.name || entry.code,
+        description: entry.description,
+        category: entry.category,
+        genes: entry.genes.map(({ name, notes, genes, kos }) => ({ name, notes, genes, kos })),
+        pathways: entry.pathways.map(({ id, name }) => ({ id, name })),
+        drugs: entry.drugs,
+        provenance: entry.provenance
+      };
+      
+      // Expand from the disease's genes in KEGG's order, within the gene budget
+      const geneCodes = [...new Set(disease.genes.flatMap(gene => gene.genes))];
+      const searched = geneCodes.slice(0, maxGenes);
+      debug(`Disease ${disease.code} has ${geneCodes.length} genes, expanding ${searched.length}`);
+      
+      const results = {};
+      const genes = [];
+      const lookups = this._createLookupStore();
+      for (const geneCode of searched) {
+        const result = await this.getRelatedGenesAndDrugs(geneCode, { signal, expansion, lookups, proximityDiseases: [disease.code] });
+        if (result.cancelled) return result;
+        
+        if (result.error && !result.geneName) {
+          genes.push({ code: geneCode, error: result.message || result.error });
+          continue;
+        }
+        
+        // A gene without pathway data is kept with its error - it has a name and diseases, but no drugs
+        results[geneCode] = result;
+        genes.push({
+          code: geneCode,
+          name: result.geneName,
+          drugCount: (result.drugsWithInfo || []).length,
+          relatedGeneCount: Object.keys(result.relatedGenes || {}).length,
+          ...(result.error ? { error: result.message || result.error } : {})
+        });
+      }
+      
+      const { candidates, indicated } = rankDiseaseCandidates(disease, results);
+      debug(`Disease ${disease.code}: ${candidates.length} candidate drugs, ${indicated.length} already indicated`);
+      
+      return {
+        disease,
+        candidates,
+        indicated,
+        genes,
+        genesSkipped: geneCodes.length - searched.length,
+        results,
+        release,
+        ...(matches ? { matches } : {})
+      };
+    } catch (error) {
+      if (isAbortError(error)) return this._cancelledResult();
+      debug(`Error in disease search: ${error.message}`);
+      return this._errorResult(error);
+    }
+  }
+  
+  // Gene ID for one item of a gene list: IDs are used as they are, symbols resolve to their best
+  // find match. Returns { code, ambiguous } or null when KEGG has no such gene
+  async resolveGeneListItem(item, { organism = this.organism, signal } = {}) {
+    if (isGeneId(item)) return { code: this.formatGeneCode(item, organism), ambiguous: false };
+    
+    const genes = await this.suggestGenes(item, { organism, signal, limit: null });
+    if (genes.length === 0) return null;
+    return { code: genes[0].id, ambiguous: isAmbiguousGeneQuery(genes, item) };
+  }
+  
+  // Every item of a gene list as { input, code, ambiguous }, or { input, error } when it can't be
+  // resolved. Later spellings of a gene already listed are marked duplicate
+  async _resolveGeneList(inputs, { organism = this.organism, signal, concurrency = CONFIG.GENE_LIST_CONCURRENCY } = {}) {
+    const genes = await this._mapConcurrent(inputs, concurrency, async input => {
+      try {
+        const resolved = await this.resolveGeneListItem(input, { organism, signal });
+        return resolved ? { input, ...resolved } : { input, error: `No genes found with name ${input}` };
+      } catch (error) {
+        // One failed lookup shouldn't sink the whole list
+        if (isAbortError(error)) throw error;
+        return { input, error: error.message };
+      }
+    });
+    
+    const codes = new Set();
+    for (const gene of genes) {
+      if (!gene.code) continue;
+      if (codes.has(gene.code)) gene.duplicate = true;
+      codes.add(gene.code);
+    }
+    return genes;
+  }
+  
+  // Gene-list search: the related-gene expansion run from every gene of a list (IDs or symbols,
+  // as parseGeneList or parseGmt give them), with one lookup store shared across the genes,
+  // and the drugs reached combined by aggregateGeneListCandidates.
+  // onProgress({ done, total, gene }) is called as each gene finishes
+  async getGeneListCandidates(items, {
+    signal,
+    expansion = {},
+    organism = this.organism,
+    maxGenes = CONFIG.GENE_LIST_MAX_GENES,
+    concurrency = CONFIG.GENE_LIST_CONCURRENCY,
+    onProgress
+  } = {}) {
+    try {
+      const inputs = [...new Set(items.map(item => String(item).trim()).filter(Boolean))];
+      if (inputs.length === 0) {
+        return { error: "Invalid Gene List", errorKind: 'not-found', message: 'The gene list is empty' };
+      }
+      
+      const release = await this.getKeggRelease({ signal });
+      const searched = inputs.slice(0, maxGenes);
+      debug(`Gene list of ${inputs.length} genes, searching ${searched.length}`);
+      
+      // Resolve every gene first - the list's IDs are the gene set the enrichment strategy tests
+      const genes = await this._resolveGeneList(searched, { organism, signal, concurrency });
+      const expanded = genes.filter(gene => gene.code && !gene.duplicate);
+      const lookups = this._createLookupStore(expanded.map(gene => gene.code));
+      const results = {};
+      let done = genes.length - expanded.length;
+      
+      await this._mapConcurrent(expanded, concurrency, async gene => {
+        const result = await this.getRelatedGenesAndDrugs(gene.code, { signal, expansion, lookups });
+        if (result.cancelled) throw new KeggAbortError();
+        
+        if (result.error && !result.geneName) {
+          gene.error = result.message || result.error;
+        } else {
+          // A gene without pathway data is kept with its error, like in a disease search
+          results[gene.code] = result;
+          Object.assign(gene, {
+            name: result.geneName,
+            drugCount: (result.drugsWithInfo || []).length,
+            relatedGeneCount: Object.keys(result.relatedGenes || {}).length,
+            ...(result.error ? { error: result.message || result.error } : {})
+          });
+        }
+        
+        done++;
+        if (onProgress) onProgress({ done, total: searched.length, gene });
+      });
+      
+      const candidates = aggregateGeneListCandidates(results);
+      debug(`Gene list: ${Object.keys(results).length} genes searched, ${candidates.length} candidate drugs`);
+      
+      return {
+        genes,
+        candidates,
+        genesSkipped: inputs.length - searched.length,
+        results,
+        release
+      };
+    } catch (error) {
+      if (isAbortError(error)) return this._cancelledResult();
+      debug(`Error in gene-list search: ${error.message}`);
+      return this._errorResult(error);
+    }
+  }
+  
+  // URL of a drug's links to the human genes it targets
+  _drugTargetsUrl(drugCode) {
+    return `${this.baseUrl}/link/${CONFIG.DRUG_TARGET_ORGANISM}/${formatDrugCode(drugCode)}`;
+  }
+  
+  // Human genes a drug targets, from KEGG's drug-gene links - [] when it has none
+  async getDrugTargetGenes(drugCode, { signal } = {}) {
+    const url = this._drugTargetsUrl(drugCode);
+    debug(`Fetching drug targets: ${url}`);
+    
+    try {
+      return [...new Set(this._parseLinkResponse(await this.fetchData(url, { signal })))];
+    } catch (error) {
+      if (error instanceof KeggNotFoundError) return [];
+      throw error;
+    }
+  }
+  
+  // Drug-first search, the reverse of getRelatedGenesAndDrugs: from a drug (D number or name) to
+  // its target genes, their pathways and neighbour genes, and the diseases linked to that
+  // neighbourhood that the drug isn't indicated for yet
+  async getDrugRepurposing(query, {
+    signal,
+    maxTargets = CONFIG.DRUG_MAX_TARGETS,
+    maxPathways = CONFIG.EXPANSION_MAX_PATHWAYS_PER_GENE,
+    maxDiseases = CONFIG.DRUG_MAX_DISEASES
+  } = {}) {
+    try {
+      const release = await this.getKeggRelease({ signal });
+      const resolved = await this.resolveDrug(query, { signal });
+      const entry = resolved ? await this.getDrug(resolved.code, { signal }) : null;
+      if (!entry) {
+        return { error: "Invalid Drug", errorKind: 'not-found', message: `No KEGG drug found for ${query}` };
+      }
+      const drug = {
+        ...this._createDrugInfo(entry.code, entry),
+        efficacy: entry.efficacy,
+        provenance: entry.provenance
+      };
+      
+      // 1. Target genes - KEGG's drug-gene links, or the TARGET section's genes when there are none
+      let targetCodes = await this.getDrugTargetGenes(drug.code, { signal });
+      let targetsProvenance = this.provenance(this._drugTargetsUrl(drug.code));
+      if (targetCodes.length === 0) {
+        targetCodes = [...new Set(drug.targets.flatMap(target => target.genes))];
+        targetsProvenance = drug.provenance;
+      }
+      const searched = targetCodes.slice(0, maxTargets);
+      debug(`Drug ${drug.code} has ${targetCodes.length} target genes, expanding ${searched.length}`);
+      
+      const context = this._createExpansionContext(searched[0] || null, [], { signal });
+      const diseaseLinks = await this.getOrganismDiseaseLinks(CONFIG.DRUG_TARGET_ORGANISM, { signal });
+      
+      // 2. Each target's pathways and the other genes in them
+      const targets = [];
+      const pathways = new Map();
+      const neighbours = new Map();
+      let pathwaysSkipped = 0;
+      
+      for (const targetCode of searched) {
+        const [name, genePathways] = await Promise.all([
+          this.getGeneName(targetCode, { signal }),
+          this.getGenePathways(targetCode, { signal })
+        ]);
+        const target = drug.targets.find(candidate => candidate.genes.includes(targetCode));
+        const expanded = genePathways.map(pathway => this._formatPathwayCode(pathway)).slice(0, maxPathways);
+        pathwaysSkipped += genePathways.length - expanded.length;
+        
+        for (const pathway of expanded) {
+          const [genes, relations, pathwayName] = await Promise.all([
+            context.getPathwayGenes(pathway),
+            context.getRelations(pathway, targetCode),
+            context.getPathwayName(pathway)
+          ]);
+          
+          if (!pathways.has(pathway)) {
+            pathways.set(pathway, { id: pathway, name: pathwayName, geneCount: genes.length, targets: [] });
+          }
+          pathways.get(pathway).targets.push(targetCode);
+          
+          for (const gene of genes) {
+            if (searched.includes(gene)) continue;
+            if (!neighbours.has(gene)) {
+              neighbours.set(gene, { gene, targets: [], pathways: [], interaction: null, provenance: this.provenance(this._pathwayGenesUrl(pathway)) });
+            }
+            const neighbour = neighbours.get(gene);
+            if (!neighbour.targets.includes(targetCode)) neighbour.targets.push(targetCode);
+            if (!neighbour.pathways.includes(pathway)) neighbour.pathways.push(pathway);
+            // Direct KGML partners of a target are the strongest neighbours
+            const relation = relations.get(gene);
+            if (relation && !neighbour.interaction) neighbour.interaction = { ...relation, target: targetCode };
+          }
+        }
+        
+        targets.push({
+          code: targetCode,
+          name,
+          mechanism: target ? target.mechanism : null,
+          sign: target ? target.sign : null,
+          pathways: expanded,
+          diseases: [...(diseaseLinks.get(targetCode) || [])],
+          provenance: targetsProvenance
+        });
+      }
+      
+      // 3. Diseases of the neighbourhood, minus those the drug is indicated for
+      const indicatedCodes = new Set(drug.diseases.map(disease => formatDiseaseCode(disease.code)));
+      const ranked = rankNeighbourhoodDiseases(targets, [...neighbours.values()], diseaseLinks, indicatedCodes);
+      const candidates = ranked.candidates.slice(0, maxDiseases);
+      
+      // Candidates come from the target organism's disease links
+      const diseaseProvenance = this.provenance(`${this.baseUrl}/link/disease/${CONFIG.DRUG_TARGET_ORGANISM}`);
+      const diseaseEntries = await this.getEntries(candidates.map(disease => disease.code), { signal });
+      for (const disease of candidates) {
+        const record = diseaseEntries.get(disease.code);
+        disease.name = (record && parseKeggEntry(record).name) || disease.code;
+        disease.provenance = diseaseProvenance;
+      }
+      debug(`Drug ${drug.code}: ${ranked.candidates.length} candidate diseases, ${ranked.indicated.length} indicated ones in the neighbourhood`);
+      
+      return {
+        drug,
+        targets,
+        targetsSkipped: targetCodes.length - searched.length,
+        pathways: [...pathways.values()],
+        pathwaysSkipped,
+        neighbours: [...neighbours.values()],
+        diseases: candidates,
+        diseasesSkipped: ranked.candidates.length - candidates.length,
+        indicated: drug.diseases,
+        release
+      };
+    } catch (error) {
+      if (isAbortError(error)) return this._cancelledResult();
+      debug(`Error in drug search: ${error.message}`);
+      return this._errorResult(error);
+    }
+  }
+  
+  // Get performance metrics
+  getPerformanceMetrics() {
+    const totalRequests = this.metrics.requestCount;
+    const successRate = totalRequests > 0 ? 
+      (this.metrics.successCount / totalRequests) * 100 : 0;
+    const avgRequestTime = this.metrics.successCount > 0 ? 
+      this.metrics.totalTime / this.metrics.successCount : 0;
+    
+    return {
+      requestCount: totalRequests,
+      successCount: this.metrics.successCount,
+      failureCount: this.metrics.failureCount,
+      successRate: successRate,
+      averageRequestTime: avgRequestTime,
+      cacheHits: this.metrics.cacheHits
+    };
+  }
+  
+  // Format gene ID for display (remove the organism prefix, e.g. 'hsa:')
+  formatGeneId(id) {
+    return id.replace(/^[a-z]{3,4}:/, '');
+  }
+}
+
+export { KeggAPI, getOrganismCode };
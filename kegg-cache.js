@@ -0,0 +1,423 @@
+/**
+ * KEGG Response Cache
+ * Persistent, TTL-based cache for KEGG REST responses
+ * (IndexedDB in the browser, a file store under Node)
+ */
+
+import { debug } from './kegg-config.js';
+
+// KEGG REST operations we know how to expire separately
+const KEGG_OPERATIONS = ['info', 'list', 'find', 'get', 'conv', 'link', 'ddi'];
+
+// Work out which KEGG operation a URL belongs to (e.g. .../get/hsa:5747 -> "get")
+function getKeggOperation(url) {
+  const path = String(url).replace(/^[a-z]+:\/\/[^/]+/i, '').split('?')[0];
+  const segment = path.split('/').find(part => KEGG_OPERATIONS.includes(part));
+  return segment || 'default';
+}
+
+// Human-readable byte count for cache summaries
+function formatBytes(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// In-memory store, used when no persistent storage is available
+class MemoryCacheStore {
+  constructor() {
+    this.meta = new Map();
+    this.data = new Map();
+  }
+  
+  async load() {
+    return [...this.meta.values()];
+  }
+  
+  async read(url) {
+    return this.data.has(url) ? this.data.get(url) : null;
+  }
+  
+  async write(meta, data) {
+    this.meta.set(meta.url, meta);
+    this.data.set(meta.url, data);
+  }
+  
+  async remove(url) {
+    this.meta.delete(url);
+    this.data.delete(url);
+  }
+  
+  async clear() {
+    this.meta.clear();
+    this.data.clear();
+  }
+}
+
+// IndexedDB store - metadata and bodies are kept apart so the index loads quickly
+class IndexedDbCacheStore {
+  constructor(dbName = 'omnigene-kegg-cache') {
+    this.dbName = dbName;
+    this.dbPromise = null;
+  }
+  
+  _open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'url' });
+          if (!db.objectStoreNames.contains('data')) db.createObjectStore('data', { keyPath: 'url' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+  
+  async _run(storeNames, mode, work) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let result;
+      const request = work(tx);
+      if (request) request.onsuccess = () => { result = request.result; };
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+  
+  async load() {
+    return (await this._run(['meta'], 'readonly', tx => tx.objectStore('meta').getAll())) || [];
+  }
+  
+  async read(url) {
+    const record = await this._run(['data'], 'readonly', tx => tx.objectStore('data').get(url));
+    return record ? record.data : null;
+  }
+  
+  async write(meta, data) {
+    await this._run(['meta', 'data'], 'readwrite', tx => {
+      tx.objectStore('meta').put(meta);
+      tx.objectStore('data').put({ url: meta.url, data });
+    });
+  }
+  
+  async remove(url) {
+    await this._run(['meta', 'data'], 'readwrite', tx => {
+      tx.objectStore('meta').delete(url);
+      tx.objectStore('data').delete(url);
+    });
+  }
+  
+  async clear() {
+    await this._run(['meta', 'data'], 'readwrite', tx => {
+      tx.objectStore('meta').clear();
+      tx.objectStore('data').clear();
+    });
+  }
+}
+
+// File store for Node - one <hash>.meta.json and one <hash>.txt per response
+class FileCacheStore {
+  constructor(directory = '.kegg_cache') {
+    this.directory = directory;
+    this.modulesPromise = null;
+  }
+  
+  _modules() {
+    if (!this.modulesPromise) {
+      this.modulesPromise = Promise.all([
+        import('node:fs/promises'),
+        import('node:path'),
+        import('node:crypto')
+      ]).then(async ([fs, path, crypto]) => {
+        await fs.mkdir(this.directory, { recursive: true });
+        return { fs, path, crypto };
+      });
+    }
+    return this.modulesPromise;
+  }
+  
+  async _paths(url) {
+    const { path, crypto } = await this._modules();
+    const hashed = crypto.createHash('md5').update(url).digest('hex');
+    return {
+      meta: path.join(this.directory, `${hashed}.meta.json`),
+      data: path.join(this.directory, `${hashed}.txt`)
+    };
+  }
+  
+  async load() {
+    const { fs, path } = await this._modules();
+    const files = (await fs.readdir(this.directory)).filter(name => name.endsWith('.meta.json'));
+    const entries = [];
+    for (const file of files) {
+      try {
+        entries.push(JSON.parse(await fs.readFile(path.join(this.directory, file), 'utf8')));
+      } catch (error) {
+        debug(`Skipping unreadable cache file ${file}: ${error.message}`);
+      }
+    }
+    return entries;
+  }
+  
+  async read(url) {
+    const { fs } = await this._modules();
+    try {
+      return await fs.readFile((await this._paths(url)).data, 'utf8');
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  async write(meta, data) {
+    const { fs } = await this._modules();
+    const paths = await this._paths(meta.url);
+    // Body first, so a meta file never points at a missing body
+    await fs.writeFile(paths.data, data, 'utf8');
+    await fs.writeFile(paths.meta, JSON.stringify(meta), 'utf8');
+  }
+  
+  async remove(url) {
+    const { fs } = await this._modules();
+    const paths = await this._paths(url);
+    await fs.rm(paths.meta, { force: true });
+    await fs.rm(paths.data, { force: true });
+  }
+  
+  async clear() {
+    const { fs, path } = await this._modules();
+    const files = (await fs.readdir(this.directory))
+      .filter(name => name.endsWith('.meta.json') || name.endsWith('.txt'));
+    await Promise.all(files.map(name => fs.rm(path.join(this.directory, name), { force: true })));
+  }
+}
+
+// Pick the best store for the current environment
+function createDefaultCacheStore(directory) {
+  if (typeof indexedDB !== 'undefined') {
+    return new IndexedDbCacheStore();
+  }
+  if (typeof process !== 'undefined' && process.versions && process.versions.node) {
+    return new FileCacheStore(directory);
+  }
+  return new MemoryCacheStore();
+}
+
+// TTL-based response cache with entry and byte limits
+class KeggCache {
+  constructor(options = {}) {
+    this.enabled = options.enabled !== false;
+    this.ttl = { ...(options.ttl || {}) };
+    this.maxEntries = options.maxEntries || Infinity;
+    this.maxBytes = options.maxBytes || Infinity;
+    this.store = options.store || createDefaultCacheStore(options.directory);
+    
+    // Metadata of everything in the store, keyed by URL
+    this.index = new Map();
+    this.totalBytes = 0;
+    this.readyPromise = null;
+    
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 };
+  }
+  
+  // Load the metadata index from the store once
+  _ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = this.store.load()
+        .then(entries => {
+          for (const meta of entries) {
+            this.index.set(meta.url, meta);
+            this.totalBytes += meta.size || 0;
+          }
+          debug(`Cache loaded with ${this.index.size} entries`);
+        })
+        .catch(error => {
+          debug(`Cache unavailable, continuing without it: ${error.message}`);
+          this.store = new MemoryCacheStore();
+        });
+    }
+    return this.readyPromise;
+  }
+  
+  // TTL in milliseconds for a KEGG operation
+  getTtl(operation) {
+    if (this.ttl[operation] !== undefined) return this.ttl[operation];
+    return this.ttl.default !== undefined ? this.ttl.default : 0;
+  }
+  
+  // Whether a fresh entry exists for a URL (does not count as a hit or miss)
+  async has(url) {
+    if (!this.enabled) return false;
+    await this._ready();
+    const meta = this.index.get(url);
+    return Boolean(meta && meta.expiresAt > Date.now());
+  }
+  
+  // When the entry for a URL was fetched from KEGG (ms), or null if it isn't cached.
+  // Only meaningful after get() has loaded the index
+  storedAt(url) {
+    const meta = this.index.get(url);
+    return meta ? meta.storedAt : null;
+  }
+  
+  // Return cached data for a URL, or null if missing or expired
+  async get(url) {
+    if (!this.enabled) return null;
+    
+    try {
+      await this._ready();
+      const meta = this.index.get(url);
+      
+      if (!meta) {
+        this.stats.misses++;
+        return null;
+      }
+      
+      if (meta.expiresAt <= Date.now()) {
+        debug(`Cache entry expired for ${url}`);
+        await this._remove(url);
+        this.stats.misses++;
+        return null;
+      }
+      
+      const data = await this.store.read(url);
+      if (data === null) {
+        await this._remove(url);
+        this.stats.misses++;
+        return null;
+      }
+      
+      meta.lastAccess = Date.now();
+      this.stats.hits++;
+      debug(`Cache hit for ${url}`);
+      return data;
+    } catch (error) {
+      debug(`Cache read failed for ${url}: ${error.message}`);
+      return null;
+    }
+  }
+  
+  // Store data for a URL using the TTL of its KEGG operation
+  async set(url, data) {
+    if (!this.enabled || typeof data !== 'string') return;
+    
+    const operation = getKeggOperation(url);
+    const ttl = this.getTtl(operation);
+    if (ttl <= 0) return;
+    
+    try {
+      await this._ready();
+      
+      const size = data.length;
+      if (size > this.maxBytes) {
+        debug(`Response for ${url} is larger than the cache limit, not caching`);
+        return;
+      }
+      
+      const now = Date.now();
+      const meta = {
+        url,
+        operation,
+        size,
+        storedAt: now,
+        lastAccess: now,
+        expiresAt: now + ttl
+      };
+      
+      if (this.index.has(url)) await this._remove(url);
+      await this.store.write(meta, data);
+      this.index.set(url, meta);
+      this.totalBytes += size;
+      this.stats.writes++;
+      
+      await this._enforceLimits();
+    } catch (error) {
+      debug(`Cache write failed for ${url}: ${error.message}`);
+    }
+  }
+  
+  // Drop expired entries, then least recently used ones until within limits
+  async _enforceLimits() {
+    const now = Date.now();
+    for (const meta of [...this.index.values()]) {
+      if (meta.expiresAt <= now) await this._remove(meta.url);
+    }
+    
+    if (this.index.size <= this.maxEntries && this.totalBytes <= this.maxBytes) return;
+    
+    const byAge = [...this.index.values()].sort((a, b) => a.lastAccess - b.lastAccess);
+    for (const meta of byAge) {
+      if (this.index.size <= this.maxEntries && this.totalBytes <= this.maxBytes) break;
+      await this._remove(meta.url);
+      this.stats.evictions++;
+    }
+  }
+  
+  async _remove(url) {
+    const meta = this.index.get(url);
+    if (meta) {
+      this.index.delete(url);
+      this.totalBytes -= meta.size || 0;
+    }
+    await this.store.remove(url);
+  }
+  
+  // Remove a single URL from the cache
+  async delete(url) {
+    await this._ready();
+    await this._remove(url);
+  }
+  
+  // Remove everything from the cache
+  async clear() {
+    await this._ready();
+    await this.store.clear();
+    this.index.clear();
+    this.totalBytes = 0;
+    debug('Cache cleared');
+  }
+  
+  // Summary of the cache contents for display
+  async inspect() {
+    await this._ready();
+    
+    const byOperation = {};
+    for (const meta of this.index.values()) {
+      const summary = byOperation[meta.operation] || (byOperation[meta.operation] = { count: 0, bytes: 0 });
+      summary.count++;
+      summary.bytes += meta.size || 0;
+    }
+    
+    return {
+      enabled: this.enabled,
+      entryCount: this.index.size,
+      totalBytes: this.totalBytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      byOperation,
+      ...this.stats
+    };
+  }
+  
+  // Metadata for every cached URL, most recently used first
+  async list() {
+    await this._ready();
+    return [...this.index.values()].sort((a, b) => b.lastAccess - a.lastAccess);
+  }
+}
+
+export {
+  KEGG_OPERATIONS,
+  getKeggOperation,
+  formatBytes,
+  MemoryCacheStore,
+  IndexedDbCacheStore,
+  FileCacheStore,
+  createDefaultCacheStore,
+  KeggCache
+};
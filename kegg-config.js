@@ -0,0 +1,92 @@
+/**
+ * OmniGene Configuration
+ * Shared settings and debug logging for the KEGG client
+ */
+
+// Configuration constants
+const CONFIG = {
+  DEBUG_MODE: false,    // the pages turn it on; the CLI with --verbose
+  DEBUG_LOGGER: null,   // defaults to console.debug
+  
+  // KEGG REST endpoint
+  KEGG_BASE_URL: 'https://rest.kegg.jp',
+  
+  // Requests and retries (see kegg-errors.js for the error types)
+  REQUEST_TIMEOUT: 10000,   // per attempt
+  RETRY_ATTEMPTS: 3,        // attempts in total, including the first
+  RETRY_BASE_DELAY: 1000,   // doubled after every failed attempt
+  RETRY_MAX_DELAY: 30000,   // longest wait between attempts - a longer Retry-After fails at once
+  RETRY_JITTER: 0.5,        // randomise each delay by up to +/-50%
+  RETRY_STATUSES: [408, 500, 502, 503, 504],   // 403/429 throttling is always retried
+  
+  // Batched DBGET requests - KEGG accepts up to 10 entries per get
+  BATCH_SIZE: 10,
+  BATCH_DELAY: 10,   // ms to wait for more entries before sending a batch
+  
+  // Response cache (see kegg-cache.js)
+  CACHE_ENABLED: true,
+  CACHE_TTL: {
+    get: 7 * 24 * 60 * 60 * 1000,   // entries rarely change between KEGG releases
+    link: 24 * 60 * 60 * 1000,
+    find: 6 * 60 * 60 * 1000,
+    list: 7 * 24 * 60 * 60 * 1000,
+    info: 24 * 60 * 60 * 1000,
+    default: 24 * 60 * 60 * 1000
+  },
+  CACHE_MAX_ENTRIES: 5000,
+  CACHE_MAX_BYTES: 50 * 1024 * 1024,
+  CACHE_DIR: '.kegg_cache',
+  
+  // Network expansion around the query gene (see kegg-expansion.js for the strategies)
+  EXPANSION_DEPTH: 1,                    // pathway hops out from the query gene
+  EXPANSION_MAX_PATHWAYS_PER_GENE: 2,
+  EXPANSION_MAX_GENES_PER_PATHWAY: 5,
+  EXPANSION_MAX_TOTAL_GENES: 20,
+  EXPANSION_STRATEGY: 'order',           // the other strategies cost extra requests to rank pathways and genes
+  EXPANSION_CONCURRENCY: 1,              // related genes processed at once
+  DISEASE_MAX_GENES: 5,                  // disease genes expanded in a disease-first search
+  DRUG_MAX_TARGETS: 5,                   // drug targets expanded in a drug-first search
+  DRUG_MAX_DISEASES: 25,                 // candidate diseases named in a drug-first search
+  GENE_SUGGESTION_LIMIT: 10,             // type-ahead suggestions for a gene symbol
+  GENE_LIST_MAX_GENES: 500,              // genes searched from a gene list or gene set
+  GENE_LIST_CONCURRENCY: 2,              // gene-list genes expanded at once
+  ENRICHMENT_MIN_PATHWAY_SIZE: 5,        // pathways tested for over-representation, by gene count
+  ENRICHMENT_MAX_PATHWAY_SIZE: 500,
+  PROXIMITY_ENABLED: false,              // network proximity of each drug to the disease module (see kegg-proximity.js)
+  PROXIMITY_SAMPLES: 1000,               // random target/module sets behind each z-score
+  PROXIMITY_MIN_BIN_SIZE: 10,            // genes per degree bin the random sets are drawn from
+  PROXIMITY_SEED: 1,
+  
+  // Repurposing score component weights (see kegg-scoring.js); scores are kept within 0-1
+  SCORING_WEIGHTS: {
+    base: 0.3,
+    queryTarget: 0.5,
+    sharedDisease: 0.5,
+    indication: 0.2,
+    activation: 0.2,
+    inhibition: -0.1,
+    proximity: 0                         // needs PROXIMITY_ENABLED (or the proximity option)
+  },
+  
+  // Organisms - bare gene IDs get DEFAULT_ORGANISM's prefix
+  DEFAULT_ORGANISM: 'hsa',
+  DRUG_TARGET_ORGANISM: 'hsa',   // KEGG DRUG targets are human genes
+  ORGANISMS: {
+    hsa: 'Homo sapiens (human)',
+    mmu: 'Mus musculus (mouse)',
+    rno: 'Rattus norvegicus (rat)',
+    dre: 'Danio rerio (zebrafish)',
+    dme: 'Drosophila melanogaster (fruit fly)',
+    cel: 'Caenorhabditis elegans (nematode)',
+    sce: 'Saccharomyces cerevisiae (budding yeast)'
+  }
+};
+
+// Helper function for debugging
+function debug(...args) {
+  if (CONFIG.DEBUG_MODE) {
+    (CONFIG.DEBUG_LOGGER || console.debug)(...args);
+  }
+}
+
+export { CONFIG, debug };
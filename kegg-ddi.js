@@ -0,0 +1,110 @@
+/**
+ * Drug-Drug Interactions
+ * Parses KEGG ddi responses and lays interactions out as a drug-by-drug matrix
+ */
+
+// Labels KEGG puts on an interaction
+const DDI_LABELS = {
+  CI: 'Contraindication',
+  P: 'Precaution'
+};
+
+// Drug codes in KEGG's dr: form (D00564 -> dr:D00564)
+function formatDrugCode(code) {
+  return code.startsWith('dr:') ? code : `dr:${code}`;
+}
+
+// Unique candidate drugs ({ code, name }) of a getRelatedGenesAndDrugs result - the query
+// gene's drugs first, then those of related genes
+function collectCandidateDrugs(result) {
+  const drugs = new Map();
+  const lists = [result.drugsWithInfo || [], ...Object.values(result.relatedGenes || {}).map(gene => gene.drugsWithInfo || [])];
+  
+  for (const drug of lists.flat()) {
+    const code = formatDrugCode(drug.code);
+    if (!drugs.has(code)) drugs.set(code, { code, name: drug.name || code });
+  }
+  
+  return [...drugs.values()];
+}
+
+// Lines such as "dr:D00564\tdr:D00100\tCI,P\tEnzyme: CYP3A4" -> one record per line.
+// Only drug/drug pairs are kept (KEGG also answers with JAPIC and NDC product codes)
+function parseDdiResponse(text) {
+  const interactions = [];
+  for (const line of String(text || '').trim().split('\n')) {
+    const [drug1, drug2, labels = '', mechanism = ''] = line.split('\t');
+    if (!drug1 || !drug2 || !drug1.startsWith('dr:') || !drug2.startsWith('dr:')) continue;
+    
+    interactions.push({
+      drug1,
+      drug2,
+      labels: labels.split(',').map(label => label.trim()).filter(Boolean),
+      mechanism: mechanism.trim()
+    });
+  }
+  return interactions;
+}
+
+// Interaction matrix for a set of drugs ({ code, name, role }): every interacting pair within
+// the set, matrix[a][b] for lookups in either direction, and CI/P counts. Pairs reported twice
+// (once from each drug's side) are merged
+function buildInteractionMatrix(drugs, interactions) {
+  const codes = new Set(drugs.map(drug => drug.code));
+  const matrix = {};
+  const pairs = [];
+  
+  for (const interaction of interactions) {
+    const { drug1, drug2 } = interaction;
+    if (drug1 === drug2 || !codes.has(drug1) || !codes.has(drug2)) continue;
+    
+    const existing = matrix[drug1] && matrix[drug1][drug2];
+    if (existing) {
+      existing.labels = [...new Set([...existing.labels, ...interaction.labels])];
+      if (interaction.mechanism && !existing.mechanism.includes(interaction.mechanism)) {
+        existing.mechanism = existing.mechanism ? `${existing.mechanism}; ${interaction.mechanism}` : interaction.mechanism;
+      }
+      continue;
+    }
+    
+    const pair = { drug1, drug2, labels: [...interaction.labels], mechanism: interaction.mechanism, provenance: interaction.provenance || null };
+    pairs.push(pair);
+    (matrix[drug1] = matrix[drug1] || {})[drug2] = pair;
+    (matrix[drug2] = matrix[drug2] || {})[drug1] = pair;
+  }
+  
+  return {
+    drugs,
+    pairs,
+    matrix,
+    counts: {
+      CI: pairs.filter(pair => pair.labels.includes('CI')).length,
+      P: pairs.filter(pair => pair.labels.includes('P')).length
+    }
+  };
+}
+
+// Interactions of one drug within a matrix, for drug cards and exports
+function getDrugInteractionList(interactionMatrix, drugCode) {
+  const row = interactionMatrix.matrix[formatDrugCode(drugCode)] || {};
+  return Object.entries(row).map(([code, pair]) => {
+    const other = interactionMatrix.drugs.find(drug => drug.code === code);
+    return {
+      code,
+      name: other ? other.name : code,
+      role: other ? other.role : null,
+      labels: pair.labels,
+      mechanism: pair.mechanism,
+      provenance: pair.provenance
+    };
+  });
+}
+
+export {
+  DDI_LABELS,
+  formatDrugCode,
+  collectCandidateDrugs,
+  parseDdiResponse,
+  buildInteractionMatrix,
+  getDrugInteractionList
+};
@@ -0,0 +1,120 @@
+/**
+ * Disease-First Search
+ * Ranks drugs reached from a disease's genes, setting apart those already indicated for it
+ */
+
+import { closerProximity } from './kegg-proximity.js';
+
+// Best first - a drug hitting a disease gene outranks one hitting a neighbour or only sharing a pathway
+const TARGET_CLASS_ORDER = ['query', 'neighbour', 'pathway'];
+
+// Position of a target class in TARGET_CLASS_ORDER; unlabelled drugs go last
+function targetClassRank(targetClass) {
+  const index = TARGET_CLASS_ORDER.indexOf(targetClass);
+  return index === -1 ? TARGET_CLASS_ORDER.length : index;
+}
+
+// Disease codes in KEGG's ds: form (H00031 -> ds:H00031)
+function formatDiseaseCode(code) {
+  return code.startsWith('ds:') ? code : `ds:${code}`;
+}
+
+// KEGG DISEASE IDs, with or without the ds: prefix
+function isDiseaseCode(text) {
+  return /^(ds:)?H\d{5}$/i.test(String(text).trim());
+}
+
+// Whether a drug is already indicated for a disease: listed in the disease's DRUG section,
+// or the disease is among the drug's own (EFFICACY) diseases
+function isIndicatedFor(drug, disease) {
+  const diseaseId = disease.code.replace(/^ds:/, '');
+  const drugCode = drug.code.startsWith('dr:') ? drug.code : `dr:${drug.code}`;
+  
+  if ((disease.drugs || []).some(entry => entry.codes.includes(drugCode))) return true;
+  return (drug.diseases || []).some(entry => entry.code.replace(/^ds:/, '') === diseaseId);
+}
+
+// Candidate drugs over the getRelatedGenesAndDrugs results of a disease's genes (keyed by gene).
+// Each drug is merged across genes: the disease genes it was reached from, its best target class (with that hit's provenance),
+// score and network proximity. Drugs already indicated for the disease are returned apart from the candidates
+function rankDiseaseCandidates(disease, geneResults) {
+  const drugs = new Map();
+  
+  const add = (drug, diseaseGene, gene) => {
+    let entry = drugs.get(drug.code);
+    if (!entry) {
+      entry = {
+        code: drug.code,
+        name: drug.name,
+        diseases: drug.diseases || [],
+        targets: drug.targets || [],
+        targetClass: drug.targetClass,
+        targetLabel: drug.targetLabel,
+        mechanism: drug.mechanism,
+        queryEffect: drug.queryEffect,
+        repurposingScore: drug.repurposingScore,
+        scoreTotal: drug.scoreTotal,
+        scoreBreakdown: drug.scoreBreakdown,
+        proximity: drug.proximity,
+        provenance: drug.provenance || null,
+        diseaseGenes: [],
+        via: [],
+        indicated: isIndicatedFor(drug, disease)
+      };
+      drugs.set(drug.code, entry);
+    }
+    
+    if (!entry.diseaseGenes.includes(diseaseGene)) entry.diseaseGenes.push(diseaseGene);
+    entry.via.push({ diseaseGene, gene, targetClass: drug.targetClass, provenance: drug.provenance || null });
+    
+    // Keep the labels and provenance of the closest hit
+    if (targetClassRank(drug.targetClass) < targetClassRank(entry.targetClass)) {
+      Object.assign(entry, {
+        targetClass: drug.targetClass,
+        targetLabel: drug.targetLabel,
+        mechanism: drug.mechanism,
+        queryEffect: drug.queryEffect,
+        provenance: drug.provenance || null
+      });
+    }
+    entry.proximity = closerProximity(entry.proximity, drug.proximity);
+    
+    // Keep the best score, with its breakdown
+    if ((drug.repurposingScore ?? -Infinity) > (entry.repurposingScore ?? -Infinity)) {
+      Object.assign(entry, {
+        repurposingScore: drug.repurposingScore,
+        scoreTotal: drug.scoreTotal,
+        scoreBreakdown: drug.scoreBreakdown
+      });
+    }
+  };
+  
+  for (const [diseaseGene, result] of Object.entries(geneResults)) {
+    for (const drug of result.drugsWithInfo || []) add(drug, diseaseGene, diseaseGene);
+    for (const [geneCode, gene] of Object.entries(result.relatedGenes || {})) {
+      for (const drug of gene.drugsWithInfo || []) add(drug, diseaseGene, geneCode);
+    }
+  }
+  
+  // Closest target first, then reach across the disease's genes, then score
+  const sorted = [...drugs.values()].sort((a, b) =>
+    targetClassRank(a.targetClass) - targetClassRank(b.targetClass) ||
+    b.diseaseGenes.length - a.diseaseGenes.length ||
+    (b.repurposingScore ?? 0) - (a.repurposingScore ?? 0) ||
+    a.name.localeCompare(b.name)
+  );
+  
+  return {
+    candidates: sorted.filter(drug => !drug.indicated),
+    indicated: sorted.filter(drug => drug.indicated)
+  };
+}
+
+export {
+  TARGET_CLASS_ORDER,
+  targetClassRank,
+  formatDiseaseCode,
+  isDiseaseCode,
+  isIndicatedFor,
+  rankDiseaseCandidates
+};
@@ -0,0 +1,130 @@
+/**
+ * Pathway Enrichment
+ * Over-representation of a gene set in KEGG pathways - hypergeometric test with Benjamini-Hochberg correction
+ */
+
+// Lanczos approximation coefficients (g = 7) for logGamma
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+// log Γ(x) - log(n!) is logGamma(n + 1); plenty precise for p-values
+function logGamma(x) {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  
+  const z = x - 1;
+  let sum = 0.99999999999980993;
+  LANCZOS.forEach((coefficient, i) => {
+    sum += coefficient / (z + i + 1);
+  });
+  const t = z + LANCZOS.length - 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// log of the binomial coefficient n choose k
+function logChoose(n, k) {
+  return logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1);
+}
+
+// P(X >= overlap) for X hypergeometric: drawing listSize genes from a background of
+// backgroundSize genes, pathwaySize of which are in the pathway
+function hypergeometricPValue(overlap, backgroundSize, pathwaySize, listSize) {
+  const max = Math.min(pathwaySize, listSize);
+  if (overlap <= 0) return 1;
+  if (overlap > max) return 0;
+  
+  const total = logChoose(backgroundSize, listSize);
+  let p = 0;
+  for (let i = overlap; i <= max; i++) {
+    p += Math.exp(logChoose(pathwaySize, i) + logChoose(backgroundSize - pathwaySize, listSize - i) - total);
+  }
+  return Math.min(1, p);
+}
+
+// Benjamini-Hochberg adjusted p-values (q-values), in the order of the p-values given
+function benjaminiHochberg(pValues) {
+  const count = pValues.length;
+  const order = pValues.map((p, index) => index).sort((a, b) => pValues[b] - pValues[a]);
+  const adjusted = new Array(count);
+  
+  // From the largest p-value down, keeping the q-values monotone
+  let running = 1;
+  order.forEach((index, i) => {
+    const rank = count - i;
+    running = Math.min(running, (pValues[index] * count) / rank);
+    adjusted[index] = running;
+  });
+  return adjusted;
+}
+
+// Pathway memberships of every gene of an organism (link/pathway/<org>) -> pathway -> Set of genes
+function parsePathwayLinks(text) {
+  const pathways = new Map();
+  for (const line of String(text || '').trim().split('\n')) {
+    const [gene, pathway] = line.split('\t').map(part => (part || '').trim());
+    if (!gene || !pathway) continue;
+    const id = pathway.startsWith('path:') ? pathway : `path:${pathway}`;
+    if (!pathways.has(id)) pathways.set(id, new Set());
+    pathways.get(id).add(gene);
+  }
+  return pathways;
+}
+
+// Pathway names of an organism (list/pathway/<org>) -> path:ID -> name without the organism suffix
+function parsePathwayList(text) {
+  const names = new Map();
+  for (const line of String(text || '').trim().split('\n')) {
+    const [id, name] = line.split('\t').map(part => (part || '').trim());
+    if (!id || !name) continue;
+    names.set(id.startsWith('path:') ? id : `path:${id}`, name.replace(/ - [^-]+\([^)]*\)$/, ''));
+  }
+  return names;
+}
+
+// Over-representation of genes in the pathways of pathwayGenes (pathway -> Set of genes).
+// The background is every gene in at least one pathway, and only the list's genes in it count.
+// Pathways outside [minSize, maxSize] or without any of the genes aren't tested; the rest are
+// returned most significant first with their q-values across the pathways tested
+function enrichPathways(genes, pathwayGenes, { names = new Map(), minSize = 1, maxSize = Infinity } = {}) {
+  const background = new Set();
+  for (const members of pathwayGenes.values()) {
+    for (const gene of members) background.add(gene);
+  }
+  const mapped = [...new Set(genes)].filter(gene => background.has(gene));
+  
+  const rows = [];
+  for (const [id, members] of pathwayGenes) {
+    if (members.size < minSize || members.size > maxSize) continue;
+    const hits = mapped.filter(gene => members.has(gene));
+    if (hits.length === 0) continue;
+    
+    const expected = (mapped.length * members.size) / background.size;
+    rows.push({
+      id,
+      name: names.get(id) || id,
+      size: members.size,
+      overlap: hits.length,
+      genes: hits,
+      expected,
+      foldEnrichment: hits.length / expected,
+      pValue: hypergeometricPValue(hits.length, background.size, members.size, mapped.length)
+    });
+  }
+  
+  const qValues = benjaminiHochberg(rows.map(row => row.pValue));
+  rows.forEach((row, index) => {
+    row.qValue = qValues[index];
+  });
+  rows.sort((a, b) => a.pValue - b.pValue || b.overlap - a.overlap || a.id.localeCompare(b.id));
+  
+  return { backgroundSize: background.size, mapped, pathways: rows };
+}
+
+export {
+  hypergeometricPValue,
+  benjaminiHochberg,
+  parsePathwayLinks,
+  parsePathwayList,
+  enrichPathways
+};
@@ -0,0 +1,162 @@
+/**
+ * KEGG Request Errors
+ * Error types and cancellation helpers shared by the KEGG client
+ */
+
+// Base class for failed KEGG requests - kind tells the failures apart
+// ('not-found', 'rate-limited', 'network', 'timeout' or 'http')
+class KeggError extends Error {
+  constructor(message, { url = null, status = null, kind = 'http', retryable = false } = {}) {
+    super(message);
+    this.name = 'KeggError';
+    this.url = url;
+    this.status = status;
+    this.kind = kind;
+    this.retryable = retryable;
+  }
+}
+
+// 404 - KEGG has no such entry. Retrying won't change that
+class KeggNotFoundError extends KeggError {
+  constructor(url) {
+    super(`No KEGG data found for ${url}`, { url, status: 404, kind: 'not-found' });
+    this.name = 'KeggNotFoundError';
+  }
+}
+
+// 403/429 - KEGG is throttling us; retryAfter is in milliseconds when the server sent one
+class KeggRateLimitError extends KeggError {
+  constructor(url, status, retryAfter = null) {
+    super(`KEGG is limiting requests (HTTP ${status})`, { url, status, kind: 'rate-limited', retryable: true });
+    this.name = 'KeggRateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// The request never got a response (offline, DNS, CORS, connection reset...)
+class KeggNetworkError extends KeggError {
+  constructor(url, cause) {
+    super(`Could not reach KEGG: ${cause ? cause.message : 'network error'}`, { url, kind: 'network', retryable: true });
+    this.name = 'KeggNetworkError';
+    this.cause = cause;
+  }
+}
+
+// No response within the request timeout
+class KeggTimeoutError extends KeggError {
+  constructor(url, timeout) {
+    super(`KEGG did not respond within ${timeout / 1000}s`, { url, kind: 'timeout', retryable: true });
+    this.name = 'KeggTimeoutError';
+    this.timeout = timeout;
+  }
+}
+
+// Retry-After header in milliseconds - either delay-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+  
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Typed error for a non-OK response; retryStatuses lists the statuses worth retrying
+function createResponseError(url, response, retryStatuses = []) {
+  const status = response.status;
+  
+  if (status === 404) {
+    return new KeggNotFoundError(url);
+  }
+  if (status === 403 || status === 429) {
+    const retryAfter = response.headers ? parseRetryAfter(response.headers.get('Retry-After')) : null;
+    return new KeggRateLimitError(url, status, retryAfter);
+  }
+  
+  return new KeggError(`KEGG returned HTTP ${status}`, {
+    url,
+    status,
+    kind: 'http',
+    retryable: retryStatuses.includes(status)
+  });
+}
+
+// Raised when a request is cancelled through an AbortSignal
+// (named like the DOM's AbortError so callers can check error.name either way)
+class KeggAbortError extends Error {
+  constructor(message = 'Request cancelled') {
+    super(message);
+    this.name = 'AbortError';
+  }
+}
+
+// Whether an error means the request was cancelled rather than failed
+function isAbortError(error) {
+  return Boolean(error) && error.name === 'AbortError';
+}
+
+// Throw a KeggAbortError if the signal has already been aborted
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new KeggAbortError();
+  }
+}
+
+// Wait for ms milliseconds, rejecting early if the signal is aborted
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new KeggAbortError());
+      return;
+    }
+    
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new KeggAbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Signal that aborts once every given signal has aborted
+// (never, if any of them is missing - that caller can't be cancelled)
+function allSignals(signals) {
+  if (signals.length === 0 || signals.some(signal => !signal)) return undefined;
+  
+  const controller = new AbortController();
+  let remaining = signals.length;
+  
+  for (const signal of signals) {
+    if (signal.aborted) {
+      remaining--;
+      continue;
+    }
+    signal.addEventListener('abort', () => {
+      if (--remaining === 0) controller.abort();
+    }, { once: true });
+  }
+  
+  if (remaining === 0) controller.abort();
+  return controller.signal;
+}
+
+export {
+  KeggError,
+  KeggNotFoundError,
+  KeggRateLimitError,
+  KeggNetworkError,
+  KeggTimeoutError,
+  KeggAbortError,
+  parseRetryAfter,
+  createResponseError,
+  isAbortError,
+  throwIfAborted,
+  delay,
+  allSignals
+};
@@ -0,0 +1,124 @@
+/**
+ * Network Expansion Settings
+ * Budgets and prioritisation strategies for walking pathways out from a query gene
+ */
+
+import { CONFIG } from './kegg-config.js';
+import { RELATION_EFFECTS } from './kegg-kgml.js';
+
+// Ways of choosing which pathways and genes to expand when the budgets can't cover them all.
+// rankPathways/rankGenes get the expansion context (see KeggAPI._createExpansionContext)
+// and the gene being expanded, and return the candidates best first; a missing ranker keeps KEGG's list order
+const EXPANSION_STRATEGIES = {
+  order: {
+    label: 'KEGG order',
+    description: 'Pathways and genes in the order KEGG lists them (no extra requests)'
+  },
+  
+  'pathway-size': {
+    label: 'Smallest pathways first',
+    description: 'Small pathways are the most specific context for the query gene',
+    async rankPathways(pathways, context) {
+      const sizes = new Map();
+      for (const pathway of pathways) {
+        sizes.set(pathway, (await context.getPathwayGenes(pathway)).length);
+      }
+      return [...pathways].sort((a, b) => sizes.get(a) - sizes.get(b));
+    }
+  },
+  
+  'shared-diseases': {
+    label: 'Shared diseases',
+    description: 'Genes sharing the most diseases with the query gene, in the pathways with most such genes',
+    async rankPathways(pathways, context) {
+      const counts = new Map();
+      for (const pathway of pathways) {
+        const genes = await context.getPathwayGenes(pathway);
+        let sharing = 0;
+        for (const gene of genes) {
+          if (await context.sharedDiseaseCount(gene) > 0) sharing++;
+        }
+        counts.set(pathway, sharing);
+      }
+      return [...pathways].sort((a, b) => counts.get(b) - counts.get(a));
+    },
+    async rankGenes(genes, context) {
+      const counts = new Map();
+      for (const gene of genes) {
+        counts.set(gene, await context.sharedDiseaseCount(gene));
+      }
+      return [...genes].sort((a, b) => counts.get(b) - counts.get(a));
+    }
+  },
+  
+  relation: {
+    label: 'Pathway relations',
+    description: 'Genes with a KGML relation to the expanded gene (activation, inhibition, expression...) first, in the pathways with most of them',
+    async rankPathways(pathways, context, { source }) {
+      const counts = new Map();
+      for (const pathway of pathways) {
+        counts.set(pathway, (await context.getRelations(pathway, source)).size);
+      }
+      return [...pathways].sort((a, b) => counts.get(b) - counts.get(a));
+    },
+    async rankGenes(genes, context, { pathway, source }) {
+      const relations = await context.getRelations(pathway, source);
+      const rank = gene => {
+        const relation = relations.get(gene);
+        if (!relation) return RELATION_EFFECTS.length + 1;
+        const index = RELATION_EFFECTS.findIndex(effect => effect.label === relation.label);
+        return index === -1 ? RELATION_EFFECTS.length : index;
+      };
+      return [...genes].sort((a, b) => rank(a) - rank(b));
+    }
+  },
+  
+  enrichment: {
+    label: 'Pathway enrichment',
+    description: 'Pathways over-represented in the search\'s gene set (a gene list, or the query gene and the genes sharing its diseases), and the set\'s genes within them, first',
+    async rankPathways(pathways, context) {
+      const pValues = new Map();
+      for (const pathway of pathways) {
+        pValues.set(pathway, await context.getPathwayPValue(pathway));
+      }
+      return [...pathways].sort((a, b) => pValues.get(a) - pValues.get(b));
+    },
+    async rankGenes(genes, context) {
+      const inSet = new Map();
+      for (const gene of genes) {
+        inSet.set(gene, await context.isInGeneSet(gene));
+      }
+      return [...genes].sort((a, b) => inSet.get(b) - inSet.get(a));
+    }
+  }
+};
+
+// Expansion settings with CONFIG defaults filled in; throws on an unknown strategy or bad budget
+function resolveExpansionOptions(options = {}) {
+  const settings = {
+    depth: CONFIG.EXPANSION_DEPTH,
+    maxPathwaysPerGene: CONFIG.EXPANSION_MAX_PATHWAYS_PER_GENE,
+    maxGenesPerPathway: CONFIG.EXPANSION_MAX_GENES_PER_PATHWAY,
+    maxTotalGenes: CONFIG.EXPANSION_MAX_TOTAL_GENES,
+    strategy: CONFIG.EXPANSION_STRATEGY,
+    concurrency: CONFIG.EXPANSION_CONCURRENCY
+  };
+  
+  for (const [key, value] of Object.entries(options)) {
+    if (value !== undefined && value !== null) settings[key] = value;
+  }
+  
+  for (const key of ['depth', 'maxPathwaysPerGene', 'maxGenesPerPathway', 'maxTotalGenes', 'concurrency']) {
+    if (!Number.isInteger(settings[key]) || settings[key] < 1) {
+      throw new Error(`Expansion setting ${key} must be a positive integer (got ${settings[key]})`);
+    }
+  }
+  
+  if (!EXPANSION_STRATEGIES[settings.strategy]) {
+    throw new Error(`Unknown expansion strategy "${settings.strategy}" (expected one of ${Object.keys(EXPANSION_STRATEGIES).join(', ')})`);
+  }
+  
+  return settings;
+}
+
+export { EXPANSION_STRATEGIES, resolveExpansionOptions };
@@ -0,0 +1,138 @@
+/**
+ * Candidate Export
+ * The drug candidate table of a search as CSV, TSV, JSON or XLSX - the same table from the CLI and the browser
+ */
+
+import { formatScoreBreakdown } from './kegg-scoring.js';
+import { createXlsx } from './kegg-xlsx.js';
+import { DDI_LABELS, getDrugInteractionList } from './kegg-ddi.js';
+
+// Export formats, with the file extension and media type each is written with
+const EXPORT_FORMATS = {
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  tsv: { extension: 'tsv', mimeType: 'text/tab-separated-values' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  xlsx: { extension: 'xlsx', mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+// Columns of the candidate table - header, and the value of a row ({ queryGene, geneCode, gene, drug })
+const CANDIDATE_COLUMNS = [
+  { header: 'query_gene', value: row => row.queryGene },
+  { header: 'drug', value: row => row.drug.code },
+  { header: 'drug_name', value: row => row.drug.name },
+  { header: 'score', value: row => row.drug.repurposingScore ?? null },
+  { header: 'gene', value: row => row.geneCode },
+  { header: 'gene_name', value: row => row.gene.geneName },
+  { header: 'relation', value: row => (row.geneCode === row.queryGene ? 'query' : row.gene.relation) },
+  { header: 'pathway', value: row => (row.geneCode === row.queryGene ? '' : row.gene.pathway) },
+  { header: 'target_class', value: row => row.drug.targetLabel || '' },
+  { header: 'mechanism', value: row => row.drug.mechanism || '' },
+  { header: 'score_breakdown', value: row => formatScoreBreakdown(row.drug.scoreBreakdown, row.drug.scoreTotal ?? null) },
+  {
+    header: 'diseases',
+    value: row => (row.drug.diseases || []).map(disease => `${disease.name} (${disease.code})`).join('; ')
+  },
+  { header: 'source_url', value: row => (row.drug.provenance ? row.drug.provenance.url : '') },
+  { header: 'retrieved_at', value: row => (row.drug.provenance ? row.drug.provenance.retrievedAt : '') },
+  { header: 'kegg_release', value: row => (row.drug.provenance ? row.drug.provenance.release : '') }
+];
+
+// Column of a drug's interactions from a checkDrugInteractions result, grouped by label,
+// e.g. "CI: Warfarin (dr:D00564); P: Aspirin (dr:D00109), Ibuprofen (dr:D00126)"
+function interactionColumn(interactions) {
+  return {
+    header: 'ddi',
+    value: row => {
+      const list = getDrugInteractionList(interactions, row.drug.code);
+      return Object.keys(DDI_LABELS)
+        .map(label => [label, list.filter(other => other.labels.includes(label))])
+        .filter(([, others]) => others.length > 0)
+        .map(([label, others]) => `${label}: ${others.map(other => `${other.name} (${other.code})`).join(', ')}`)
+        .join('; ');
+    }
+  };
+}
+
+// Gene/drug pairs of a getRelatedGenesAndDrugs result - the query gene's drugs, then each related gene's
+function geneCandidateRows(queryGene, result) {
+  const rows = (result.drugsWithInfo || []).map(drug => ({ queryGene, geneCode: queryGene, gene: result, drug }));
+  for (const [geneCode, gene] of Object.entries(result.relatedGenes || {})) {
+    for (const drug of gene.drugsWithInfo || []) rows.push({ queryGene, geneCode, gene, drug });
+  }
+  return rows;
+}
+
+// Candidate table of a search: a gene search's result (with the gene searched), or a disease or
+// gene-list search, whose per-gene results all go in with the gene each expansion started from
+function candidateRows(search, geneCode = null) {
+  if (search.results) {
+    return Object.entries(search.results).flatMap(([code, result]) => geneCandidateRows(code, result));
+  }
+  return geneCandidateRows(geneCode, search);
+}
+
+function cellText(value) {
+  return value === undefined || value === null ? '' : String(value);
+}
+
+// Spreadsheets read cells starting with = + - @ as formulas ("+0.30 base" in a score breakdown);
+// a leading ' keeps those text. Numbers are left alone, so -1.5 stays a number
+function formulaSafe(value, text) {
+  return typeof value === 'string' && /^[=+\-@]/.test(text) ? `'${text}` : text;
+}
+
+// RFC 4180 quoting
+function csvCell(value) {
+  const text = formulaSafe(value, cellText(value));
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Tabs and newlines inside values would break the columns
+function tsvCell(value) {
+  return formulaSafe(value, cellText(value).replace(/[\t\r\n]+/g, ' '));
+}
+
+// A table of rows in one of EXPORT_FORMATS - text, or bytes (Uint8Array) for xlsx.
+// JSON is an array of objects keyed by the column headers
+function formatTable(rows, format, { columns = CANDIDATE_COLUMNS, sheetName = 'Candidates' } = {}) {
+  const headers = columns.map(column => column.header);
+  const values = rows.map(row => columns.map(column => column.value(row)));
+  
+  switch (format) {
+    case 'csv':
+      return [headers, ...values].map(line => line.map(csvCell).join(',')).join('\r\n') + '\r\n';
+    case 'tsv':
+      return [headers, ...values].map(line => line.map(tsvCell).join('\t')).join('\n') + '\n';
+    case 'json':
+      return `${JSON.stringify(values.map(line => Object.fromEntries(headers.map((header, i) => [header, line[i] ?? null]))), null, 2)}\n`;
+    case 'xlsx':
+      return createXlsx([headers, ...values], { sheetName });
+    default:
+      throw new Error(`Unknown export format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+  }
+}
+
+// Export format of a file name, from its extension - null when it isn't one of EXPORT_FORMATS
+function exportFormatOf(filename) {
+  const extension = String(filename).split('.').pop().toLowerCase();
+  return Object.keys(EXPORT_FORMATS).find(format => EXPORT_FORMATS[format].extension === extension) || null;
+}
+
+// Candidate table of a search (see candidateRows) as { content, filename, mimeType, rowCount }.
+// With a checkDrugInteractions result, a ddi column lists each drug's CI/P interactions
+function exportCandidates(search, format, { geneCode = null, interactions = null, basename = 'omnigene-candidates' } = {}) {
+  const rows = candidateRows(search, geneCode);
+  const columns = interactions ? [...CANDIDATE_COLUMNS, interactionColumn(interactions)] : CANDIDATE_COLUMNS;
+  const content = formatTable(rows, format, { columns });
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+  return { content, filename: `${basename}.${extension}`, mimeType, rowCount: rows.length };
+}
+
+export {
+  EXPORT_FORMATS,
+  CANDIDATE_COLUMNS,
+  candidateRows,
+  formatTable,
+  exportFormatOf,
+  exportCandidates
+};
@@ -0,0 +1,297 @@
+/**
+ * Network Figure
+ * The network view as a standalone SVG or a PNG at a chosen DPI - styles inlined, HTML labels
+ * turned into SVG text and an optional legend - for slides and manuscripts
+ */
+
+import { crc32 } from './kegg-xlsx.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Computed style properties copied onto each element, so the figure looks the same without the page's CSS
+const INLINED_PROPERTIES = [
+  'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-dasharray', 'stroke-linecap', 'stroke-opacity',
+  'opacity', 'font-family', 'font-size', 'font-weight', 'text-anchor'
+];
+
+// Legend entries for omnigene-network.html - each is listed only when the view has an element matching
+// its selector, drawn with that element's colours. marker names a <marker> of the view for edge ends
+const NETWORK_LEGEND = [
+  { selector: '.node.center circle', label: 'Query gene', shape: 'node' },
+  { selector: '.node.related circle', label: 'Related gene', shape: 'node' },
+  { selector: '.node.pathway-member circle', label: 'Pathway member', shape: 'node' },
+  { selector: '.edge.activation:not(.indirect)', label: 'Activation / expression', shape: 'edge', marker: 'activation-marker' },
+  { selector: '.edge.inhibition:not(.indirect)', label: 'Inhibition / repression', shape: 'edge', marker: 'inhibition-marker' },
+  { selector: '.edge.indirect', label: 'Indirect effect', shape: 'edge' },
+  { selector: '.edge:not(.activation):not(.inhibition):not(.indirect)', label: 'Other relation / shared pathway', shape: 'edge' }
+];
+
+function inlineStyles(source, target) {
+  const style = getComputedStyle(source);
+  const declarations = INLINED_PROPERTIES
+    .map(property => [property, style.getPropertyValue(property)])
+    .filter(([, value]) => value && value !== 'auto')
+    .map(([property, value]) => `${property}: ${value}`);
+  target.setAttribute('style', declarations.join('; '));
+}
+
+let measuringContext = null;
+
+// Width of text in a CSS font, in pixels
+function textWidth(text, font) {
+  if (!measuringContext) measuringContext = document.createElement('canvas').getContext('2d');
+  measuringContext.font = font;
+  return measuringContext.measureText(text).width;
+}
+
+// Split text into lines no wider than width, measured in the given CSS font
+function wrapText(text, width, font) {
+  const lines = [];
+  let line = '';
+  for (const word of text.split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && textWidth(candidate, font) > width) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+// SVG <text> standing in for a foreignObject label: the HTML's text, font and colour, wrapped
+// to the box and centred in it as the flexbox label was
+function foreignObjectText(foreignObject) {
+  const html = foreignObject.firstElementChild || foreignObject;
+  const style = getComputedStyle(html);
+  const x = Number(foreignObject.getAttribute('x')) || 0;
+  const y = Number(foreignObject.getAttribute('y')) || 0;
+  const width = Number(foreignObject.getAttribute('width')) || 0;
+  const height = Number(foreignObject.getAttribute('height')) || 0;
+  const fontSize = parseFloat(style.fontSize) || 12;
+  const lineHeight = fontSize * 1.2;
+  
+  const maxLines = Math.max(1, Math.floor(height / lineHeight));
+  const lines = wrapText(html.textContent.trim(), width, `${style.fontWeight} ${style.fontSize} ${style.fontFamily}`);
+  if (lines.length > maxLines) {
+    lines.length = maxLines;
+    lines[maxLines - 1] = `${lines[maxLines - 1].replace(/\.*$/, '')}...`;
+  }
+  
+  const text = document.createElementNS(SVG_NS, 'text');
+  text.setAttribute('text-anchor', 'middle');
+  text.setAttribute('style', `fill: ${style.color}; font-family: ${style.fontFamily}; font-size: ${style.fontSize}; font-weight: ${style.fontWeight}`);
+  const top = y + height / 2 - ((lines.length - 1) * lineHeight) / 2;
+  lines.forEach((line, i) => {
+    const tspan = document.createElementNS(SVG_NS, 'tspan');
+    tspan.setAttribute('x', x + width / 2);
+    tspan.setAttribute('y', top + i * lineHeight);
+    tspan.setAttribute('dominant-baseline', 'central');
+    tspan.textContent = line;
+    text.appendChild(tspan);
+  });
+  return text;
+}
+
+// Copy of a live element with computed styles inlined and foreignObjects replaced, leaving out
+// anything hidden and the page's classes and data attributes
+function cloneForFigure(source) {
+  if (source.nodeType === Node.TEXT_NODE) return source.cloneNode();
+  if (source.nodeType !== Node.ELEMENT_NODE) return null;
+  if (source.localName === 'foreignObject') return foreignObjectText(source);
+  // Marker definitions keep their presentation attributes - page CSS doesn't style them
+  const definition = Boolean(source.closest('defs'));
+  if (!definition && getComputedStyle(source).display === 'none') return null;
+  
+  const target = document.createElementNS(SVG_NS, source.localName);
+  for (const attribute of source.attributes) {
+    if (attribute.name === 'class' || attribute.name === 'style' || attribute.name.startsWith('data-')) continue;
+    target.setAttribute(attribute.name, attribute.value);
+  }
+  if (!definition) inlineStyles(source, target);
+  for (const child of source.childNodes) {
+    const copy = cloneForFigure(child);
+    if (copy) target.appendChild(copy);
+  }
+  return target;
+}
+
+// Legend group for the entries whose selector matches something in the view, or null when none does.
+// Drawn from (x, y) downwards; returns { group, width, height }
+function createLegend(svg, entries, x, y) {
+  const shown = entries
+    .map(entry => ({ ...entry, element: svg.querySelector(entry.selector) }))
+    .filter(entry => entry.element);
+  if (shown.length === 0) return null;
+  
+  const rowHeight = 22;
+  const group = document.createElementNS(SVG_NS, 'g');
+  group.setAttribute('transform', `translate(${x},${y})`);
+  let width = 0;
+  
+  shown.forEach((entry, i) => {
+    const style = getComputedStyle(entry.element);
+    const rowY = i * rowHeight + rowHeight / 2;
+    let symbol;
+    if (entry.shape === 'node') {
+      symbol = document.createElementNS(SVG_NS, 'circle');
+      symbol.setAttribute('cx', 10);
+      symbol.setAttribute('cy', rowY);
+      symbol.setAttribute('r', 7);
+      symbol.setAttribute('style', `fill: ${style.fill}; stroke: ${style.stroke}; stroke-width: ${style.strokeWidth}`);
+    } else {
+      symbol = document.createElementNS(SVG_NS, 'line');
+      symbol.setAttribute('x1', 0);
+      symbol.setAttribute('y1', rowY);
+      symbol.setAttribute('x2', 24);
+      symbol.setAttribute('y2', rowY);
+      symbol.setAttribute('style', `stroke: ${style.stroke}; stroke-width: ${style.strokeWidth}; stroke-dasharray: ${style.strokeDasharray}`);
+      if (entry.marker && svg.querySelector(`#${entry.marker}`)) symbol.setAttribute('marker-end', `url(#${entry.marker})`);
+    }
+    group.appendChild(symbol);
+    
+    const label = document.createElementNS(SVG_NS, 'text');
+    label.setAttribute('x', 32);
+    label.setAttribute('y', rowY);
+    label.setAttribute('dominant-baseline', 'central');
+    label.setAttribute('style', 'fill: #333; font-family: Arial, Helvetica, sans-serif; font-size: 12px');
+    label.textContent = entry.label;
+    group.appendChild(label);
+    width = Math.max(width, 32 + textWidth(entry.label, '12px Arial, Helvetica, sans-serif'));
+  });
+  
+  return { group, width, height: shown.length * rowHeight };
+}
+
+// Standalone copy of a network SVG: cropped to what's drawn plus padding, on a white background,
+// with the legend (entries as NETWORK_LEGEND) to the right. Returns { svg, width, height }
+function createFigureSvg(svg, { legend = NETWORK_LEGEND, padding = 20, background = '#ffffff' } = {}) {
+  // Drawn unzoomed - the zoom and pan of a viewport group (see kegg-zoom.js) are left out
+  const viewport = svg.querySelector(':scope > .viewport');
+  const box = (viewport || svg).getBBox();
+  const figure = document.createElementNS(SVG_NS, 'svg');
+  figure.setAttribute('xmlns', SVG_NS);
+  
+  const content = document.createElementNS(SVG_NS, 'g');
+  content.setAttribute('transform', `translate(${padding - box.x},${padding - box.y})`);
+  for (const child of svg.childNodes) {
+    const copy = cloneForFigure(child);
+    if (!copy) continue;
+    if (child === viewport) copy.removeAttribute('transform');
+    // Marker definitions stay at the top level, where the legend can use them too
+    (copy.localName === 'defs' ? figure : content).appendChild(copy);
+  }
+  
+  let width = box.width + padding * 2;
+  let height = box.height + padding * 2;
+  const legendGroup = legend ? createLegend(svg, legend, width, padding) : null;
+  if (legendGroup) {
+    width += legendGroup.width + padding;
+    height = Math.max(height, legendGroup.height + padding * 2);
+  }
+  
+  const backdrop = document.createElementNS(SVG_NS, 'rect');
+  backdrop.setAttribute('width', '100%');
+  backdrop.setAttribute('height', '100%');
+  backdrop.setAttribute('fill', background);
+  figure.insertBefore(backdrop, figure.firstChild);
+  figure.appendChild(content);
+  if (legendGroup) figure.appendChild(legendGroup.group);
+  
+  width = Math.ceil(width);
+  height = Math.ceil(height);
+  figure.setAttribute('width', width);
+  figure.setAttribute('height', height);
+  figure.setAttribute('viewBox', `0 0 ${width} ${height}`);
+  return { svg: figure, width, height };
+}
+
+function serializeSvg(svg) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(svg)}\n`;
+}
+
+// PNG bytes with a pHYs chunk recording the resolution, so layout programs place the image at
+// its intended size. Any existing pHYs chunk is replaced
+function setPngDpi(bytes, dpi) {
+  const pixelsPerMetre = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4);
+  view.setUint32(8, pixelsPerMetre);
+  view.setUint32(12, pixelsPerMetre);
+  chunk[16] = 1;
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+  
+  // Signature (8 bytes), then chunks of length, type, data and CRC; pHYs goes after IHDR
+  const source = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const parts = [bytes.subarray(0, 8)];
+  let offset = 8;
+  while (offset < bytes.length) {
+    const length = source.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const end = offset + 12 + length;
+    if (type !== 'pHYs') parts.push(bytes.subarray(offset, end));
+    if (type === 'IHDR') parts.push(chunk);
+    offset = end;
+  }
+  
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    result.set(part, position);
+    position += part.length;
+  }
+  return result;
+}
+
+// Rasterise a figure (see createFigureSvg) at dpi - the SVG's pixels count as 96 DPI - to PNG bytes
+async function renderPng({ svg, width, height }, dpi = 300) {
+  const scale = dpi / 96;
+  const url = URL.createObjectURL(new Blob([serializeSvg(svg)], { type: 'image/svg+xml' }));
+  try {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('The figure could not be drawn'));
+      image.src = url;
+    });
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) throw new Error(`The figure is too large to draw at ${dpi} DPI`);
+    return setPngDpi(new Uint8Array(await blob.arrayBuffer()), dpi);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// A network SVG as a figure download - { content, filename, mimeType } for downloadExport (kegg-gene-drug-finder.js).
+// format is 'svg' or 'png'; legend false leaves the legend out
+async function exportFigure(svg, format, { dpi = 300, legend = NETWORK_LEGEND, basename = 'omnigene-network' } = {}) {
+  const figure = createFigureSvg(svg, { legend });
+  if (format === 'svg') {
+    return { content: serializeSvg(figure.svg), filename: `${basename}.svg`, mimeType: 'image/svg+xml' };
+  }
+  if (format === 'png') {
+    return { content: await renderPng(figure, dpi), filename: `${basename}.png`, mimeType: 'image/png' };
+  }
+  throw new Error(`Unknown figure format "${format}" (expected svg or png)`);
+}
+
+export {
+  NETWORK_LEGEND,
+  createFigureSvg,
+  serializeSvg,
+  setPngDpi,
+  renderPng,
+  exportFigure
+};
@@ -0,0 +1,429 @@
+/**
+ * KEGG Flat-File Parser
+ * Parses DBGET flat-file entries (the text returned by rest.kegg.jp/get)
+ * into sections and typed gene, drug, disease, KO and pathway objects
+ */
+
+// Width of the section header column in DBGET flat files
+const FLAT_FILE_HEADER_WIDTH = 12;
+
+// Bracketed link databases that are not organism codes ([CPD:...], [PATH:...], ...)
+const NON_ORGANISM_LINK_DBS = ['ko', 'ec', 'dr', 'dg', 'ds', 'cpd', 'gl', 'rn', 'path', 'br', 'gn', 'ne', 'nt', 'md'];
+
+// Trailing edition tags of KEGG DRUG names - "(JP18)", "(USP)", "(JAN/USAN/INN)"
+const DRUG_NAME_EDITION = /\s*\((?:JP\d*|USP|NF|EP|BP|INN|USAN|JAN|BAN|DCF)(?:\/(?:JP\d*|USP|NF|EP|BP|INN|USAN|JAN|BAN|DCF))*\)$/;
+
+// Whether a bracketed link database is an organism gene code such as HSA or MMU
+function isOrganismLinkDb(db) {
+  return /^[a-z]{3,4}$/.test(db) && !NON_ORGANISM_LINK_DBS.includes(db);
+}
+
+// Split a (possibly multi-entry) get response into one text per entry
+function splitKeggRecords(text) {
+  if (!text) return [];
+  return text.split(/^\/\/\/[ \t]*$/m)
+    .map(record => record.replace(/^\s*\n/, '').trimEnd())
+    .filter(record => record.trim() !== '');
+}
+
+// Parse one entry into its sections
+// Returns { SECTION: [{ lines, subsections: { SUB: [{ lines }] } }] } - sections can repeat (REFERENCE)
+function parseKeggRecord(text) {
+  const sections = {};
+  let currentSection = null;
+  let currentTarget = null;
+  
+  for (const line of String(text).split('\n')) {
+    if (line.trim() === '' || line.startsWith('///')) continue;
+    
+    const header = line.slice(0, FLAT_FILE_HEADER_WIDTH);
+    const content = line.length > FLAT_FILE_HEADER_WIDTH ? line.slice(FLAT_FILE_HEADER_WIDTH).trim() : '';
+    
+    if (/^[A-Z]/.test(line)) {
+      // New section, e.g. "NAME        ..." - long names can run into the content column
+      const match = line.match(/^(\S+)\s*(.*)$/);
+      const name = match[1];
+      const value = header.trim() === name ? content : match[2].trim();
+      
+      currentSection = { lines: value ? [value] : [], subsections: {} };
+      (sections[name] || (sections[name] = [])).push(currentSection);
+      currentTarget = currentSection;
+    } else if (currentSection && /^ {1,3}[A-Z]/.test(line) && header.trim() && !/^\s{4,}/.test(line)) {
+      // Sub-section, e.g. "  DISEASE   ..." under EFFICACY or "  AUTHORS   ..." under REFERENCE
+      const name = header.trim().split(/\s+/)[0];
+      const subsection = { lines: content ? [content] : [] };
+      (currentSection.subsections[name] || (currentSection.subsections[name] = [])).push(subsection);
+      currentTarget = subsection;
+    } else if (currentTarget) {
+      // Continuation line of the current (sub-)section
+      currentTarget.lines.push(line.trim());
+    }
+  }
+  
+  return sections;
+}
+
+// All lines of a section (or of its first sub-section when a name is given)
+function getSectionLines(sections, name, subsectionName = null) {
+  const entries = sections[name] || [];
+  const lines = [];
+  for (const entry of entries) {
+    if (!subsectionName) {
+      lines.push(...entry.lines);
+    } else {
+      for (const subsection of entry.subsections[subsectionName] || []) {
+        lines.push(...subsection.lines);
+      }
+    }
+  }
+  return lines;
+}
+
+// Section text with continuation lines joined by spaces
+function getSectionText(sections, name, subsectionName = null) {
+  return getSectionLines(sections, name, subsectionName).join(' ').trim();
+}
+
+// Parse bracketed database links such as [HSA:1813 1814] [KO:K04145] [DS:H00057]
+function parseBracketLinks(text) {
+  const links = [];
+  const pattern = /\[([A-Za-z_]+):([^\]]+)\]/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    links.push({
+      db: match[1].toLowerCase(),
+      ids: match[2].trim().split(/\s+/)
+    });
+  }
+  return links;
+}
+
+// Text with bracketed links removed
+function stripBracketLinks(text) {
+  return String(text).replace(/\s*\[[A-Za-z_]+:[^\]]+\]/g, '').trim();
+}
+
+// IDs for one database from a line's bracketed links, prefixed KEGG-style (hsa:1813, ko:K04145)
+function getLinkedIds(text, db, prefix = `${db}:`) {
+  return parseBracketLinks(text)
+    .filter(link => link.db === db)
+    .flatMap(link => link.ids.map(id => `${prefix}${id}`));
+}
+
+// Lines such as "hsa04510  Focal adhesion" or "K05725  focal adhesion kinase 1 [EC:2.7.10.2]"
+function parseIdNameLines(lines) {
+  return lines
+    .map(line => line.match(/^(\S+)\s+(.*)$/) || [null, line, ''])
+    .map(([, id, name]) => ({ id, name: name.trim() }));
+}
+
+// Pathway lines, including the "hsa04080(1813+1814)" form used in drug TARGET sections
+function parsePathwayLines(lines) {
+  return parseIdNameLines(lines).map(({ id, name }) => {
+    const match = id.match(/^([a-z]+\d+)(?:\(([^)]*)\))?$/);
+    return {
+      id: match ? match[1] : id,
+      name,
+      genes: match && match[2] ? match[2].split('+') : []
+    };
+  });
+}
+
+// Gene lists as used in disease GENE and drug TARGET sections,
+// e.g. "(somatic mutation) TP53 [HSA:7157] [KO:K04451]" or "DRD2 (agonist) [HSA:1813] [KO:K04145]"
+function parseGeneReferenceLines(lines) {
+  return lines.map(line => {
+    const notes = [];
+    const label = stripBracketLinks(line).replace(/\(([^)]*)\)/g, (_, note) => {
+      notes.push(note.trim());
+      return '';
+    }).replace(/\s+/g, ' ').trim();
+    
+    const genes = parseBracketLinks(line)
+      .filter(link => isOrganismLinkDb(link.db))
+      .flatMap(link => link.ids.map(id => `${link.db}:${id}`));
+    
+    return {
+      name: label,
+      notes,
+      genes,
+      kos: getLinkedIds(line, 'ko'),
+      line
+    };
+  });
+}
+
+// Disease lines with [DS:...] links; a line holding only the link takes its name from the line above
+function parseDiseaseLinkLines(lines) {
+  const diseases = [];
+  const seen = new Set();
+  
+  lines.forEach((line, index) => {
+    const codes = getLinkedIds(line, 'ds', '');
+    if (codes.length === 0) return;
+    
+    let name = stripBracketLinks(line);
+    if (!name && index > 0) {
+      name = stripBracketLinks(lines[index - 1]);
+    }
+    
+    // Drop trailing notes such as "(adjunct)"
+    name = name.replace(/\s+\([^)]*\)$/, '').trim();
+    
+    for (const code of codes) {
+      if (seen.has(code)) continue;
+      seen.add(code);
+      diseases.push({ code, name: name || `Disease ${code}` });
+    }
+  });
+  
+  return diseases;
+}
+
+// DBLINKS lines such as "CAS: 41372-20-7" -> { CAS: ['41372-20-7'] }
+function parseDbLinks(lines) {
+  const dbLinks = {};
+  for (const line of lines) {
+    const match = line.match(/^([^:]+):\s*(.*)$/);
+    if (match) {
+      dbLinks[match[1].trim()] = match[2].trim().split(/\s+/).filter(Boolean);
+    }
+  }
+  return dbLinks;
+}
+
+// REFERENCE sections with their AUTHORS / TITLE / JOURNAL sub-sections
+function parseReferences(sections) {
+  return (sections.REFERENCE || []).map(reference => {
+    const subText = name => (reference.subsections[name] || [])
+      .flatMap(subsection => subsection.lines).join(' ').trim();
+    const header = reference.lines.join(' ');
+    const pmidMatch = header.match(/PMID:(\d+)/);
+    
+    return {
+      pmid: pmidMatch ? pmidMatch[1] : null,
+      authors: subText('AUTHORS'),
+      title: subText('TITLE'),
+      journal: subText('JOURNAL')
+    };
+  });
+}
+
+// METABOLISM lines such as "Enzyme: CYP1A2 [HSA:1544], CYP3A4 [HSA:1576]; Transporter: ABCB1 [HSA:5243]"
+function parseMetabolism(lines) {
+  const metabolism = [];
+  for (const part of lines.join(' ').split(';')) {
+    const match = part.match(/^\s*([^:]+):\s*(.*)$/);
+    if (!match) continue;
+    
+    for (const item of match[2].split(/,\s*(?![^\[]*\])/)) {
+      if (!item.trim()) continue;
+      metabolism.push({
+        role: match[1].trim(),
+        name: stripBracketLinks(item).trim(),
+        genes: parseBracketLinks(item)
+          .filter(link => isOrganismLinkDb(link.db))
+          .flatMap(link => link.ids.map(id => `${link.db}:${id}`))
+      });
+    }
+  }
+  return metabolism;
+}
+
+// Work out the entry type from the ENTRY line, e.g. "5747  CDS  T01001" or "D00036  Drug"
+function getKeggEntryType(entryLine) {
+  const tokens = String(entryLine).trim().split(/\s+/);
+  const kind = (tokens[1] || '').toLowerCase();
+  
+  if (kind === 'drug') return 'drug';
+  if (kind === 'disease') return 'disease';
+  if (kind === 'ko') return 'ko';
+  if (kind === 'pathway') return 'pathway';
+  if (/^t\d+$/i.test(tokens[tokens.length - 1] || '')) return 'gene';
+  return kind || 'unknown';
+}
+
+// Fields shared by all entry types
+function parseCommonFields(sections) {
+  const entryLine = getSectionText(sections, 'ENTRY');
+  const names = getSectionLines(sections, 'NAME')
+    .flatMap(line => line.split(/;\s*/))
+    .map(name => name.trim())
+    .filter(Boolean);
+  
+  return {
+    id: entryLine.split(/\s+/)[0] || '',
+    type: getKeggEntryType(entryLine),
+    name: names[0] || '',
+    names,
+    definition: getSectionText(sections, 'DEFINITION'),
+    description: getSectionText(sections, 'DESCRIPTION'),
+    dbLinks: parseDbLinks(getSectionLines(sections, 'DBLINKS')),
+    references: parseReferences(sections)
+  };
+}
+
+function parseGeneEntry(sections, common) {
+  const organismText = getSectionText(sections, 'ORGANISM');
+  const organismMatch = organismText.match(/^(\S+)\s+(.*)$/);
+  
+  // Older entries keep symbols in NAME; newer ones have SYMBOL plus a "(RefSeq) ..." NAME
+  const nameText = getSectionText(sections, 'NAME');
+  const symbolText = getSectionText(sections, 'SYMBOL') || (/^\(RefSeq\)/.test(nameText) ? '' : nameText);
+  const symbols = symbolText.split(/,\s*/).map(symbol => symbol.trim()).filter(Boolean);
+  const name = nameText.replace(/^\(RefSeq\)\s*/, '');
+  
+  return {
+    ...common,
+    name,
+    symbol: symbols[0] || '',
+    symbols,
+    organism: organismMatch ? { code: organismMatch[1], name: organismMatch[2] } : null,
+    orthology: parseIdNameLines(getSectionLines(sections, 'ORTHOLOGY')).map(({ id, name: koName }) => ({
+      id: `ko:${id}`,
+      name: stripBracketLinks(koName),
+      ec: getLinkedIds(koName, 'ec', '')
+    })),
+    pathways: parsePathwayLines(getSectionLines(sections, 'PATHWAY')),
+    diseases: parseIdNameLines(getSectionLines(sections, 'DISEASE')).map(({ id, name: diseaseName }) => ({
+      code: `ds:${id}`,
+      name: diseaseName
+    })),
+    position: getSectionText(sections, 'POSITION'),
+    motif: getSectionLines(sections, 'MOTIF')
+  };
+}
+
+// A KEGG DRUG name for display - without its trailing ";" and pharmacopoeia or nomenclature
+// editions such as "(JP18/USP)". Other notes, e.g. "(TN)" for trade names, stay
+function plainDrugName(name) {
+  return name.replace(/;$/, '').trim().replace(DRUG_NAME_EDITION, '');
+}
+
+function parseDrugEntry(sections, common) {
+  const names = common.names.map(plainDrugName);
+  
+  // DISEASE is a sub-section of EFFICACY in current entries and a section of its own in older ones
+  const diseaseLines = [
+    ...getSectionLines(sections, 'EFFICACY', 'DISEASE'),
+    ...getSectionLines(sections, 'DISEASE')
+  ];
+  
+  return {
+    ...common,
+    names,
+    name: names[0] || common.id,
+    formula: getSectionText(sections, 'FORMULA'),
+    efficacy: getSectionText(sections, 'EFFICACY'),
+    diseases: parseDiseaseLinkLines(diseaseLines),
+    targets: parseGeneReferenceLines(getSectionLines(sections, 'TARGET')),
+    targetPathways: parsePathwayLines(getSectionLines(sections, 'TARGET', 'PATHWAY')),
+    metabolism: parseMetabolism(getSectionLines(sections, 'METABOLISM')),
+    interactions: getSectionLines(sections, 'INTERACTION'),
+    remark: getSectionLines(sections, 'REMARK')
+  };
+}
+
+function parseDiseaseEntry(sections, common) {
+  return {
+    ...common,
+    category: getSectionText(sections, 'CATEGORY'),
+    pathways: parsePathwayLines(getSectionLines(sections, 'PATHWAY')),
+    genes: parseGeneReferenceLines(getSectionLines(sections, 'GENE')),
+    drugs: getSectionLines(sections, 'DRUG').map(line => ({
+      name: stripBracketLinks(line),
+      codes: getLinkedIds(line, 'dr')
+    }))
+  };
+}
+
+function parseKoEntry(sections, common) {
+  const symbols = getSectionText(sections, 'SYMBOL').split(/,\s*/).filter(Boolean);
+  
+  // GENES lines look like "HSA: 5747(PTK2) 5748"
+  const genes = {};
+  for (const line of getSectionLines(sections, 'GENES')) {
+    const match = line.match(/^([A-Z]+):\s*(.*)$/);
+    if (match) {
+      genes[match[1].toLowerCase()] = match[2].split(/\s+/).filter(Boolean)
+        .map(gene => gene.replace(/\(.*\)$/, ''));
+    }
+  }
+  
+  return {
+    ...common,
+    name: getSectionText(sections, 'NAME'),
+    symbols,
+    pathways: parsePathwayLines(getSectionLines(sections, 'PATHWAY')),
+    diseases: parseIdNameLines(getSectionLines(sections, 'DISEASE')).map(({ id, name }) => ({
+      code: `ds:${id}`,
+      name
+    })),
+    genes
+  };
+}
+
+function parsePathwayEntry(sections, common) {
+  const organismText = getSectionText(sections, 'ORGANISM');
+  const organismMatch = organismText.match(/\[GN:([^\]]+)\]/);
+  const organismCode = organismMatch ? organismMatch[1] : null;
+  
+  return {
+    ...common,
+    // Organism pathways are named "Focal adhesion - Homo sapiens (human)"
+    title: common.name.replace(/\s+-\s+[^-]+\([^)]*\)$/, ''),
+    class: getSectionText(sections, 'CLASS'),
+    organism: organismCode ? { code: organismCode, name: stripBracketLinks(organismText) } : null,
+    // GENE lines look like "5747  PTK2; protein tyrosine kinase 2 [KO:K05725] [EC:2.7.10.2]"
+    genes: parseIdNameLines(getSectionLines(sections, 'GENE')).map(({ id, name }) => {
+      const [symbol, ...rest] = stripBracketLinks(name).split(';');
+      return {
+        id: organismCode ? `${organismCode}:${id}` : id,
+        symbol: symbol.trim(),
+        description: rest.join(';').trim(),
+        kos: getLinkedIds(name, 'ko')
+      };
+    }),
+    drugs: parseIdNameLines(getSectionLines(sections, 'DRUG')).map(({ id, name }) => ({ code: `dr:${id}`, name })),
+    compounds: parseIdNameLines(getSectionLines(sections, 'COMPOUND')),
+    koPathway: getSectionText(sections, 'KO_PATHWAY')
+  };
+}
+
+// Parse one entry into a typed object (gene, drug, disease, ko or pathway)
+function parseKeggEntry(text) {
+  const sections = parseKeggRecord(text);
+  const common = parseCommonFields(sections);
+  
+  let entry;
+  switch (common.type) {
+    case 'gene': entry = parseGeneEntry(sections, common); break;
+    case 'drug': entry = parseDrugEntry(sections, common); break;
+    case 'disease': entry = parseDiseaseEntry(sections, common); break;
+    case 'ko': entry = parseKoEntry(sections, common); break;
+    case 'pathway': entry = parsePathwayEntry(sections, common); break;
+    default: entry = common;
+  }
+  
+  // Keep the raw sections for fields without a typed accessor
+  Object.defineProperty(entry, 'sections', { value: sections, enumerable: false });
+  return entry;
+}
+
+// Parse every entry of a multi-entry get response
+function parseKeggEntries(text) {
+  return splitKeggRecords(text).map(parseKeggEntry);
+}
+
+export {
+  splitKeggRecords,
+  parseKeggRecord,
+  parseKeggEntry,
+  parseKeggEntries,
+  getSectionLines,
+  getSectionText,
+  parseBracketLinks,
+  stripBracketLinks,
+  getLinkedIds,
+  plainDrugName
+};
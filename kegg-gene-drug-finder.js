@@ -1,88 +1,124 @@
 /**
  * KEGG Gene and Drug Finder
- * Simplified implementation with direct API access
+ * Browser UI layer - renders what the headless KeggAPI (kegg-api.js) returns
  */
 
-// Configuration constants
-const CONFIG = {
-  DEBUG_MODE: true,
-  REQUEST_TIMEOUT: 10000,
-  RETRY_ATTEMPTS: 3
-};
+import { CONFIG, debug } from './kegg-config.js';
+import { formatBytes } from './kegg-cache.js';
+import { KeggAPI } from './kegg-api.js';
+import { DDI_LABELS, collectCandidateDrugs, getDrugInteractionList } from './kegg-ddi.js';
+import { isAmbiguousGeneQuery } from './kegg-gene-search.js';
+import { formatScoreComponent } from './kegg-scoring.js';
+import { formatProvenance } from './kegg-provenance.js';
+import { EXPORT_FORMATS, exportCandidates } from './kegg-export.js';
+import { NETWORK_FORMATS, exportNetwork } from './kegg-network.js';
+import { layoutNetwork } from './kegg-layout.js';
+import { createZoomPan, enableNodeDrag } from './kegg-zoom.js';
 
-// Helper function for debugging
-function debug(...args) {
-  if (CONFIG.DEBUG_MODE) {
-    console.log(...args);
+// Offer an export ({ content, filename, mimeType }) as a file download. The object URL is revoked
+// on a later tick - revoking it straight after click() can cancel the download in some browsers
+function downloadExport({ content, filename, mimeType }) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// title attribute naming the KEGG source of a record, for tooltips
+function provenanceTitle(record) {
+  if (!record || !record.provenance) return '';
+  return ` title="${formatProvenance(record.provenance).replace(/"/g, '&quot;')}"`;
+}
+
+// How a drug reaches the query gene, its mechanism there and its likely effect, for drug cards
+function drugTargetHtml(drug) {
+  if (!drug.targetLabel) return '';
+  
+  const label = drug.mechanism ? `${drug.targetLabel} (${drug.mechanism})` : drug.targetLabel;
+  let html = `<div class="drug-target target-${drug.targetClass}">${label}</div>`;
+  if (drug.queryEffect) {
+    html += `<div class="drug-effect${drug.queryEffect.inhibitorOfInhibitor ? ' flagged' : ''}">${drug.queryEffect.label}</div>`;
   }
+  return html;
 }
 
-// Main KEGG API class
-class KeggAPI {
-  constructor() {
-    // For tracking pending requests
-    this.pendingRequests = new Map();
-    
-    // Metrics tracking
-    this.metrics = {
-      requestCount: 0,
-      successCount: 0,
-      failureCount: 0,
-      totalTime: 0
-    };
-    
-    // Display CO
-    // 
-    // S information message
-    this._showCorsMessage();
-    
-    debug("KeggAPI initialized");
+// Network proximity of a drug's targets to the disease module, for drug cards
+function drugProximityHtml(drug) {
+  if (!drug.proximity || drug.proximity.distance === null) return '';
+  const zScore = drug.proximity.zScore === null ? '' : `, z = ${drug.proximity.zScore.toFixed(2)}`;
+  return `<div class="drug-reach">Network proximity: d = ${drug.proximity.distance.toFixed(2)}${zScore}</div>`;
+}
+
+// The components behind a drug's repurposing score, for drug cards
+function scoreBreakdownHtml(drug) {
+  if (!drug.scoreBreakdown || drug.scoreBreakdown.length === 0) return '';
+  
+  const items = drug.scoreBreakdown.map(entry =>
+    `<li class="${entry.points < 0 ? 'score-minus' : 'score-plus'}">${formatScoreComponent(entry)}</li>`
+  );
+  if (drug.scoreTotal > 1 || drug.scoreTotal < 0) {
+    items.push(`<li class="score-capped">capped from ${drug.scoreTotal.toFixed(2)}</li>`);
   }
+  return `<ul class="score-breakdown">${items.join('')}</ul>`;
+}
+
+// Contraindication/precaution badges for a drug card, from a checkDrugInteractions result
+function drugInteractionsHtml(drug, interactions) {
+  if (!interactions) return '';
   
-  // Calculate repurposing score for a drug
-  calculateRepurposingScore(drug, baseGeneDiseases, relatedGeneDiseases, relation = "Pathway") {
-    // Base score for all drugs is 0.3 (on a 0-1 scale)
-    let score = 0.3;
-    
-    debug(`Calculating repurposing score for drug ${drug.code}`);
-    
-    // Add 0.5 points if both genes share at least one disease
-    if (baseGeneDiseases && relatedGeneDiseases && baseGeneDiseases.length > 0 && relatedGeneDiseases.length > 0) {
-      // Create sets of disease codes for efficient comparison
-      const baseDiseaseCodes = new Set(baseGeneDiseases.map(d => d.code));
-      const relatedDiseaseCodes = new Set(relatedGeneDiseases.map(d => d.code));
-      
-      // Check for intersection
-      let hasSharedDisease = false;
-      for (const code of baseDiseaseCodes) {
-        if (relatedDiseaseCodes.has(code)) {
-          hasSharedDisease = true;
-          break;
-        }
-      }
-      
-      if (hasSharedDisease) {
-        score += 0.5;
-        debug(`+0.5 points for shared disease between genes for drug ${drug.code}`);
-      }
-    }
-    
-    // Adjust score based on relationship type
-    if (relation && relation.toLowerCase().includes("activ")) {
-      // +0.2 for activation relationship
-      score += 0.2;
-      debug(`+0.2 points for activation relationship for drug ${drug.code}`);
-    } else if (relation && relation.toLowerCase().includes("inhib")) {
-      // -0.1 for inhibition relationship
-      score -= 0.1;
-      debug(`-0.1 point for inhibition relationship for drug ${drug.code}`);
-    }
-    
-    // Ensure the score is within 0-1 range
-    const finalScore = Math.max(0, Math.min(1, score));
+  const list = getDrugInteractionList(interactions, drug.code);
+  if (list.length === 0) return '';
+  
+  return `<div class="drug-interactions">${list.map(other => {
+    const label = other.labels.includes('CI') ? 'CI' : 'P';
+    const title = [other.labels.map(code => DDI_LABELS[code] || code).join(', '), other.mechanism].filter(Boolean).join(': ') +
+      (other.provenance ? `\n${formatProvenance(other.provenance)}` : '');
+    return `<span class="ddi-badge ddi-${label.toLowerCase()}" title="${title.replace(/"/g, '&quot;')}">${label} ${other.name}${other.role !== 'candidate' ? ' (medication)' : ''}</span>`;
+  }).join('')}</div>`;
+}
+
+// Drug-by-drug table of a checkDrugInteractions result. Only drugs with at least one
+// interaction get a row and column - a whole candidate list would be mostly empty
+function interactionMatrixHtml(interactions) {
+  const unresolved = interactions.unresolved && interactions.unresolved.length > 0
+    ? `<p class="ddi-unresolved">Not found in KEGG DRUG: ${interactions.unresolved.join(', ')}</p>`
+    : '';
+  if (interactions.pairs.length === 0) {
+    return `<p class="no-results">No known interactions between these ${interactions.drugs.length} drugs.</p>${unresolved}`;
+  }
+  
+  const drugs = interactions.drugs.filter(drug => interactions.matrix[drug.code]);
+  const cell = (row, column) => {
+    if (row.code === column.code) return '<td class="ddi-self"></td>';
+    const pair = interactions.matrix[row.code][column.code];
+    if (!pair) return '<td></td>';
+    const label = pair.labels.includes('CI') ? 'ci' : 'p';
+    return `<td class="ddi-${label}" title="${(pair.mechanism || '').replace(/"/g, '&quot;')}">${pair.labels.join(', ')}</td>`;
+  };
+  
+  return `
+    <p class="ddi-summary">${interactions.counts.CI} contraindications, ${interactions.counts.P} precautions</p>
+    ${unresolved}
+    <table class="ddi-matrix">
+      <tr><th></th>${drugs.map(drug => `<th title="${drug.name.replace(/"/g, '&quot;')}">${drug.code.replace(/^dr:/, '')}</th>`).join('')}</tr>
+      ${drugs.map(row => `
+        <tr class="ddi-${row.role}">
+          <th>${row.name} (${row.code.replace(/^dr:/, '')})</th>
+          ${drugs.map(column => cell(row, column)).join('')}
+        </tr>
+      `).join('')}
+    </table>
+  `;
+}
+
+// Finder page UI on top of a KeggAPI instance
+class KeggGeneDrugFinder {
+  constructor(api = new KeggAPI()) {
+    this.api = api;
     
-    debug(`Final repurposing score for drug ${drug.code}: ${finalScore.toFixed(2)}`);
-    return finalScore;
+    // Display CORS information message
+    this._showCorsMessage();
   }
   
   // Show information about KEGG API
@@ -100,748 +136,6 @@ class KeggAPI {
     }
   }
   
-  // Clean text helper
-  cleanText(text, prefix = "") {
-    if (!text) return "";
-    return text.replace(prefix, "").trim();
-  }
-  
-  // Fetch data with better error handling
-  async fetchData(url) {
-    debug(`Fetching: ${url}`);
-    
-    // Check for pending requests
-    if (this.pendingRequests.has(url)) {
-      return this.pendingRequests.get(url);
-    }
-    
-    // Create new promise for this request
-    const requestPromise = this._fetchWithRetry(url);
-    this.pendingRequests.set(url, requestPromise);
-    
-    try {
-      const result = await requestPromise;
-      this.pendingRequests.delete(url);
-      return result;
-    } catch (error) {
-      this.pendingRequests.delete(url);
-      throw error;
-    }
-  }
-  
-  // Fetch with simple retry logic
-  async _fetchWithRetry(url, retryCount = 0) {
-    if (retryCount >= CONFIG.RETRY_ATTEMPTS) {
-      throw new Error("Failed to fetch data after all attempts");
-    }
-    
-    // Start timing the request
-    const startTime = performance.now();
-    
-    try {
-      // Direct API call - user has CORS extension installed
-      debug(`Fetch attempt ${retryCount + 1} for ${url}`);
-      const response = await fetch(url, { 
-        method: 'GET',
-        headers: {
-          'Accept': 'text/plain'
-        }
-      });
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! Status: ${response.status}`);
-      }
-      
-      const data = await response.text();
-      debug(`Fetch successful for ${url} (${data.length} bytes)`);
-      this.metrics.successCount++;
-      this.metrics.totalTime += (performance.now() - startTime);
-      return data;
-    } catch (error) {
-      debug(`Fetch attempt ${retryCount + 1} failed: ${error.message}`);
-      this.metrics.failureCount++;
-      
-      // Wait a moment before retrying
-      await new Promise(resolve => setTimeout(resolve, 1000));
-      
-      // Recursively retry
-      return this._fetchWithRetry(url, retryCount + 1);
-    }
-  }
-  
-  // Update metrics for tracking API request performance
-  _updateMetrics(result, startTime = null) {
-    this.metrics.requestCount++;
-    
-    if (result === 'success' && startTime) {
-      const elapsedTime = performance.now() - startTime;
-      this.metrics.successCount++;
-      this.metrics.totalTime += elapsedTime;
-      debug(`Request completed in ${elapsedTime.toFixed(2)}ms`);
-    } else if (result === 'error') {
-      this.metrics.failureCount++;
-    }
-  }
-  
-  // Get gene name from KEGG
-  async getGeneName(geneCode) {
-    try {
-      const formattedGeneCode = geneCode.includes(':') ? geneCode : `hsa:${geneCode}`;
-      const url = `https://rest.kegg.jp/get/${formattedGeneCode}`;
-      const response = await this.fetchData(url);
-      
-      if (!response || response.includes('No such data')) {
-        return "Unknown";
-      }
-      
-      const nameMatch = response.match(/NAME\s+(.*?)\n/);
-      return nameMatch ? this.cleanText(nameMatch[1], "(RefSeq)") : "Unknown";
-    } catch (error) {
-      debug(`Error getting gene name: ${error.message}`);
-      return "Unknown";
-    }
-  }
-  
-  // Look up gene ID by name
-  async findGeneByName(geneName) {
-    try {
-      debug(`Looking up gene by name: ${geneName}`);
-      const url = `https://rest.kegg.jp/find/genes/${encodeURIComponent(geneName)}`;
-      const response = await this.fetchData(url);
-      
-      if (!response || response.trim() === '') {
-        debug(`No genes found with name: ${geneName}`);
-        return null;
-      }
-      
-      // Parse the response - typically tab-separated format: ID[tab]Description
-      const lines = response.trim().split('\n');
-      const results = [];
-      const exactMatches = [];
-      
-      for (const line of lines) {
-        const parts = line.split('\t');
-        if (parts.length >= 2) {
-          // Extract human gene IDs (starting with hsa:)
-          const geneId = parts[0].trim();
-          const description = parts[1].trim();
-          
-          // Only include human genes
-          if (geneId.startsWith('hsa:')) {
-            const result = {
-              id: geneId,
-              description: description
-            };
-            
-            // Check for the pattern "{geneName}," which indicates an exact gene name match
-            if (description.includes(`${geneName},`)) {
-              debug(`Found EXACT FORMAT MATCH for "${geneName}," in: ${description}`);
-              exactMatches.unshift(result); // Add to beginning of array to prioritize
-              continue; // Skip other checks for this match
-            }
-            
-            // Look for pattern: symbol:GENENAME
-            const symbolMatch = description.match(/symbol:([\w\d-]+)/i);
-            if (symbolMatch) {
-              const symbol = symbolMatch[1];
-              if (symbol.toUpperCase() === geneName.toUpperCase()) {
-                debug(`Found exact match for ${geneName}: ${geneId} (${symbol})`);
-                exactMatches.push(result);
-                continue; // Skip adding to regular results
-              }
-            }
-            
-            // Also check if the gene ID itself contains the exact name
-            if (geneId.includes(`:${geneName}`)) {
-              debug(`Found exact match in ID for ${geneName}: ${geneId}`);
-              exactMatches.push(result);
-              continue; // Skip adding to regular results
-            }
-            
-            results.push(result);
-          }
-        }
-      }
-      
-      debug(`Found ${results.length} total matches and ${exactMatches.length} exact matches for "${geneName}"`);
-      
-      // Return exact matches if any, otherwise return all results
-      return exactMatches.length > 0 ? exactMatches : results;
-    } catch (error) {
-      debug(`Error finding gene by name: ${error.message}`);
-      return null;
-    }
-  }
-  
-  // Process a gene by name, first finding its ID then processing it
-  async processGeneByName(geneName) {
-    console.log(`Finding gene by name: ${geneName}`);
-    const genes = await this.findGeneByName(geneName);
-    
-    if (!genes || genes.length === 0) {
-      console.error("No genes found with that name");
-      throw new Error("No genes found with that name");
-    }
-    
-    // Check if we have multiple matches
-    if (genes.length > 1) {
-      console.log(`Found ${genes.length} matches for "${geneName}". Using the first match: ${genes[0].id}`);
-      
-      // Create a message showing all the matches
-      const matchesInfo = genes.slice(0, 5).map(g => `${g.id} (${g.description.split(';')[0]})`).join(', ');
-      const message = `Multiple genes found matching "${geneName}". Using ${genes[0].id}.\nOther matches: ${matchesInfo}${genes.length > 5 ? ` and ${genes.length - 5} more...` : ''}`;
-      
-      // Display a warning but continue with the first match
-      alert(message);
-    }
-    
-    console.log(`Using gene: ${genes[0].id} - ${genes[0].description}`);
-    return this.processGene(genes[0].id);
-  }
-  
-  // Get KO (KEGG Orthology) information for a gene
-  async getGeneKO(geneCode) {
-    try {
-      const formattedGeneCode = geneCode.includes(':') ? geneCode : `hsa:${geneCode}`;
-      // Use the link API to get KO identifiers for this gene
-      const url = `https://rest.kegg.jp/link/ko/${formattedGeneCode}`;
-      debug(`Fetching KO for ${formattedGeneCode}: ${url}`);
-      const response = await this.fetchData(url);
-      
-      if (!response || response.trim() === '') {
-        debug(`No KO data found for ${formattedGeneCode}`);
-        return [];
-      }
-      
-      // Parse KO identifiers from response
-      // Format: hsa:5747    ko:K05698
-      const koIds = response.trim().split('\n')
-        .map(line => {
-          const parts = line.split('\t');
-          return parts.length >= 2 ? parts[1] : null;
-        })
-        .filter(Boolean);
-      
-      debug(`Found ${koIds.length} KO identifiers for ${formattedGeneCode}`);
-      
-      // Get detailed information for each KO
-      const koDetails = [];
-      for (const koId of koIds) {
-        try {
-          const koUrl = `https://rest.kegg.jp/get/${koId}`;
-          const koResponse = await this.fetchData(koUrl);
-          
-          if (koResponse) {
-            // Extract name for this KO
-            const nameMatch = koResponse.match(/NAME\s+(.*?)(?:\n|$)/);
-            const name = nameMatch ? nameMatch[1].trim() : koId;
-            
-            koDetails.push({
-              id: koId,
-              name: name
-            });
-            
-            debug(`Added KO: ${koId} - ${name}`);
-          }
-        } catch (koError) {
-          debug(`Error fetching KO detail ${koId}: ${koError.message}`);
-        }
-      }
-      
-      return koDetails;
-    } catch (error) {
-      debug(`Error getting KO data: ${error.message}`);
-      return [];
-    }
-  }
-  
-  // Get diseases associated with a gene
-  async getGeneDiseases(geneCode) {
-    try {
-      const formattedGeneCode = geneCode.includes(':') ? geneCode : `hsa:${geneCode}`;
-      // Use the link API to get disease identifiers for this gene
-      const url = `https://rest.kegg.jp/link/disease/${formattedGeneCode}`;
-      debug(`Fetching diseases for ${formattedGeneCode}: ${url}`);
-      const response = await this.fetchData(url);
-      
-      if (!response || response.trim() === '') {
-        debug(`No disease data found for ${formattedGeneCode}`);
-        return [];
-      }
-      
-      // Parse disease identifiers from response
-      // Format: hsa:5747    ds:H00123
-      const diseaseIds = response.trim().split('\n')
-        .map(line => {
-          const parts = line.split('\t');
-          return parts.length >= 2 ? parts[1] : null;
-        })
-        .filter(Boolean);
-      
-      debug(`Found ${diseaseIds.length} disease identifiers for ${formattedGeneCode}`);
-      
-      // Get detailed information for each disease
-      const diseaseDetails = [];
-      for (const diseaseId of diseaseIds) {
-        try {
-          const diseaseUrl = `https://rest.kegg.jp/get/${diseaseId}`;
-          const diseaseResponse = await this.fetchData(diseaseUrl);
-          
-          if (diseaseResponse) {
-            // Extract name for this disease
-            const nameMatch = diseaseResponse.match(/NAME\s+(.*?)(?:\n|$)/);
-            const name = nameMatch ? nameMatch[1].trim() : diseaseId;
-            
-            diseaseDetails.push({
-              code: diseaseId,
-              name: name
-            });
-            
-            debug(`Added disease: ${diseaseId} - ${name}`);
-          }
-        } catch (diseaseError) {
-          debug(`Error fetching disease detail ${diseaseId}: ${diseaseError.message}`);
-        }
-      }
-      
-      return diseaseDetails;
-    } catch (error) {
-      debug(`Error getting disease data: ${error.message}`);
-      return [];
-    }
-  }
-  
-  // Get related genes and drugs - main function
-  async getRelatedGenesAndDrugs(geneCode) {
-    try {
-      const formattedGeneCode = geneCode.includes(':') ? geneCode : `hsa:${geneCode}`;
-      
-      // Get gene name to verify it exists
-      debug(`Fetching gene info for ${formattedGeneCode}`);
-      const geneName = await this.getGeneName(formattedGeneCode);
-      if (geneName === "Unknown") {
-        debug(`Gene ${formattedGeneCode} not found`);
-        return { error: "Invalid Gene", message: `Gene ${geneCode} not found` };
-      }
-      
-      debug(`Processing gene: ${formattedGeneCode} (${geneName})`);
-      
-      // Get KO information for the base gene
-      const geneKO = await this.getGeneKO(formattedGeneCode);
-      debug(`Found ${geneKO.length} KO entries for gene ${formattedGeneCode}`);
-      
-      // Get diseases associated with the base gene
-      const geneDiseases = await this.getGeneDiseases(formattedGeneCode);
-      debug(`Found ${geneDiseases.length} diseases associated with gene ${formattedGeneCode}`);
-      
-      // 1. Get pathways for gene - correct endpoint format
-      const pathwaysUrl = `https://rest.kegg.jp/link/pathway/${formattedGeneCode}`;
-      debug(`Fetching pathways: ${pathwaysUrl}`);
-      const pathwaysResponse = await this.fetchData(pathwaysUrl);
-      
-      if (!pathwaysResponse || pathwaysResponse.trim() === '') {
-        debug(`No pathway data found for ${formattedGeneCode}`);
-        return { 
-          geneName, 
-          geneKO,
-          diseases: geneDiseases,
-          drugs: [], 
-          relatedGenes: {},
-          error: "No Data",
-          message: "No pathway data found for this gene"
-        };
-      }
-      
-      // Parse pathways - ensure correct format processing
-      const pathways = pathwaysResponse.trim().split('\n')
-        .map(line => {
-          const parts = line.split('\t');
-          return parts.length >= 2 ? parts[1] : null;
-        })
-        .filter(Boolean);
-      
-      debug(`Found ${pathways.length} pathways for gene: ${formattedGeneCode}`);
-      
-      // 2. Get drugs for the base gene - handle failures gracefully
-      let baseDrugs = [];
-      let drugsWithInfo = [];
-      
-      try {
-        const drugsUrl = `https://rest.kegg.jp/link/drug/${formattedGeneCode}`;
-        debug(`Fetching drugs for base gene: ${drugsUrl}`);
-        const drugsResponse = await this.fetchData(drugsUrl);
-        
-        if (drugsResponse && drugsResponse.trim() !== '') {
-          baseDrugs = drugsResponse.trim().split('\n')
-            .map(line => {
-              const parts = line.split('\t');
-              return parts.length >= 2 ? parts[1] : null;
-            })
-            .filter(Boolean);
-          
-          debug(`Found ${baseDrugs.length} drugs for base gene ${formattedGeneCode}`);
-          
-          // 3. Get drug details - only if we found drugs
-          if (baseDrugs.length > 0) {
-            drugsWithInfo = await this._fetchDrugDetails(baseDrugs, geneDiseases);
-            
-            // Add base repurposing score to each drug of the base gene
-            for (const drug of drugsWithInfo) {
-              // Base gene drugs get a default repurposing score of 0.3 (on 0-1 scale)
-              drug.repurposingScore = 0.3;
-              debug(`Set base repurposing score ${drug.repurposingScore.toFixed(2)} for drug ${drug.code} of base gene`);
-            }
-            
-            debug(`Processed ${drugsWithInfo.length} drugs with details for base gene: ${formattedGeneCode}`);
-          } else {
-            debug(`No drugs found for gene: ${formattedGeneCode}`);
-          }
-        } else {
-          debug(`No drug information available for gene: ${formattedGeneCode}`);
-        }
-      } catch (error) {
-        // Continue even if drug fetching fails
-        debug(`Error fetching drug information: ${error.message} - continuing with pathway analysis`);
-      }
-      
-      // 4. For each pathway, get related genes (limit to first 2 pathways)
-      const relatedGenes = {};
-      const pathwaysToProcess = pathways.slice(0, 2);
-      
-      debug(`Processing ${pathwaysToProcess.length} pathways for related genes`);
-      
-      for (const pathway of pathwaysToProcess) {
-        await this._processPathway(pathway, formattedGeneCode, relatedGenes, geneDiseases);
-      }
-      
-      debug(`Completed processing with ${Object.keys(relatedGenes).length} related genes`);
-      
-      // Create final result
-      return {
-        geneName,
-        geneKO,
-        diseases: geneDiseases,
-        drugs: baseDrugs,
-        drugsWithInfo: drugsWithInfo,
-        relatedGenes: relatedGenes
-      };
-    } catch (error) {
-      debug(`Error getting related genes and drugs: ${error.message}`);
-      return { error: "Processing Error", message: error.message };
-    }
-  }
-  
-  // Helper to fetch drug details
-  async _fetchDrugDetails(drugCodes, baseGeneDiseases = []) {
-    const drugsWithInfo = [];
-    debug(`Fetching details for ${drugCodes.length} drugs`);
-    
-    for (const drugCode of drugCodes) {
-      try {
-        // Make sure we're using valid drug codes (typically starting with dr:)
-        if (!drugCode || (!drugCode.startsWith('dr:') && !drugCode.match(/^D\d+$/))) {
-          debug(`Skipping invalid drug code: ${drugCode}`);
-          continue;
-        }
-        
-        // Format drug code properly for API call
-        const formattedDrugCode = drugCode.startsWith('dr:') ? drugCode : `dr:${drugCode}`;
-        
-        // Use the correct KEGG API endpoint
-        const drugUrl = `https://rest.kegg.jp/get/${formattedDrugCode}`;
-        debug(`Fetching drug details: ${drugUrl}`);
-        const drugResponse = await this.fetchData(drugUrl);
-        
-        if (!drugResponse || drugResponse.trim() === '') {
-          debug(`No data received for drug ${formattedDrugCode}`);
-          continue;
-        }
-        
-        // Initialize drug info
-        const drugInfo = {
-          code: drugCode,
-          name: drugCode,
-          diseases: [],
-          repurposingScore: 3 // Base score for all drugs is 3
-        };
-        
-        // Extract drug name first
-        const nameMatch = drugResponse.match(/NAME\s+(.*?)(?:\n|$)/);
-        if (nameMatch) {
-          drugInfo.name = this.cleanText(nameMatch[1], "NAME");
-          debug(`Found drug name: ${drugInfo.name}`);
-        }
-        
-        // Log entire raw response for deep debugging
-        if (CONFIG.DEBUG_MODE) {
-          debug(`Raw drug response for ${drugCode} (first 100 chars): ${drugResponse.substring(0, 100)}...`);
-        }
-        
-        // NEW APPROACH: Extract the entire DISEASE section first
-        const diseaseSectionMatch = drugResponse.match(/DISEASE([\s\S]*?)(?=\n[A-Z]+|\n\n|$)/);
-        
-        if (diseaseSectionMatch) {
-          const entireDiseaseSection = diseaseSectionMatch[0];
-          debug(`Found DISEASE section for ${drugCode} (${entireDiseaseSection.length} chars)`);
-          
-          // Find all disease codes in the section using a global regex
-          const diseaseCodeMatches = entireDiseaseSection.match(/\[DS:([\w\d]+)\]/g) || [];
-          debug(`Found ${diseaseCodeMatches.length} disease code references`);
-          
-          // Process all lines in the disease section
-          const diseaseLines = entireDiseaseSection.split('\n')
-            .filter(line => line.trim().length > 0);
-          
-          // Track diseases we've already processed (to avoid duplicates)
-          const processedCodes = new Set();
-          
-          // Process each line for disease information
-          for (const line of diseaseLines) {
-            const dsMatch = line.match(/\[DS:([\w\d]+)\]/);
-            if (dsMatch) {
-              const diseaseCode = dsMatch[1];
-              
-              // Skip if we've already processed this disease code
-              if (processedCodes.has(diseaseCode)) continue;
-              processedCodes.add(diseaseCode);
-              
-              // Extract disease name - everything before the DS code
-              // First, remove the DISEASE header if present
-              let diseaseName = line.replace(/^DISEASE\s+/, '')
-                                   .replace(/\[DS:[\w\d]+\].*$/, '')
-                                   .trim();
-              
-              // Handle lines where the disease code comes first (indented continuation lines)
-              if (!diseaseName && line.trim().startsWith('[')) {
-                // Try to find the disease name in previous lines
-                const lineIndex = diseaseLines.indexOf(line);
-                if (lineIndex > 0) {
-                  diseaseName = diseaseLines[lineIndex - 1]
-                    .replace(/^DISEASE\s+/, '')
-                    .trim();
-                }
-              }
-              
-              // Remove any parenthesized text at the end of the disease name
-              diseaseName = diseaseName.replace(/\s+\([^)]*\)$/, '').trim();
-              
-              // Add the disease to our list
-              if (diseaseName) {
-                drugInfo.diseases.push({
-                  code: diseaseCode,
-                  name: diseaseName
-                });
-                debug(`Found disease: ${diseaseCode} - ${diseaseName}`);
-              } else {
-                // Fallback if we couldn't extract a name
-                drugInfo.diseases.push({
-                  code: diseaseCode,
-                  name: `Disease ${diseaseCode}`
-                });
-                debug(`Found disease code ${diseaseCode} without name`);
-              }
-            }
-          }
-        } else {
-          debug(`No DISEASE section found in drug ${drugCode}`);
-        }
-        
-        drugsWithInfo.push(drugInfo);
-        debug(`Processed drug ${drugCode} - found ${drugInfo.diseases.length} associated diseases`);
-    } catch (error) {
-        debug(`Error processing drug ${drugCode}: ${error.message}`);
-      }
-    }
-    
-    return drugsWithInfo;
-  }
-  
-  // Helper to process pathway and related genes
-  async _processPathway(pathway, sourceGeneCode, relatedGenes, baseGeneDiseases = []) {
-    try {
-      debug(`Processing pathway: ${pathway}`);
-      
-      // Ensure pathway has the correct format (should be path:hsa00000)
-      // Pathway IDs from KEGG link responses often look like "hsa04510" without the "path:" prefix
-      const formattedPathway = pathway.includes(':') ? pathway : 
-        (pathway.match(/^hsa\d+$/) ? `path:${pathway}` : pathway);
-      
-      // Get pathway info - using proper GET endpoint
-      const pathwayInfoUrl = `https://rest.kegg.jp/get/${formattedPathway}`;
-      debug(`Fetching pathway info: ${pathwayInfoUrl}`);
-      const pathwayInfoResponse = await this.fetchData(pathwayInfoUrl);
-      
-      let pathwayName = formattedPathway;
-      if (pathwayInfoResponse) {
-        // Standard text parsing for KEGG flat file format
-        const nameMatch = pathwayInfoResponse.match(/NAME\s+(.*?)\n/);
-        if (nameMatch) pathwayName = nameMatch[1].trim();
-        debug(`Pathway name: ${pathwayName}`);
-      }
-      
-      // Extract the pathway ID without the "path:" prefix for the correct API call
-      // If input is "path:hsa01521", we need just "hsa01521" for the API call
-      const pathwayId = pathway.includes(':') ? pathway.split(':')[1] : pathway;
-      
-      // Get genes in this pathway - using correct LINK endpoint format: /link/hsa/{pathway_id}
-      const pathwayGenesUrl = `https://rest.kegg.jp/link/hsa/${pathwayId}`;
-      debug(`Fetching pathway genes: ${pathwayGenesUrl}`);
-      const pathwayGenesResponse = await this.fetchData(pathwayGenesUrl);
-      
-      if (!pathwayGenesResponse || pathwayGenesResponse.trim() === '') {
-        debug(`No genes found for pathway ${formattedPathway}`);
-        return;
-      }
-      
-      // Parse gene entries from the response using standard KEGG tab-separated format
-      // KEGG response format for this endpoint is: hsa01521\thsa:5747
-      const genesInPathway = pathwayGenesResponse.trim().split('\n')
-        .map(line => {
-          const parts = line.split('\t');
-          // Ensure we're getting a valid gene ID (should start with hsa:)
-          if (parts.length >= 2 && parts[1].includes('hsa:')) {
-            return parts[1]; // The second column has the gene ID
-          }
-          return null;
-        })
-        .filter(gene => gene && gene !== sourceGeneCode);
-      
-      debug(`Found ${genesInPathway.length} genes in pathway ${formattedPathway}`);
-      
-      // Process up to 3 related genes per pathway (to keep it faster)
-      const genesToProcess = genesInPathway.slice(0, 3);
-      debug(`Processing genes: ${genesToProcess.join(', ')}`);
-      
-      for (const relatedGene of genesToProcess) {
-        // Skip if already processed
-        if (relatedGenes[relatedGene]) {
-          debug(`Gene ${relatedGene} already processed, skipping`);
-        continue;
-      }
-        
-        try {
-          // Get gene name and details
-          debug(`Getting name for gene ${relatedGene}`);
-          const relatedGeneName = await this.getGeneName(relatedGene);
-          if (relatedGeneName === "Unknown") {
-            debug(`Unable to get name for gene ${relatedGene}, skipping`);
-            continue;
-          }
-          
-          debug(`Found related gene: ${relatedGene} (${relatedGeneName})`);
-          
-          // Get KO information for the related gene
-          const relatedGeneKO = await this.getGeneKO(relatedGene);
-          debug(`Found ${relatedGeneKO.length} KO entries for related gene ${relatedGene}`);
-          
-          // Get diseases associated with the related gene
-          const relatedGeneDiseases = await this.getGeneDiseases(relatedGene);
-          debug(`Found ${relatedGeneDiseases.length} diseases for related gene ${relatedGene}`);
-          
-          // Look for specific relationship in pathway name or function
-          let relation = "Pathway";
-          if (pathwayName.toLowerCase().includes("activ")) {
-            relation = "Activation";
-          } else if (pathwayName.toLowerCase().includes("inhib")) {
-            relation = "Inhibition";
-          }
-          
-          // Initialize with basic info in case drug fetch fails
-          relatedGenes[relatedGene] = {
-            geneName: relatedGeneName,
-            relation: relation,
-            pathway: pathwayName,
-            ko: relatedGeneKO,
-            diseases: relatedGeneDiseases,
-            drugs: [],
-            drugsWithInfo: []
-          };
-          
-          try {
-            // Get drugs for this gene
-            const relatedDrugsUrl = `https://rest.kegg.jp/link/drug/${relatedGene}`;
-            debug(`Fetching drugs for related gene ${relatedGene}: ${relatedDrugsUrl}`);
-            const relatedDrugsResponse = await this.fetchData(relatedDrugsUrl);
-            
-            // Parse drug codes using standard KEGG tab-separated format
-            // Format: hsa:5747\tdr:D00036
-            let drugCodes = [];
-            
-            if (relatedDrugsResponse && relatedDrugsResponse.trim()) {
-              // Standard text format
-              drugCodes = relatedDrugsResponse.trim().split('\n')
-                .map(line => {
-                  const parts = line.split('\t');
-                  // Verify it's a valid drug ID (should be dr:DXXXXX)
-                  if (parts.length >= 2 && (parts[1].startsWith('dr:') || parts[1].match(/^D\d+$/))) {
-                    return parts[1]; // The second column has the drug ID
-                  }
-                  return null;
-                })
-                .filter(Boolean);
-              
-              debug(`Found ${drugCodes.length} drug codes for gene ${relatedGene}: ${drugCodes.join(', ')}`);
-            } else {
-              debug(`No drug data found for gene ${relatedGene}`);
-            }
-            
-            // Update gene entry with drug codes
-            relatedGenes[relatedGene].drugs = drugCodes;
-            
-            // Get drug details only if we have drug codes
-            if (drugCodes.length > 0) {
-              debug(`Found ${drugCodes.length} drugs for gene ${relatedGene}, fetching details`);
-              const drugsWithInfo = await this._fetchDrugDetails(drugCodes, relatedGeneDiseases);
-              
-              // Calculate repurposing score for each drug
-              for (const drug of drugsWithInfo) {
-                // Calculate repurposing score
-                drug.repurposingScore = this.calculateRepurposingScore(
-                  drug, 
-                  baseGeneDiseases, 
-                  relatedGeneDiseases,
-                  relation
-                );
-                debug(`Set repurposing score ${drug.repurposingScore} for drug ${drug.code} of gene ${relatedGene}`);
-              }
-              
-              // Sort drugs by repurposing score (highest first)
-              drugsWithInfo.sort((a, b) => b.repurposingScore - a.repurposingScore);
-              
-              relatedGenes[relatedGene].drugsWithInfo = drugsWithInfo;
-              debug(`Added ${drugsWithInfo.length} drugs with details to gene ${relatedGene}`);
-            } else {
-              debug(`No drugs found for gene ${relatedGene}`);
-            }
-          } catch (drugError) {
-            debug(`Error fetching drugs for related gene ${relatedGene}: ${drugError.message}`);
-            // Gene info still preserved even if drug fetch fails
-          }
-        } catch (geneError) {
-          debug(`Error processing related gene ${relatedGene}: ${geneError.message}`);
-        }
-      }
-    } catch (error) {
-      debug(`Error processing pathway ${pathway}: ${error.message}`);
-    }
-  }
-  
-  // Get performance metrics
-  getPerformanceMetrics() {
-    const totalRequests = this.metrics.requestCount;
-    const successRate = totalRequests > 0 ? 
-      (this.metrics.successCount / totalRequests) * 100 : 0;
-    const avgRequestTime = this.metrics.successCount > 0 ? 
-      this.metrics.totalTime / this.metrics.successCount : 0;
-    
-    return {
-      requestCount: totalRequests,
-      successCount: this.metrics.successCount,
-      failureCount: this.metrics.failureCount,
-      successRate: successRate,
-      averageRequestTime: avgRequestTime
-    };
-  }
   
   // Create drug cards HTML from the drug list
   createDrugCards(drugs) {
@@ -872,13 +166,16 @@ class KeggAPI {
       
       html += `
         <div class="drug-card ${scoreClass}">
-          <h3 class="drug-name">${drug.name}</h3>
+          <h3 class="drug-name"${provenanceTitle(drug)}>${drug.name}</h3>
+          ${drugTargetHtml(drug)}
           ${drug.description ? `<p class="drug-description">${drug.description}</p>` : ''}
           ${hasScore ? `
             <div class="repurposing-score-container">
               <div class="repurposing-score-label">Repurposing Score:</div>
               <div class="repurposing-score-value">${(drug.repurposingScore * 100).toFixed(1)}%</div>
             </div>
+            ${drugProximityHtml(drug)}
+            ${scoreBreakdownHtml(drug)}
           ` : ''}
         </div>
       `;
@@ -888,12 +185,18 @@ class KeggAPI {
     return html;
   }
   
+  
   // Process a gene to find related genes and drugs
-  async processGene(geneId) {
+  async processGene(geneId, { signal } = {}) {
     try {
       debug(`Processing gene: ${geneId}`);
       // Get related genes and drugs
-      const result = await this.getRelatedGenesAndDrugs(geneId);
+      const result = await this.api.getRelatedGenesAndDrugs(geneId, { signal });
+      
+      // A cancelled search is not an error - there is just nothing to show
+      if (result.cancelled) {
+        return result;
+      }
       
       if (result.error) {
         console.error("Error processing gene:", result.error);
@@ -959,6 +262,73 @@ class KeggAPI {
     }
   }
   
+  
+  // Process a gene by name, first finding its ID then processing it. When the best match would be a
+  // guess (see isAmbiguousGeneQuery), nothing is expanded until the user picks one of the matches in
+  // #message; without that element the matches come back as { ambiguous, query, matches } instead
+  async processGeneByName(geneName, { signal } = {}) {
+    console.log(`Finding gene by name: ${geneName}`);
+    const genes = await this.api.suggestGenes(geneName, { signal, limit: null });
+    
+    if (genes.length === 0) {
+      console.error("No genes found with that name");
+      throw new Error("No genes found with that name");
+    }
+    
+    let geneId = genes[0].id;
+    if (isAmbiguousGeneQuery(genes, geneName)) {
+      console.log(`Found ${genes.length} matches for "${geneName}", waiting for a choice`);
+      const messageEl = document.getElementById('message');
+      if (!messageEl) return { ambiguous: true, query: geneName, matches: genes };
+      
+      geneId = await this.pickGene(messageEl, geneName, genes, { signal });
+      if (!geneId) return { cancelled: true, error: "Cancelled", message: "No gene picked" };
+    }
+    
+    console.log(`Using gene: ${geneId}`);
+    return this.processGene(geneId, { signal });
+  }
+  
+  // Offer gene matches as buttons in container. Resolves with the ID picked, or null when the
+  // picker is closed or the search cancelled
+  pickGene(container, query, genes, { signal } = {}) {
+    return new Promise(resolve => {
+      const finish = geneId => {
+        signal?.removeEventListener('abort', onAbort);
+        container.innerHTML = '';
+        container.style.display = 'none';
+        resolve(geneId);
+      };
+      const onAbort = () => finish(null);
+      signal?.addEventListener('abort', onAbort, { once: true });
+      
+      container.innerHTML = '';
+      const title = document.createElement('div');
+      title.textContent = genes.length > 10 ? `${genes.length} genes match "${query}" - pick one of the best 10:`
+        : `Several genes match "${query}" - pick one:`;
+      container.appendChild(title);
+      
+      for (const gene of genes.slice(0, 10)) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = `${gene.symbol || gene.id} (${gene.id})`;
+        button.title = gene.description || '';
+        button.addEventListener('click', () => finish(gene.id));
+        container.appendChild(button);
+      }
+      
+      const close = document.createElement('button');
+      close.type = 'button';
+      close.textContent = 'Cancel';
+      close.addEventListener('click', () => finish(null));
+      container.appendChild(close);
+      
+      container.className = 'message info';
+      container.style.display = 'block';
+      if (signal?.aborted) finish(null);
+    });
+  }
+  
   // Display gene information
   displayGeneInfo(geneInfo) {
     const geneInfoElement = document.getElementById('gene-info');
@@ -983,8 +353,9 @@ class KeggAPI {
     `;
   }
   
-  // Create a network visualization for the gene and its relations
-  createNetworkVisualization(centralGeneId, relatedGenes) {
+  // Create a network visualization for the gene and its relations, laid out as one of LAYOUTS
+  // (kegg-layout.js). Wheel zooms, dragging the background pans and dragging a node pins it
+  createNetworkVisualization(centralGeneId, relatedGenes, { layout = 'force' } = {}) {
     const graphElement = document.getElementById('graph');
     if (!graphElement) return;
     
@@ -1001,53 +372,64 @@ class KeggAPI {
     svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
     graphElement.appendChild(svg);
     
+    const viewport = document.createElementNS("http://www.w3.org/2000/svg", "g");
+    viewport.setAttribute("class", "viewport");
+    svg.appendChild(viewport);
+    const zoom = createZoomPan(svg);
+    
     // Create nodes data
     const nodes = [
-        { id: centralGeneId, name: this.formatGeneId(centralGeneId), type: 'central' },
+        { id: centralGeneId, name: this.api.formatGeneId(centralGeneId), type: 'central' },
         ...relatedGenes.map(gene => ({
             id: gene.id,
-            name: this.formatGeneId(gene.id),
+            name: this.api.formatGeneId(gene.id),
             type: 'related',
             description: gene.description || ''
         }))
     ];
     
-    // Create a simple force-directed layout
-    const centerX = width / 2;
-    const centerY = height / 2;
-    const radius = Math.min(width, height) * 0.4;
-    
-    // Position central gene in the middle
     const centralNode = nodes[0];
-    centralNode.x = centerX;
-    centralNode.y = centerY;
-    
-    // Position related genes in a circle around the central gene
     const relatedNodes = nodes.slice(1);
-    const angleStep = (2 * Math.PI) / relatedNodes.length;
-    
-    relatedNodes.forEach((node, i) => {
-        const angle = i * angleStep;
-        node.x = centerX + radius * Math.cos(angle);
-        node.y = centerY + radius * Math.sin(angle);
-    });
+    const pinned = new Map();
+    const nodeRadius = 20;
+    
+    // Related genes hang off the central gene
+    const edges = relatedNodes.map(node => ({ from: centralNode, to: node, element: document.createElementNS("http://www.w3.org/2000/svg", "line") }));
+    const placeEdge = edge => {
+        edge.element.setAttribute("x1", edge.from.x);
+        edge.element.setAttribute("y1", edge.from.y);
+        edge.element.setAttribute("x2", edge.to.x);
+        edge.element.setAttribute("y2", edge.to.y);
+    };
+    const placeNode = node => node.element.setAttribute("transform", `translate(${node.x},${node.y})`);
+    
+    const applyLayout = ({ relax = false } = {}) => {
+        const positions = layoutNetwork(layout, nodes, edges.map(edge => ({ source: edge.from.id, target: edge.to.id, directed: false })), {
+            width,
+            height,
+            center: centralGeneId,
+            nodeRadius,
+            pinned,
+            ...(relax ? { initial: new Map(nodes.map(node => [node.id, node])), iterations: 100 } : {})
+        });
+        nodes.forEach(node => {
+            Object.assign(node, positions.get(node.id));
+            placeNode(node);
+        });
+        edges.forEach(placeEdge);
+    };
     
     // Draw edges
-    relatedNodes.forEach(node => {
-        const edge = document.createElementNS("http://www.w3.org/2000/svg", "line");
-        edge.setAttribute("x1", centralNode.x);
-        edge.setAttribute("y1", centralNode.y);
-        edge.setAttribute("x2", node.x);
-        edge.setAttribute("y2", node.y);
-        edge.setAttribute("stroke", "#aaa");
-        edge.setAttribute("stroke-width", "1");
-        svg.appendChild(edge);
+    edges.forEach(edge => {
+        edge.element.setAttribute("stroke", "#aaa");
+        edge.element.setAttribute("stroke-width", "1");
+        viewport.appendChild(edge.element);
     });
     
     // Draw nodes
     nodes.forEach(node => {
         const group = document.createElementNS("http://www.w3.org/2000/svg", "g");
-        group.setAttribute("transform", `translate(${node.x},${node.y})`);
+        node.element = group;
         
         const circle = document.createElementNS("http://www.w3.org/2000/svg", "circle");
         circle.setAttribute("r", node.type === 'central' ? 20 : 15);
@@ -1084,22 +466,77 @@ class KeggAPI {
             }
         });
         
-        svg.appendChild(group);
+        enableNodeDrag(group, {
+            position: () => node,
+            onMove: (x, y) => {
+                Object.assign(node, { x, y });
+                placeNode(node);
+                edges.filter(edge => edge.from === node || edge.to === node).forEach(placeEdge);
+            },
+            onDrop: () => {
+                pinned.set(node.id, { x: node.x, y: node.y });
+                if (layout === 'force') applyLayout({ relax: true });
+            }
+        });
+        
+        viewport.appendChild(group);
     });
-  }
-  
-  // Format gene ID for display (remove 'hsa:' prefix)
-  formatGeneId(id) {
-    return id.replace('hsa:', '');
+    
+    applyLayout();
+    zoom.fit(new Map(nodes.map(node => [node.id, node])), { nodeRadius });
   }
 }
 
 // Drug Finder class for displaying drug information
 class DrugFinder {
-  constructor(results) {
+  // interactions: optional checkDrugInteractions result, shown as badges on the cards
+  constructor(results, { interactions = null } = {}) {
     this.results = results;
+    this.interactions = interactions && !interactions.error && !interactions.cancelled ? interactions : null;
   }
-
+  
+  // Interaction matrix for the candidate drugs (and any medications checked with them)
+  showInteractions() {
+    if (!this.interactions) return;
+    
+    const resultContainer = document.getElementById('drug-results');
+    const interactionsContainer = document.createElement('div');
+    interactionsContainer.className = 'drug-interactions-matrix';
+    interactionsContainer.innerHTML = `
+      <h3>Drug-Drug Interactions</h3>
+      ${interactionMatrixHtml(this.interactions)}
+    `;
+    resultContainer.appendChild(interactionsContainer);
+  }
+  
+  // Buttons that download the whole candidate table (see kegg-export.js) and the network
+  // (kegg-network.js), one per format
+  showExport(geneCode) {
+    if (!this.results) return;
+    
+    const resultContainer = document.getElementById('drug-results');
+    const exportContainer = document.createElement('div');
+    exportContainer.className = 'candidate-export';
+    exportContainer.innerHTML = `
+      <span>Export candidates:</span>
+      ${Object.keys(EXPORT_FORMATS).map(format => `<button type="button" data-format="${format}">${format.toUpperCase()}</button>`).join(' ')}
+      <span>Network:</span>
+      ${Object.keys(NETWORK_FORMATS).map(format => `<button type="button" data-network="${format}">${format === 'cyjs' ? 'Cytoscape JSON' : format.toUpperCase()}</button>`).join(' ')}
+    `;
+    const basename = `omnigene-${geneCode.replace(/[^\w-]+/g, '_')}`;
+    exportContainer.querySelectorAll('button[data-format]').forEach(button => {
+      button.addEventListener('click', () => {
+        downloadExport(exportCandidates(this.results, button.dataset.format, { geneCode, interactions: this.interactions, basename }));
+      });
+    });
+    exportContainer.querySelectorAll('button[data-network]').forEach(button => {
+      button.addEventListener('click', () => {
+        downloadExport(exportNetwork(this.results, geneCode, button.dataset.network, { basename: `${basename}-network` }));
+      });
+    });
+    resultContainer.appendChild(exportContainer);
+  }
+  
   showBaseDrugs() {
     const resultContainer = document.getElementById('drug-results');
     const drugsContainer = document.createElement('div');
@@ -1126,7 +563,9 @@ class DrugFinder {
           
           return `
             <div class="drug-card ${scoreClass}">
-              <div class="drug-name">${drug.name} (${drug.code})</div>
+              <div class="drug-name"${provenanceTitle(drug)}>${drug.name} (${drug.code})</div>
+              ${drugTargetHtml(drug)}
+              ${drugInteractionsHtml(drug, this.interactions)}
               ${drug.diseases && drug.diseases.length > 0 ? `
                 <div class="drug-diseases">
                   <strong>Associated Diseases:</strong>
@@ -1141,6 +580,8 @@ class DrugFinder {
                 <div class="repurposing-score-label">Repurposing Score:</div>
                 <div class="repurposing-score-value">${(drug.repurposingScore * 100).toFixed(1)}%</div>
               </div>
+              ${drugProximityHtml(drug)}
+              ${scoreBreakdownHtml(drug)}
             </div>
           `;
         }).join('')}
@@ -1149,7 +590,7 @@ class DrugFinder {
     
     resultContainer.appendChild(drugsContainer);
   }
-
+  
   showRelatedDrugs() {
     const resultContainer = document.getElementById('drug-results');
     
@@ -1181,7 +622,9 @@ class DrugFinder {
             
             return `
               <div class="drug-card ${scoreClass}">
-                <div class="drug-name">${drug.name} (${drug.code})</div>
+                <div class="drug-name"${provenanceTitle(drug)}>${drug.name} (${drug.code})</div>
+                ${drugTargetHtml(drug)}
+                ${drugInteractionsHtml(drug, this.interactions)}
                 ${drug.diseases && drug.diseases.length > 0 ? `
                   <div class="drug-diseases">
                     <strong>Associated Diseases:</strong>
@@ -1196,6 +639,8 @@ class DrugFinder {
                   <div class="repurposing-score-label">Repurposing Score:</div>
                   <div class="repurposing-score-value">${(drug.repurposingScore * 100).toFixed(1)}%</div>
                 </div>
+                ${drugProximityHtml(drug)}
+                ${scoreBreakdownHtml(drug)}
               </div>
             `;
           }).join('')}
@@ -1207,8 +652,8 @@ class DrugFinder {
   }
 }
 
-// Initialize application
-document.addEventListener('DOMContentLoaded', async () => {
+// Wire up the finder page (gene form, metrics, debug and cache controls)
+function initGeneDrugFinder() {
   try {
     // Initialize API
     const keggApi = new KeggAPI();
@@ -1222,8 +667,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     const debugBtn = document.getElementById('debug-btn');
     const debugOutput = document.getElementById('debug-output');
     const clearCacheBtn = document.getElementById('clear-cache');
-    
-    if (clearCacheBtn) clearCacheBtn.remove();
+    const cacheInfoElement = document.getElementById('cache-info');
     
     let isProcessing = false;
     
@@ -1240,6 +684,15 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
     }
     
+    // Clear the response cache
+    if (clearCacheBtn) {
+      clearCacheBtn.addEventListener('click', async () => {
+        await keggApi.cache.clear();
+        showMessage('Cache cleared', 'info');
+        updateMetrics();
+      });
+    }
+    
     // Update metrics periodically
     setInterval(updateMetrics, 10000);
     setTimeout(updateMetrics, 3000);
@@ -1250,13 +703,31 @@ document.addEventListener('DOMContentLoaded', async () => {
         metricsElement.innerHTML = `
           <strong>API Status:</strong> ${metrics.successRate.toFixed(1)}% success rate | 
           ${metrics.requestCount} requests (${metrics.successCount} success, ${metrics.failureCount} failed) | 
-          Avg response: ${metrics.averageRequestTime.toFixed(0)}ms
+          Avg response: ${metrics.averageRequestTime.toFixed(0)}ms |
+          ${metrics.cacheHits} served from cache
         `;
+        updateCacheInfo();
       } catch (error) {
         debug('Error updating metrics:', error);
       }
     }
     
+    // Show what the cache currently holds
+    async function updateCacheInfo() {
+      if (!cacheInfoElement) return;
+      
+      const info = await keggApi.cache.inspect();
+      const operations = Object.entries(info.byOperation)
+        .map(([operation, summary]) => `${operation}: ${summary.count}`)
+        .join(', ');
+      
+      cacheInfoElement.innerHTML = `
+        <strong>Cache:</strong> ${info.entryCount} entries (${formatBytes(info.totalBytes)})
+        ${operations ? `| ${operations}` : ''} |
+        ${info.hits} hits, ${info.misses} misses
+      `;
+    }
+    
     // Show message to user
     function showMessage(message, type = 'info') {
       messageElement.textContent = message;
@@ -1282,12 +753,12 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
         
         const geneCode = geneInput.value.trim();
-        
+    
     if (!geneCode) {
           showMessage('Please enter a gene code (e.g., hsa:5747)', 'error');
       return;
     }
-    
+        
         isProcessing = true;
         loadingIndicator.style.display = 'block';
         resultsContainer.innerHTML = '';
@@ -1299,15 +770,19 @@ document.addEventListener('DOMContentLoaded', async () => {
           // Process the gene
           const results = await keggApi.getRelatedGenesAndDrugs(geneCode);
           
-          window.updateProgress?.(100, 'Search complete');
-          
           if (results.error) {
             showMessage(`Error: ${results.message || results.error}`, 'error');
             window.showError?.(results.error, results.message);
         return;
       }
-      
-          displayResults(results, geneCode);
+          
+          // Check the candidates against each other and the medications entered, if any
+          window.updateProgress?.(90, 'Checking drug interactions...');
+          const interactions = await keggApi.checkDrugInteractions(collectCandidateDrugs(results), readMedications());
+          
+          window.updateProgress?.(100, 'Search complete');
+          
+          displayResults(results, geneCode, interactions);
           showMessage(`Successfully retrieved data for ${geneCode}`, 'success');
     } catch (error) {
           showMessage(`Error processing gene: ${error.message}`, 'error');
@@ -1331,8 +806,15 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
     }
     
+    // Medications from the optional #medications-input, comma or newline separated
+    function readMedications() {
+      const medicationsInput = document.getElementById('medications-input');
+      if (!medicationsInput) return [];
+      return medicationsInput.value.split(/[,\n]/).map(name => name.trim()).filter(Boolean);
+    }
+    
     // Display results on the page
-    function displayResults(data, geneCode) {
+    function displayResults(data, geneCode, interactions = null) {
       if (!resultsContainer) return;
     
     // Clear previous results and create a container for the drug results 
@@ -1363,13 +845,13 @@ document.addEventListener('DOMContentLoaded', async () => {
       
       const koList = document.createElement('ul');
       koList.className = 'ko-list';
-      
+        
         data.geneKO.forEach(ko => {
         const koItem = document.createElement('li');
           koItem.textContent = `${ko.name} (${ko.id})`;
         koList.appendChild(koItem);
       });
-      
+        
         mainGeneSection.appendChild(koList);
       }
       
@@ -1382,17 +864,17 @@ document.addEventListener('DOMContentLoaded', async () => {
           
           const diseasesList = document.createElement('ul');
           diseasesList.className = 'diseases-list';
-          
+        
         data.diseases.forEach(disease => {
             const diseaseItem = document.createElement('li');
             diseaseItem.className = 'disease-item';
             diseaseItem.textContent = `${disease.name} (${disease.code})`;
             diseasesList.appendChild(diseaseItem);
           });
-          
+        
         mainGeneSection.appendChild(diseasesList);
       }
-
+      
       // Add the main gene section to the results container
       resultsContainer.appendChild(mainGeneSection);
       
@@ -1400,9 +882,11 @@ document.addEventListener('DOMContentLoaded', async () => {
       resultsContainer.appendChild(drugResults);
       
       // Set up the finder to display drugs
-      const finder = new DrugFinder(data);
+      const finder = new DrugFinder(data, { interactions });
+      finder.showExport(geneCode);
       finder.showBaseDrugs();
       finder.showRelatedDrugs();
+      finder.showInteractions();
     }
       
       // Expose keggApi for debugging
@@ -1419,4 +903,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         messageElement.style.display = 'block';
       }
     }
-  });
\ No newline at end of file
+}
+
+export { KeggGeneDrugFinder, DrugFinder, initGeneDrugFinder, interactionMatrixHtml, downloadExport };
+// Browser-only figure export of the network view, kept out of the headless index.js
+export { NETWORK_LEGEND, createFigureSvg, serializeSvg, setPngDpi, renderPng, exportFigure } from './kegg-figure.js';
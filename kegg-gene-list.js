@@ -0,0 +1,150 @@
+/**
+ * Gene Lists
+ * Parses pasted gene lists and GMT gene-set files, and combines drug candidates across the genes
+ */
+
+import { targetClassRank } from './kegg-disease.js';
+import { closerProximity } from './kegg-proximity.js';
+
+// Gene IDs as typed - hsa:5747, or a bare number for the default organism
+function isGeneId(text) {
+  return /^[a-z]{3,4}:\S+$/i.test(text) || /^\d+$/.test(text);
+}
+
+// Values of a DE table that can't be gene IDs - fold changes, p-values. Bare integers stay, as
+// isGeneId reads them as genes of the default organism
+function isMeasurement(text) {
+  return !/^\d+$/.test(text) && /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text);
+}
+
+// First cell of a table's header row
+const HEADER_CELL = /^(gene|symbol|id|gene[\s_.]?(symbol|id|name))$/i;
+
+// A pasted or uploaded list - one gene per line or separated by commas, semicolons or spaces.
+// Tables exported from a DE analysis contribute their first column only: tab-separated lines, and
+// comma-separated ones when the list has a header row (first cell gene, symbol or id) or numbers
+// past the first column. Header rows and numbers like 2.1 or 1e-5 are skipped, lines starting
+// with # are comments, and duplicates are dropped, keeping the first spelling
+function parseGeneList(text) {
+  const genes = [];
+  const seen = new Set();
+  const unquote = value => value.trim().replace(/^["']|["']$/g, '');
+  const cells = line => line.split(line.includes('\t') ? '\t' : ',').map(unquote);
+  
+  const lines = String(text || '').split(/\r?\n/).filter(line => line.trim() && !line.trim().startsWith('#'));
+  const header = lines.length > 0 && HEADER_CELL.test(cells(lines[0])[0]);
+  const csvTable = header || lines.some(line => !line.includes('\t') && cells(line).slice(1).some(isMeasurement));
+  
+  for (const line of header ? lines.slice(1) : lines) {
+    const tableRow = line.includes('\t') || (csvTable && line.includes(','));
+    const items = tableRow ? [cells(line)[0]] : line.split(/[\s,;]+/).map(unquote);
+    
+    for (const item of items.filter(value => value && !isMeasurement(value))) {
+      const key = item.toUpperCase();
+      if (seen.has(key)) continue;
+      seen.add(key);
+      genes.push(item);
+    }
+  }
+  
+  return genes;
+}
+
+// GMT gene sets - "name\tdescription\tgene1\tgene2..." per line -> [{ name, description, genes }]
+function parseGmt(text) {
+  return String(text || '').split(/\r?\n/)
+    .map(line => line.split('\t').map(part => part.trim()))
+    .filter(parts => parts.length >= 3 && parts[0])
+    .map(([name, description, ...genes]) => ({
+      name,
+      description,
+      genes: [...new Set(genes.filter(Boolean))]
+    }));
+}
+
+// Drug candidates over the getRelatedGenesAndDrugs results of a gene list (keyed by input gene).
+// Each drug is merged across the input genes it was reached from: how many it hits, the best
+// score it got from each and overall (with that score's breakdown), its closest target class
+// (and the provenance of that hit), its closest network proximity and the union of its diseases
+function aggregateGeneListCandidates(geneResults) {
+  const drugs = new Map();
+  
+  const add = (drug, inputGene, gene) => {
+    let entry = drugs.get(drug.code);
+    if (!entry) {
+      entry = {
+        code: drug.code,
+        name: drug.name,
+        targets: drug.targets || [],
+        targetClass: drug.targetClass,
+        targetLabel: drug.targetLabel,
+        mechanism: drug.mechanism,
+        inputGenes: [],
+        geneScores: {},
+        bestScore: null,
+        bestGene: null,
+        scoreTotal: null,
+        scoreBreakdown: null,
+        proximity: null,
+        provenance: drug.provenance || null,
+        diseases: [],
+        via: []
+      };
+      drugs.set(drug.code, entry);
+    }
+    
+    if (!entry.inputGenes.includes(inputGene)) entry.inputGenes.push(inputGene);
+    entry.via.push({ inputGene, gene, targetClass: drug.targetClass, provenance: drug.provenance || null });
+    
+    for (const disease of drug.diseases || []) {
+      if (!entry.diseases.some(existing => existing.code === disease.code)) entry.diseases.push(disease);
+    }
+    
+    if (targetClassRank(drug.targetClass) < targetClassRank(entry.targetClass)) {
+      Object.assign(entry, {
+        targetClass: drug.targetClass,
+        targetLabel: drug.targetLabel,
+        mechanism: drug.mechanism,
+        provenance: drug.provenance || null
+      });
+    }
+    
+    entry.proximity = closerProximity(entry.proximity, drug.proximity);
+    
+    const score = drug.repurposingScore;
+    if (typeof score !== 'number') return;
+    if (!(inputGene in entry.geneScores) || score > entry.geneScores[inputGene]) entry.geneScores[inputGene] = score;
+    if (entry.bestScore === null || score > entry.bestScore) {
+      Object.assign(entry, {
+        bestScore: score,
+        bestGene: inputGene,
+        scoreTotal: drug.scoreTotal,
+        scoreBreakdown: drug.scoreBreakdown
+      });
+    }
+  };
+  
+  for (const [inputGene, result] of Object.entries(geneResults)) {
+    for (const drug of result.drugsWithInfo || []) add(drug, inputGene, inputGene);
+    for (const [geneCode, gene] of Object.entries(result.relatedGenes || {})) {
+      for (const drug of gene.drugsWithInfo || []) add(drug, inputGene, geneCode);
+    }
+  }
+  
+  // Reach across the list first, then closest target, then score
+  return [...drugs.values()]
+    .map(entry => ({ ...entry, hitCount: entry.inputGenes.length }))
+    .sort((a, b) =>
+      b.hitCount - a.hitCount ||
+      targetClassRank(a.targetClass) - targetClassRank(b.targetClass) ||
+      (b.bestScore ?? 0) - (a.bestScore ?? 0) ||
+      a.name.localeCompare(b.name)
+    );
+}
+
+export {
+  isGeneId,
+  parseGeneList,
+  parseGmt,
+  aggregateGeneListCandidates
+};
@@ -0,0 +1,71 @@
+/**
+ * Gene Search
+ * Parses KEGG find results for genes and ranks them for type-ahead suggestions and disambiguation
+ */
+
+// One find/<org> line. Older responses are "hsa:5747\tPTK2, FAK, ...; protein tyrosine kinase 2",
+// newer ones put the gene type and position before the description, so the description is the last column
+function parseGeneFindLine(line) {
+  const parts = line.split('\t').map(part => part.trim());
+  if (parts.length < 2 || !parts[0].includes(':')) return null;
+  
+  const description = parts[parts.length - 1];
+  const separator = description.indexOf(';');
+  const symbols = separator === -1 ? [] : description.slice(0, separator).split(',').map(symbol => symbol.trim()).filter(Boolean);
+  
+  return {
+    id: parts[0],
+    symbol: symbols[0] || '',
+    aliases: symbols.slice(1),
+    name: separator === -1 ? description : description.slice(separator + 1).trim(),
+    description
+  };
+}
+
+// Genes of one organism in a find response, in KEGG's order
+function parseGeneFindResponse(text, organism) {
+  return String(text || '').trim().split('\n')
+    .map(parseGeneFindLine)
+    .filter(gene => gene && (!organism || gene.id.startsWith(`${organism}:`)));
+}
+
+// How well a gene matches a typed query - lower is better: exact symbol, symbol prefix,
+// exact alias, alias prefix, then anything else KEGG matched (names, descriptions)
+function geneMatchRank(gene, query) {
+  const text = query.trim().toUpperCase();
+  const symbol = gene.symbol.toUpperCase();
+  const aliases = gene.aliases.map(alias => alias.toUpperCase());
+  
+  if (symbol === text) return 0;
+  if (symbol.startsWith(text)) return 1;
+  if (aliases.includes(text)) return 2;
+  if (aliases.some(alias => alias.startsWith(text))) return 3;
+  return 4;
+}
+
+// Genes sorted best match first; ties keep KEGG's order
+function rankGeneMatches(genes, query) {
+  return genes
+    .map((gene, index) => ({ gene, index, rank: geneMatchRank(gene, query) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ gene }) => gene);
+}
+
+// Whether a query needs the user to choose: more than one match, and neither a single gene whose
+// symbol is exactly the query nor (failing any such symbol) a single gene with it as an alias
+function isAmbiguousGeneQuery(genes, query) {
+  if (genes.length <= 1) return false;
+  
+  const ranks = genes.map(gene => geneMatchRank(gene, query));
+  const exactSymbols = ranks.filter(rank => rank === 0).length;
+  if (exactSymbols > 0) return exactSymbols !== 1;
+  return ranks.filter(rank => rank === 2).length !== 1;
+}
+
+export {
+  parseGeneFindLine,
+  parseGeneFindResponse,
+  geneMatchRank,
+  rankGeneMatches,
+  isAmbiguousGeneQuery
+};
@@ -0,0 +1,169 @@
+/**
+ * KGML Parser
+ * Reads pathway topology (entries and relations) from KEGG Markup Language,
+ * the XML returned by rest.kegg.jp/get/<pathway>/kgml
+ */
+
+// Relation subtypes we label, strongest evidence first. sign is the effect on the
+// target: positive (more active/expressed), negative, or neutral (physical/chemical change)
+const RELATION_EFFECTS = [
+  { subtype: 'activation', label: 'Activation', sign: 'positive' },
+  { subtype: 'inhibition', label: 'Inhibition', sign: 'negative' },
+  { subtype: 'expression', label: 'Expression', sign: 'positive' },
+  { subtype: 'repression', label: 'Repression', sign: 'negative' },
+  { subtype: 'phosphorylation', label: 'Phosphorylation', sign: 'neutral' },
+  { subtype: 'dephosphorylation', label: 'Dephosphorylation', sign: 'neutral' },
+  { subtype: 'ubiquitination', label: 'Ubiquitination', sign: 'neutral' },
+  { subtype: 'binding/association', label: 'Binding', sign: 'neutral' },
+  { subtype: 'dissociation', label: 'Dissociation', sign: 'neutral' },
+  { subtype: 'state change', label: 'State change', sign: 'neutral' },
+  { subtype: 'indirect effect', label: 'Indirect effect', sign: 'neutral' }
+];
+
+// Subtypes without a direction - A binds B is also B binds A
+const UNDIRECTED_SUBTYPES = ['binding/association', 'dissociation'];
+
+// Attributes of one XML start tag, e.g. ' id="1" name="hsa:5747"' -> { id: '1', name: 'hsa:5747' }
+function parseAttributes(text) {
+  const attributes = {};
+  for (const match of text.matchAll(/([\w:.-]+)="([^"]*)"/g)) {
+    attributes[match[1]] = match[2]
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&amp;/g, '&');
+  }
+  return attributes;
+}
+
+// Parse a KGML document into its entries and relations.
+// Only the parts we use are read, so no DOM/XML parser is needed (works under Node)
+function parseKgml(xml) {
+  const pathwayTag = xml.match(/<pathway\b([^>]*)>/);
+  const pathway = pathwayTag ? parseAttributes(pathwayTag[1]) : {};
+  
+  const entries = new Map();
+  for (const match of xml.matchAll(/<entry\b([^>]*?)(\/>|>([\s\S]*?)<\/entry>)/g)) {
+    const attributes = parseAttributes(match[1]);
+    const body = match[3] || '';
+    const graphics = body.match(/<graphics\b([^>]*)/);
+    
+    entries.set(attributes.id, {
+      id: attributes.id,
+      type: attributes.type || '',
+      // Space-separated IDs - one box can stand for several paralogous genes
+      ids: (attributes.name || '').split(/\s+/).filter(Boolean),
+      label: graphics ? (parseAttributes(graphics[1]).name || '') : '',
+      // Members of a complex (type="group")
+      components: [...body.matchAll(/<component\b([^>]*)/g)].map(component => parseAttributes(component[1]).id)
+    });
+  }
+  
+  const relations = [];
+  for (const match of xml.matchAll(/<relation\b([^>]*?)(\/>|>([\s\S]*?)<\/relation>)/g)) {
+    const attributes = parseAttributes(match[1]);
+    const body = match[3] || '';
+    
+    relations.push({
+      entry1: attributes.entry1,
+      entry2: attributes.entry2,
+      type: attributes.type || '',   // PPrel, GErel, PCrel, ECrel, maplink
+      subtypes: [...body.matchAll(/<subtype\b([^>]*)/g)].map(subtype => parseAttributes(subtype[1]).name).filter(Boolean)
+    });
+  }
+  
+  return {
+    id: pathway.name || '',
+    organism: pathway.org || '',
+    title: pathway.title || '',
+    entries,
+    relations
+  };
+}
+
+// Gene IDs an entry stands for, looking inside complexes
+function getEntryGenes(kgml, entryId) {
+  const entry = kgml.entries.get(entryId);
+  if (!entry) return [];
+  if (entry.type === 'group') {
+    return entry.components.flatMap(componentId => getEntryGenes(kgml, componentId));
+  }
+  return entry.type === 'gene' || entry.type === 'ortholog' ? entry.ids : [];
+}
+
+// Summarise KGML subtypes as one relation: the strongest labelled effect, every effect seen,
+// and whether the effect is direct (no "indirect effect" subtype)
+function describeRelation(subtypes, type = '') {
+  const effects = RELATION_EFFECTS.filter(effect => subtypes.includes(effect.subtype));
+  // GErel without subtypes is still a gene expression interaction
+  const main = effects.find(effect => effect.subtype !== 'indirect effect') || effects[0] ||
+    (type === 'GErel' ? RELATION_EFFECTS.find(effect => effect.subtype === 'expression') : null);
+  
+  return {
+    label: main ? main.label : 'Pathway',
+    sign: main ? main.sign : 'neutral',
+    effects: effects.map(effect => effect.subtype),
+    direct: !subtypes.includes('indirect effect'),
+    directed: !main || !UNDIRECTED_SUBTYPES.includes(main.subtype)
+  };
+}
+
+// Relations between one gene and the other genes of a pathway, keyed by the other gene.
+// direction is 'out' when the gene acts on the other one, 'in' when it is acted on,
+// and 'both' for undirected relations or when the genes act on each other.
+// Where several relations join the same pair, the one with the strongest label wins
+function getGeneRelations(kgml, geneCode) {
+  const relations = new Map();
+  
+  const add = (otherGene, relation, direction) => {
+    if (otherGene === geneCode) return;
+    
+    const existing = relations.get(otherGene);
+    const rank = entry => RELATION_EFFECTS.findIndex(effect => effect.label === entry.label);
+    const score = entry => (rank(entry) === -1 ? RELATION_EFFECTS.length : rank(entry));
+    
+    if (!existing) {
+      relations.set(otherGene, { ...relation, direction, pathway: kgml.id });
+      return;
+    }
+    
+    if (existing.direction !== direction) existing.direction = 'both';
+    existing.effects = [...new Set([...existing.effects, ...relation.effects])];
+    existing.direct = existing.direct || relation.direct;
+    if (score(relation) < score(existing)) {
+      existing.label = relation.label;
+      existing.sign = relation.sign;
+      existing.directed = relation.directed;
+    }
+  };
+  
+  for (const relation of kgml.relations) {
+    const sources = getEntryGenes(kgml, relation.entry1);
+    const targets = getEntryGenes(kgml, relation.entry2);
+    const involvesSource = sources.includes(geneCode);
+    const involvesTarget = targets.includes(geneCode);
+    if (!involvesSource && !involvesTarget) continue;
+    
+    const description = describeRelation(relation.subtypes, relation.type);
+    const undirected = !description.directed;
+    
+    if (involvesSource) {
+      for (const gene of targets) add(gene, description, undirected ? 'both' : 'out');
+    }
+    if (involvesTarget) {
+      for (const gene of sources) add(gene, description, undirected ? 'both' : 'in');
+    }
+  }
+  
+  return relations;
+}
+
+export {
+  RELATION_EFFECTS,
+  parseAttributes,
+  parseKgml,
+  getEntryGenes,
+  describeRelation,
+  getGeneRelations
+};
@@ -0,0 +1,269 @@
+/**
+ * Network Layout
+ * Node positions for the network views - force-directed, hierarchical along edge direction, or the
+ * original circle - and the zoom that fits them in view. No DOM access, so it runs under Node too
+ */
+
+// Layouts the views offer, in menu order
+const LAYOUTS = {
+  force: { label: 'Force-directed' },
+  hierarchical: { label: 'Hierarchical' },
+  circle: { label: 'Circle' }
+};
+
+// The center node in the middle and the others evenly round it, first one to the right
+function circleLayout(nodes, edges, { width = 600, height = 600, center = null, radius = Math.min(width, height) * 0.37 } = {}) {
+  const positions = new Map();
+  const others = nodes.filter(node => node.id !== center);
+  if (center !== null) positions.set(center, { x: width / 2, y: height / 2 });
+  others.forEach((node, i) => {
+    const angle = (i * 2 * Math.PI) / others.length;
+    positions.set(node.id, { x: width / 2 + radius * Math.cos(angle), y: height / 2 + radius * Math.sin(angle) });
+  });
+  return positions;
+}
+
+// Fruchterman-Reingold with collision: nodes repel each other, edges pull their ends together and
+// a weak pull towards the middle keeps separate parts on screen. Starts from initial positions
+// (else the circle), so the same network always comes out the same; pinned nodes (id -> { x, y }) stay put
+function forceLayout(nodes, edges, { width = 600, height = 600, center = null, nodeRadius = 30, iterations = 300, initial = null, pinned = null } = {}) {
+  const start = circleLayout(nodes, edges, { width, height, center });
+  const positions = new Map(nodes.map(node => {
+    const position = (pinned && pinned.get(node.id)) || (initial && initial.get(node.id)) || start.get(node.id);
+    return [node.id, { x: position.x, y: position.y }];
+  }));
+  if (nodes.length < 2) return positions;
+  
+  const ids = nodes.map(node => node.id);
+  const links = edges.filter(edge => positions.has(edge.source) && positions.has(edge.target) && edge.source !== edge.target);
+  // Ideal distance between nodes - the area shared out, but never so close that nodes touch
+  const k = Math.max(nodeRadius * 3, Math.sqrt((width * height) / nodes.length) * 0.75);
+  const minDistance = nodeRadius * 2.2;
+  let temperature = Math.min(width, height) / 8;
+  const cooling = temperature / (iterations + 1);
+  
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    const shift = new Map(ids.map(id => [id, { x: 0, y: 0 }]));
+    
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const a = positions.get(ids[i]);
+        const b = positions.get(ids[j]);
+        let dx = a.x - b.x;
+        let dy = a.y - b.y;
+        // Nodes on the same spot are pushed apart in a fixed direction
+        if (dx === 0 && dy === 0) {
+          dx = 0.01 * (i + 1);
+          dy = 0.01 * (j + 1);
+        }
+        const distance = Math.hypot(dx, dy);
+        let force = (k * k) / distance;
+        if (distance < minDistance) force += (minDistance - distance) * 4;
+        shift.get(ids[i]).x += (dx / distance) * force;
+        shift.get(ids[i]).y += (dy / distance) * force;
+        shift.get(ids[j]).x -= (dx / distance) * force;
+        shift.get(ids[j]).y -= (dy / distance) * force;
+      }
+    }
+    
+    for (const edge of links) {
+      const a = positions.get(edge.source);
+      const b = positions.get(edge.target);
+      const dx = a.x - b.x;
+      const dy = a.y - b.y;
+      const distance = Math.hypot(dx, dy) || 0.01;
+      const force = (distance * distance) / k;
+      shift.get(edge.source).x -= (dx / distance) * force;
+      shift.get(edge.source).y -= (dy / distance) * force;
+      shift.get(edge.target).x += (dx / distance) * force;
+      shift.get(edge.target).y += (dy / distance) * force;
+    }
+    
+    for (const id of ids) {
+      if (pinned && pinned.has(id)) continue;
+      const position = positions.get(id);
+      const move = shift.get(id);
+      move.x += (width / 2 - position.x) * 0.05 * (k / 10);
+      move.y += (height / 2 - position.y) * 0.05 * (k / 10);
+      const length = Math.hypot(move.x, move.y);
+      if (length === 0) continue;
+      const step = Math.min(length, temperature);
+      position.x += (move.x / length) * step;
+      position.y += (move.y / length) * step;
+    }
+    temperature -= cooling;
+  }
+  
+  // The center node's drift is undone, so it stays where the view expects it
+  if (center !== null && positions.has(center) && !(pinned && pinned.size > 0)) {
+    const { x, y } = positions.get(center);
+    for (const position of positions.values()) {
+      position.x += width / 2 - x;
+      position.y += height / 2 - y;
+    }
+  }
+  return positions;
+}
+
+// Layers along edge direction from the center (or the nodes nothing points at), top to bottom.
+// Undirected edges (directed: false) point away from the center; cycles are broken where they
+// close. Nodes within a layer are ordered by the mean position of their neighbours above, then below
+function hierarchicalLayout(nodes, edges, { width = 600, height = 600, center = null, nodeRadius = 30, pinned = null } = {}) {
+  const ids = nodes.map(node => node.id);
+  const known = new Set(ids);
+  const links = edges.filter(edge => known.has(edge.source) && known.has(edge.target) && edge.source !== edge.target);
+  
+  // Hops from the center, ignoring direction - how undirected edges are oriented
+  const hops = new Map();
+  const neighbours = new Map(ids.map(id => [id, []]));
+  for (const edge of links) {
+    neighbours.get(edge.source).push(edge.target);
+    neighbours.get(edge.target).push(edge.source);
+  }
+  const roots = center !== null && known.has(center) ? [center] : ids.slice(0, 1);
+  let frontier = roots;
+  roots.forEach(id => hops.set(id, 0));
+  while (frontier.length > 0) {
+    const next = [];
+    for (const id of frontier) {
+      for (const neighbour of neighbours.get(id)) {
+        if (hops.has(neighbour)) continue;
+        hops.set(neighbour, hops.get(id) + 1);
+        next.push(neighbour);
+      }
+    }
+    frontier = next;
+  }
+  const hop = id => (hops.has(id) ? hops.get(id) : Infinity);
+  
+  const children = new Map(ids.map(id => [id, new Set()]));
+  for (const edge of links) {
+    const forward = edge.directed === false ? hop(edge.source) <= hop(edge.target) : true;
+    const [from, to] = forward ? [edge.source, edge.target] : [edge.target, edge.source];
+    children.get(from).add(to);
+  }
+  
+  // Depth-first from the roots drops the edges that close a cycle
+  const state = new Map();
+  const acyclic = new Map(ids.map(id => [id, []]));
+  const visit = id => {
+    state.set(id, 'open');
+    for (const child of children.get(id)) {
+      if (state.get(child) === 'open') continue;
+      acyclic.get(id).push(child);
+      if (!state.has(child)) visit(child);
+    }
+    state.set(id, 'done');
+  };
+  [...roots, ...ids].forEach(id => {
+    if (!state.has(id)) visit(id);
+  });
+  
+  // Longest path from the top, so every edge points down at least one layer
+  const layerOf = new Map(ids.map(id => [id, 0]));
+  const order = [];
+  const done = new Set();
+  const sort = id => {
+    if (done.has(id)) return;
+    done.add(id);
+    acyclic.get(id).forEach(sort);
+    order.unshift(id);
+  };
+  [...roots, ...ids].forEach(sort);
+  for (const id of order) {
+    for (const child of acyclic.get(id)) layerOf.set(child, Math.max(layerOf.get(child), layerOf.get(id) + 1));
+  }
+  
+  const layers = [];
+  for (const id of ids) {
+    const layer = layerOf.get(id);
+    (layers[layer] || (layers[layer] = [])).push(id);
+  }
+  
+  const parents = new Map(ids.map(id => [id, []]));
+  for (const [id, targets] of acyclic) targets.forEach(child => parents.get(child).push(id));
+  const index = new Map();
+  const reindex = () => layers.forEach(layer => layer.forEach((id, i) => index.set(id, i)));
+  reindex();
+  const barycentre = (id, related) => {
+    const positions = related.get(id).map(other => index.get(other));
+    return positions.length > 0 ? positions.reduce((sum, value) => sum + value, 0) / positions.length : index.get(id);
+  };
+  for (let sweep = 0; sweep < 4; sweep++) {
+    const related = sweep % 2 === 0 ? parents : acyclic;
+    const sequence = sweep % 2 === 0 ? layers : [...layers].reverse();
+    for (const layer of sequence) {
+      layer.sort((a, b) => barycentre(a, related) - barycentre(b, related));
+      reindex();
+    }
+  }
+  
+  const spacing = nodeRadius * 2.6;
+  const layerSpacing = Math.max(nodeRadius * 3, (height - nodeRadius * 2) / Math.max(layers.length - 1, 1));
+  const positions = new Map();
+  layers.forEach((layer, depth) => {
+    layer.forEach((id, i) => {
+      positions.set(id, {
+        x: width / 2 + (i - (layer.length - 1) / 2) * spacing,
+        y: nodeRadius + depth * Math.min(layerSpacing, nodeRadius * 5)
+      });
+    });
+  });
+  if (pinned) {
+    for (const [id, position] of pinned) {
+      if (positions.has(id)) positions.set(id, { x: position.x, y: position.y });
+    }
+  }
+  return positions;
+}
+
+// Positions of a network in one of LAYOUTS. nodes are { id }, edges { source, target, directed };
+// see the layouts for the options (width, height, center, nodeRadius, pinned, initial)
+function layoutNetwork(layout, nodes, edges, options = {}) {
+  switch (layout) {
+    case 'force':
+      return forceLayout(nodes, edges, options);
+    case 'hierarchical':
+      return hierarchicalLayout(nodes, edges, options);
+    case 'circle': {
+      const positions = circleLayout(nodes, edges, options);
+      for (const [id, position] of options.pinned || []) {
+        if (positions.has(id)) positions.set(id, { x: position.x, y: position.y });
+      }
+      return positions;
+    }
+    default:
+      throw new Error(`Unknown layout "${layout}" (expected ${Object.keys(LAYOUTS).join(', ')})`);
+  }
+}
+
+// Zoom and offset that fit positions (nodes of nodeRadius) in a width x height view with padding
+// around them: { scale, x, y } for transform="translate(x,y) scale(scale)". Never zooms in past maxScale
+function fitTransform(positions, { width = 600, height = 600, nodeRadius = 30, padding = 20, maxScale = 1 } = {}) {
+  const points = [...positions.values()];
+  if (points.length === 0) return { scale: 1, x: 0, y: 0 };
+  
+  const left = Math.min(...points.map(point => point.x)) - nodeRadius;
+  const right = Math.max(...points.map(point => point.x)) + nodeRadius;
+  const top = Math.min(...points.map(point => point.y)) - nodeRadius;
+  const bottom = Math.max(...points.map(point => point.y)) + nodeRadius;
+  const scale = Math.min(
+    maxScale,
+    (width - padding * 2) / Math.max(right - left, 1),
+    (height - padding * 2) / Math.max(bottom - top, 1)
+  );
+  return {
+    scale,
+    x: width / 2 - ((left + right) / 2) * scale,
+    y: height / 2 - ((top + bottom) / 2) * scale
+  };
+}
+
+export {
+  LAYOUTS,
+  circleLayout,
+  forceLayout,
+  hierarchicalLayout,
+  layoutNetwork,
+  fitTransform
+};
@@ -0,0 +1,449 @@
+/**
+ * Network Graph
+ * The gene network of a search as genes, drugs and diseases with typed edges - out to and back from
+ * Cytoscape.js JSON, GraphML and SIF
+ */
+
+import { RELATION_EFFECTS, parseAttributes } from './kegg-kgml.js';
+import { escapeXml } from './kegg-xlsx.js';
+
+// Network formats, with the file extension and media type each is written with
+const NETWORK_FORMATS = {
+  cyjs: { extension: 'cyjs', mimeType: 'application/json' },
+  graphml: { extension: 'graphml', mimeType: 'application/xml' },
+  sif: { extension: 'sif', mimeType: 'text/plain' }
+};
+
+// Node type of a KEGG code when a file doesn't say - D numbers are drugs, H numbers diseases
+function nodeTypeOf(id) {
+  if (/^(dr:)?D\d{5}$/.test(id)) return 'drug';
+  if (/^(ds:)?H\d{5}$/.test(id)) return 'disease';
+  return 'gene';
+}
+
+// Graph of a getRelatedGenesAndDrugs result: { name, nodes, edges }. Nodes are the genes
+// (the query gene with center: true), their drugs and diseases; edges run
+//   gene -> gene      interaction from the KGML relation ('activation', ...) or 'pathway'
+//   drug -> gene      'targets', with the drug's repurposing score
+//   gene -> disease   'associated'
+//   drug -> disease   'treats'
+// Every attribute is a string, number or boolean so it maps onto Cytoscape and GraphML columns.
+// positions (id -> { x, y }) are kept on the nodes, for a viewer to restore its layout
+function buildNetwork(result, geneCode, { positions = null } = {}) {
+  const nodes = new Map();
+  const edges = new Map();
+  
+  const addNode = (id, attributes) => {
+    if (!nodes.has(id)) {
+      const position = positions && positions.get(id);
+      nodes.set(id, { id, ...attributes, ...(position ? { x: position.x, y: position.y } : {}) });
+    }
+  };
+  const addEdge = (source, target, attributes) => {
+    const id = `${source} (${attributes.interaction}) ${target}`;
+    if (!edges.has(id)) edges.set(id, { id, source, target, ...attributes });
+  };
+  
+  // Gene entries list diseases as ds:H00031, drug entries as H00031 - one node for both
+  const diseaseId = disease => (disease.code.startsWith('ds:') ? disease.code : `ds:${disease.code}`);
+  const addDiseases = (code, diseases) => {
+    for (const disease of diseases || []) {
+      addNode(diseaseId(disease), { name: disease.name, type: 'disease' });
+      addEdge(code, diseaseId(disease), { interaction: 'associated' });
+    }
+  };
+  const addDrugs = (code, gene) => {
+    for (const drug of gene.drugsWithInfo || []) {
+      addNode(drug.code, {
+        name: drug.name,
+        type: 'drug',
+        target_class: drug.targetClass || '',
+        mechanism: drug.mechanism || ''
+      });
+      addEdge(drug.code, code, {
+        interaction: 'targets',
+        relation: drug.targetLabel || '',
+        pathway: code === geneCode ? '' : gene.pathway || '',
+        score: drug.repurposingScore ?? null
+      });
+      for (const disease of drug.diseases || []) {
+        addNode(diseaseId(disease), { name: disease.name, type: 'disease' });
+        addEdge(drug.code, diseaseId(disease), { interaction: 'treats' });
+      }
+    }
+  };
+  
+  addNode(geneCode, { name: result.geneName || geneCode, type: 'gene', center: true, depth: 0 });
+  const relatedGenes = Object.entries(result.relatedGenes || {});
+  for (const [code, gene] of relatedGenes) {
+    addNode(code, { name: gene.geneName || code, type: 'gene', center: false, depth: gene.depth ?? 1 });
+  }
+  
+  // Gene edges first, so SIF readers meet the query gene before anything else
+  for (const [code, gene] of relatedGenes) {
+    const interaction = gene.interaction;
+    const via = gene.via && nodes.has(gene.via) ? gene.via : geneCode;
+    const [source, target] = interaction && interaction.direction === 'in' ? [code, via] : [via, code];
+    addEdge(source, target, {
+      interaction: interaction ? interaction.label.toLowerCase() : 'pathway',
+      relation: gene.relation || '',
+      pathway: gene.pathway || '',
+      pathway_id: gene.pathwayId || '',
+      sign: interaction ? interaction.sign : '',
+      direct: interaction ? interaction.direct : false,
+      directed: interaction ? interaction.direction !== 'both' : false
+    });
+  }
+  
+  addDiseases(geneCode, result.diseases);
+  addDrugs(geneCode, result);
+  for (const [code, gene] of relatedGenes) {
+    addDiseases(code, gene.diseases);
+    addDrugs(code, gene);
+  }
+  
+  return { name: `${result.geneName || geneCode} (${geneCode})`, nodes: [...nodes.values()], edges: [...edges.values()] };
+}
+
+// Attributes of a node or edge other than its identity and position
+function attributesOf(element) {
+  const { id, source, target, x, y, ...attributes } = element;
+  return Object.fromEntries(Object.entries(attributes).filter(([, value]) => value !== null && value !== undefined));
+}
+
+// Cytoscape.js JSON, as Cytoscape desktop imports it (File > Import > Network from File, .cyjs)
+function toCytoscapeJson(graph) {
+  const network = {
+    format_version: '1.0',
+    generated_by: 'omnigene',
+    target_cytoscapejs_version: '~2.1',
+    data: { name: graph.name },
+    elements: {
+      nodes: graph.nodes.map(node => ({
+        data: { id: node.id, ...attributesOf(node) },
+        ...(node.x !== undefined ? { position: { x: node.x, y: node.y } } : {})
+      })),
+      edges: graph.edges.map(edge => ({ data: { id: edge.id, source: edge.source, target: edge.target, ...attributesOf(edge) } }))
+    }
+  };
+  return `${JSON.stringify(network, null, 2)}\n`;
+}
+
+function fromCytoscapeJson(text) {
+  const network = JSON.parse(text);
+  // Either the Cytoscape desktop layout ({ elements: { nodes, edges } }) or a flat cytoscape.js element array
+  const elements = Array.isArray(network) ? network : network.elements || {};
+  const list = Array.isArray(elements)
+    ? elements
+    : [...(elements.nodes || []).map(element => ({ group: 'nodes', ...element })), ...(elements.edges || []).map(element => ({ group: 'edges', ...element }))];
+  
+  const nodes = [];
+  const edges = [];
+  for (const element of list) {
+    const data = element.data || {};
+    if (element.group === 'edges' || (data.source !== undefined && data.target !== undefined)) {
+      edges.push({ ...data, id: String(data.id ?? `${data.source} (${data.interaction || 'interacts'}) ${data.target}`) });
+    } else {
+      nodes.push({ ...data, id: String(data.id), ...(element.position ? { x: element.position.x, y: element.position.y } : {}) });
+    }
+  }
+  return { name: (network.data && network.data.name) || '', nodes, edges };
+}
+
+// GraphML type of an attribute value
+function graphmlType(value) {
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value === 'number') return 'double';
+  return 'string';
+}
+
+// GraphML with a <key> per attribute, typed from the values; positions go in x and y
+function toGraphml(graph) {
+  const keys = new Map();
+  const collect = (domain, values) => {
+    for (const [name, value] of Object.entries(values)) {
+      const id = `${domain === 'node' ? 'n' : 'e'}_${name}`;
+      if (!keys.has(id)) keys.set(id, { id, domain, name, type: graphmlType(value) });
+    }
+  };
+  const nodeValues = node => ({ ...attributesOf(node), ...(node.x !== undefined ? { x: node.x, y: node.y } : {}) });
+  graph.nodes.forEach(node => collect('node', nodeValues(node)));
+  graph.edges.forEach(edge => collect('edge', attributesOf(edge)));
+  
+  const dataXml = (domain, values) => Object.entries(values)
+    .map(([name, value]) => `<data key="${domain === 'node' ? 'n' : 'e'}_${escapeXml(name)}">${escapeXml(value)}</data>`)
+    .join('');
+  
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...[...keys.values()].map(key =>
+      `  <key id="${escapeXml(key.id)}" for="${key.domain}" attr.name="${escapeXml(key.name)}" attr.type="${key.type}"/>`),
+    `  <graph id="${escapeXml(graph.name || 'network')}" edgedefault="directed">`,
+    ...graph.nodes.map(node => `    <node id="${escapeXml(node.id)}">${dataXml('node', nodeValues(node))}</node>`),
+    ...graph.edges.map(edge =>
+      `    <edge id="${escapeXml(edge.id)}" source="${escapeXml(edge.source)}" target="${escapeXml(edge.target)}">${dataXml('edge', attributesOf(edge))}</edge>`),
+    '  </graph>',
+    '</graphml>'
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+function unescapeXml(text) {
+  return text
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// GraphML back to a graph - key names and types from the <key> declarations, like KGML read
+// without a DOM parser so it works under Node
+function fromGraphml(xml) {
+  const keys = new Map();
+  for (const match of xml.matchAll(/<key\b([^>]*?)\/?>/g)) {
+    const attributes = parseAttributes(match[1]);
+    keys.set(attributes.id, { name: attributes['attr.name'] || attributes.id, type: attributes['attr.type'] || 'string' });
+  }
+  
+  const readData = body => {
+    const values = {};
+    for (const match of (body || '').matchAll(/<data\b([^>]*)>([\s\S]*?)<\/data>/g)) {
+      const key = keys.get(parseAttributes(match[1]).key) || { name: parseAttributes(match[1]).key, type: 'string' };
+      const text = unescapeXml(match[2]);
+      if (key.type === 'boolean') values[key.name] = text === 'true';
+      else if (['double', 'float', 'int', 'long'].includes(key.type)) values[key.name] = Number(text);
+      else values[key.name] = text;
+    }
+    return values;
+  };
+  
+  const graphTag = xml.match(/<graph\b([^>]*)>/);
+  const nodes = [...xml.matchAll(/<node\b([^>]*?)(\/>|>([\s\S]*?)<\/node>)/g)].map(match => ({
+    ...readData(match[3]),
+    id: parseAttributes(match[1]).id
+  }));
+  const edges = [...xml.matchAll(/<edge\b([^>]*?)(\/>|>([\s\S]*?)<\/edge>)/g)].map(match => {
+    const attributes = parseAttributes(match[1]);
+    const values = readData(match[3]);
+    return {
+      ...values,
+      id: attributes.id || `${attributes.source} (${values.interaction || 'interacts'}) ${attributes.target}`,
+      source: attributes.source,
+      target: attributes.target
+    };
+  });
+  return { name: graphTag ? parseAttributes(graphTag[1]).id || '' : '', nodes, edges };
+}
+
+// SIF - "source<TAB>interaction<TAB>target" per edge, and nodes without edges on a line of their own.
+// Names and attributes don't survive; Cytoscape reads them from a separate table
+function toSif(graph) {
+  const linked = new Set(graph.edges.flatMap(edge => [edge.source, edge.target]));
+  const lines = [
+    ...graph.edges.map(edge => `${edge.source}\t${edge.interaction || 'interacts'}\t${edge.target}`),
+    ...graph.nodes.filter(node => !linked.has(node.id)).map(node => node.id)
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+// SIF back to a graph. Lines with tabs split on tabs, others on spaces; a line may list several
+// targets for one interaction. Node types come from the codes, and the first gene is the center
+function fromSif(text) {
+  const nodes = new Map();
+  const edges = new Map();
+  const addNode = id => {
+    if (!nodes.has(id)) nodes.set(id, { id, name: id, type: nodeTypeOf(id) });
+  };
+  
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim()) continue;
+    const [source, interaction, ...targets] = (line.includes('\t') ? line.split('\t') : line.trim().split(/\s+/))
+      .map(field => field.trim())
+      .filter(Boolean);
+    addNode(source);
+    for (const target of targets) {
+      addNode(target);
+      const id = `${source} (${interaction}) ${target}`;
+      edges.set(id, { id, source, target, interaction });
+    }
+  }
+  
+  const center = [...nodes.values()].find(node => node.type === 'gene');
+  if (center) center.center = true;
+  return { name: '', nodes: [...nodes.values()], edges: [...edges.values()] };
+}
+
+// Network format of a file name, from its extension - .json counts as Cytoscape JSON
+function networkFormatOf(filename) {
+  const extension = String(filename).split('.').pop().toLowerCase();
+  if (extension === 'json') return 'cyjs';
+  return Object.keys(NETWORK_FORMATS).find(format => NETWORK_FORMATS[format].extension === extension) || null;
+}
+
+function formatNetwork(graph, format) {
+  switch (format) {
+    case 'cyjs':
+      return toCytoscapeJson(graph);
+    case 'graphml':
+      return toGraphml(graph);
+    case 'sif':
+      return toSif(graph);
+    default:
+      throw new Error(`Unknown network format "${format}" (expected ${Object.keys(NETWORK_FORMATS).join(', ')})`);
+  }
+}
+
+// A saved network in one of NETWORK_FORMATS back to a graph. Files from elsewhere may leave out
+// types and names - they default from the node codes
+function parseNetwork(text, format) {
+  let graph;
+  switch (format) {
+    case 'cyjs':
+      graph = fromCytoscapeJson(text);
+      break;
+    case 'graphml':
+      graph = fromGraphml(text);
+      break;
+    case 'sif':
+      graph = fromSif(text);
+      break;
+    default:
+      throw new Error(`Unknown network format "${format}" (expected ${Object.keys(NETWORK_FORMATS).join(', ')})`);
+  }
+  
+  for (const node of graph.nodes) {
+    node.type = node.type || nodeTypeOf(node.id);
+    node.name = node.name || node.id;
+  }
+  if (graph.nodes.length === 0) throw new Error('The network has no nodes');
+  return graph;
+}
+
+// Rebuild a getRelatedGenesAndDrugs-shaped result from a graph, for the viewer to render:
+// { geneCode, result, positions } - positions (id -> { x, y }) for the nodes the file placed.
+// The center is the gene marked center, else the first gene; other genes
+// hang off the gene their gene edge joins them to
+function networkToResult(graph) {
+  const nodesById = new Map(graph.nodes.map(node => [node.id, node]));
+  const genes = graph.nodes.filter(node => node.type === 'gene');
+  const center = genes.find(node => node.center === true || node.center === 'true') || genes[0];
+  if (!center) throw new Error('The network has no genes');
+  
+  const geneEntry = node => ({ geneName: node.name, diseases: [], drugs: [], drugsWithInfo: [] });
+  const result = {
+    ...geneEntry(center),
+    organism: center.id.includes(':') ? center.id.split(':')[0] : null,
+    orthologs: [],
+    geneKO: [],
+    relatedGenes: {}
+  };
+  const entryOf = id => (id === center.id ? result : result.relatedGenes[id]);
+  
+  for (const node of genes) {
+    if (node.id === center.id) continue;
+    result.relatedGenes[node.id] = {
+      ...geneEntry(node),
+      relation: 'Pathway',
+      interaction: null,
+      pathway: '',
+      pathwayId: '',
+      depth: Number(node.depth) || 1,
+      via: center.id,
+      ko: [],
+      orthologs: []
+    };
+  }
+  
+  const drugs = new Map();
+  const linked = new Set();
+  for (const edge of graph.edges) {
+    const source = nodesById.get(edge.source);
+    const target = nodesById.get(edge.target);
+    if (!source || !target) continue;
+    
+    if (source.type === 'gene' && target.type === 'gene') {
+      // The edge reached its target, unless that is the center or nearer to it than the source
+      const outward = target.id !== center.id && !(Number(source.depth) > Number(target.depth));
+      const [from, to] = outward ? [source, target] : [target, source];
+      const gene = result.relatedGenes[to.id];
+      if (!gene || linked.has(to.id)) continue;
+      linked.add(to.id);
+      
+      const label = edge.interaction && edge.interaction !== 'pathway'
+        ? edge.interaction.charAt(0).toUpperCase() + edge.interaction.slice(1)
+        : null;
+      gene.via = from.id;
+      gene.relation = edge.relation || label || 'Pathway';
+      gene.pathway = edge.pathway || '';
+      gene.pathwayId = edge.pathway_id || '';
+      if (label) {
+        // SIF says nothing beyond the interaction - sign and direction follow from the KGML label
+        const effect = RELATION_EFFECTS.find(candidate => candidate.label.toLowerCase() === edge.interaction);
+        const flag = (value, fallback) => (value === undefined ? fallback : value === true || value === 'true');
+        const directed = flag(edge.directed, !['binding', 'dissociation'].includes(edge.interaction));
+        gene.interaction = {
+          label,
+          sign: edge.sign || (effect ? effect.sign : 'neutral'),
+          effects: [],
+          direct: flag(edge.direct, edge.interaction !== 'indirect effect'),
+          directed,
+          direction: !directed ? 'both' : outward ? 'out' : 'in',
+          pathway: gene.pathwayId
+        };
+      }
+    } else if (source.type === 'drug' && target.type === 'gene') {
+      const entry = entryOf(target.id);
+      if (!entry) continue;
+      if (!drugs.has(source.id)) drugs.set(source.id, { code: source.id, name: source.name, diseases: [] });
+      const drug = {
+        ...drugs.get(source.id),
+        targetClass: source.target_class || null,
+        targetLabel: edge.relation || null,
+        mechanism: source.mechanism || null,
+        ...(typeof edge.score === 'number' && !Number.isNaN(edge.score) ? { repurposingScore: edge.score } : {})
+      };
+      entry.drugs.push(drug.code);
+      entry.drugsWithInfo.push(drug);
+    } else if (source.type === 'gene' && target.type === 'disease') {
+      const entry = entryOf(source.id);
+      if (entry) entry.diseases.push({ code: target.id, name: target.name });
+    }
+  }
+  
+  // Drug indications are shared by every gene the drug reaches
+  for (const edge of graph.edges) {
+    const target = nodesById.get(edge.target);
+    if (!drugs.has(edge.source) || !target || target.type !== 'disease') continue;
+    drugs.get(edge.source).diseases.push({ code: target.id, name: target.name });
+  }
+  
+  const positions = new Map(graph.nodes
+    .filter(node => typeof node.x === 'number' && typeof node.y === 'number')
+    .map(node => [node.id, { x: Number(node.x), y: Number(node.y) }]));
+  return { geneCode: center.id, result, positions };
+}
+
+// Network of a search result in one of NETWORK_FORMATS as { content, filename, mimeType, nodeCount, edgeCount }
+function exportNetwork(result, geneCode, format, { positions = null, basename = 'omnigene-network' } = {}) {
+  const graph = buildNetwork(result, geneCode, { positions });
+  const { extension, mimeType } = NETWORK_FORMATS[format];
+  return {
+    content: formatNetwork(graph, format),
+    filename: `${basename}.${extension}`,
+    mimeType,
+    nodeCount: graph.nodes.length,
+    edgeCount: graph.edges.length
+  };
+}
+
+export {
+  NETWORK_FORMATS,
+  buildNetwork,
+  formatNetwork,
+  parseNetwork,
+  networkFormatOf,
+  networkToResult,
+  exportNetwork
+};
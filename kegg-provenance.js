@@ -0,0 +1,41 @@
+/**
+ * Provenance
+ * Where each record came from - the KEGG operation and URL, when it was retrieved and the KEGG release
+ */
+
+import { getKeggOperation } from './kegg-cache.js';
+
+// KEGG release from the info/kegg response:
+//   kg               Release 116.0+/10-16, Oct 25
+// -> { release: '116.0+/10-16', date: 'Oct 25' }, or null when there is no release line
+function parseKeggRelease(text) {
+  const match = String(text || '').match(/Release\s+([^,\s]+)(?:,\s*([^\n]+))?/);
+  if (!match) return null;
+  return { release: match[1], date: match[2] ? match[2].trim() : null };
+}
+
+// Provenance of a record: the operation and URL of the response it was read from, when that
+// response was retrieved from KEGG (a cached response keeps its original time) and the release
+function createProvenance(url, retrievedAt = null, release = null) {
+  return {
+    operation: getKeggOperation(url),
+    url,
+    retrievedAt: retrievedAt === null ? null : new Date(retrievedAt).toISOString(),
+    release
+  };
+}
+
+// Tooltip text - "KEGG link, retrieved 2025-10-27 14:02 UTC, release 116.0+/10-16" with the URL below
+function formatProvenance(provenance) {
+  if (!provenance) return '';
+  const parts = [`KEGG ${provenance.operation}`];
+  if (provenance.retrievedAt) parts.push(`retrieved ${provenance.retrievedAt.slice(0, 16).replace('T', ' ')} UTC`);
+  parts.push(provenance.release ? `release ${provenance.release}` : 'release unknown');
+  return `${parts.join(', ')}\n${provenance.url}`;
+}
+
+export {
+  parseKeggRelease,
+  createProvenance,
+  formatProvenance
+};
@@ -0,0 +1,188 @@
+/**
+ * Network Proximity
+ * Distance from a drug's targets to a disease module on the KGML gene network, with a degree-matched random baseline
+ */
+
+import { getEntryGenes } from './kegg-kgml.js';
+
+// Undirected gene network of parsed KGML documents - gene -> Set of neighbours. Genes are joined
+// when any relation links their entries; genes without relations are left out
+function buildRelationGraph(kgmls) {
+  const graph = new Map();
+  const link = (a, b) => {
+    if (a === b) return;
+    if (!graph.has(a)) graph.set(a, new Set());
+    if (!graph.has(b)) graph.set(b, new Set());
+    graph.get(a).add(b);
+    graph.get(b).add(a);
+  };
+  
+  for (const kgml of kgmls) {
+    for (const relation of kgml.relations) {
+      const from = getEntryGenes(kgml, relation.entry1);
+      const to = getEntryGenes(kgml, relation.entry2);
+      for (const a of from) {
+        for (const b of to) link(a, b);
+      }
+    }
+  }
+  
+  return graph;
+}
+
+// Breadth-first distances from one gene -> gene -> hops (unreachable genes are missing)
+function shortestPathLengths(graph, source) {
+  const distances = new Map([[source, 0]]);
+  let frontier = [source];
+  while (frontier.length > 0) {
+    const next = [];
+    for (const gene of frontier) {
+      for (const neighbour of graph.get(gene) || []) {
+        if (distances.has(neighbour)) continue;
+        distances.set(neighbour, distances.get(gene) + 1);
+        next.push(neighbour);
+      }
+    }
+    frontier = next;
+  }
+  return distances;
+}
+
+// Mean over the targets of the distance to the nearest module gene; targets that can't reach
+// the module are left out, and null is returned when none can
+function closestDistance(targets, module, distancesFrom) {
+  let total = 0;
+  let reached = 0;
+  for (const target of targets) {
+    const distances = distancesFrom(target);
+    let nearest = Infinity;
+    for (const gene of module) {
+      const distance = distances.get(gene);
+      if (distance !== undefined && distance < nearest) nearest = distance;
+    }
+    if (nearest === Infinity) continue;
+    total += nearest;
+    reached++;
+  }
+  return reached > 0 ? total / reached : null;
+}
+
+// Genes grouped by degree, smallest first, merging neighbouring degrees until each group has
+// at least minBinSize genes -> gene -> the genes of its group
+function degreeBins(graph, minBinSize) {
+  const byDegree = new Map();
+  for (const [gene, neighbours] of graph) {
+    if (!byDegree.has(neighbours.size)) byDegree.set(neighbours.size, []);
+    byDegree.get(neighbours.size).push(gene);
+  }
+  
+  const bins = [];
+  let current = [];
+  for (const degree of [...byDegree.keys()].sort((a, b) => a - b)) {
+    current.push(...byDegree.get(degree));
+    if (current.length >= minBinSize) {
+      bins.push(current);
+      current = [];
+    }
+  }
+  // Too few genes left over for a bin of their own - they join the last one
+  if (current.length > 0) {
+    if (bins.length > 0) bins[bins.length - 1].push(...current);
+    else bins.push(current);
+  }
+  
+  const binOf = new Map();
+  for (const bin of bins) {
+    for (const gene of bin) binOf.set(gene, bin);
+  }
+  return binOf;
+}
+
+// Seeded random numbers in [0, 1) (mulberry32), so the same network gives the same z-scores
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Proximity of a drug's targets to a disease module: the closest distance and its z-score against
+// `samples` random target and module sets in which every gene is swapped for one of the same degree.
+// Genes outside the network are dropped; null when no target or module gene is left.
+// distancesFrom caches the breadth-first searches across drugs (see createProximityCalculator)
+function networkProximity(graph, targets, module, { samples = 1000, minBinSize = 10, seed = 1, distancesFrom, binOf } = {}) {
+  const targetGenes = [...new Set(targets)].filter(gene => graph.has(gene));
+  const moduleGenes = [...new Set(module)].filter(gene => graph.has(gene));
+  if (targetGenes.length === 0 || moduleGenes.length === 0) return null;
+  
+  const distances = distancesFrom || (gene => shortestPathLengths(graph, gene));
+  const distance = closestDistance(targetGenes, moduleGenes, distances);
+  const result = {
+    distance,
+    zScore: null,
+    randomMean: null,
+    randomSd: null,
+    targets: targetGenes,
+    moduleSize: moduleGenes.length
+  };
+  if (distance === null) return result;
+  
+  const bins = binOf || degreeBins(graph, minBinSize);
+  const random = seededRandom(seed);
+  const pick = gene => {
+    const bin = bins.get(gene);
+    return bin[Math.floor(random() * bin.length)];
+  };
+  
+  const values = [];
+  for (let i = 0; i < samples; i++) {
+    const value = closestDistance(targetGenes.map(pick), moduleGenes.map(pick), distances);
+    if (value !== null) values.push(value);
+  }
+  if (values.length < 2) return result;
+  
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const sd = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1));
+  return {
+    ...result,
+    zScore: sd > 0 ? (distance - mean) / sd : null,
+    randomMean: mean,
+    randomSd: sd
+  };
+}
+
+// networkProximity for many drugs on one network, sharing the degree bins and breadth-first searches
+function createProximityCalculator(graph, { samples, minBinSize = 10, seed } = {}) {
+  const searches = new Map();
+  const distancesFrom = gene => {
+    if (!searches.has(gene)) searches.set(gene, shortestPathLengths(graph, gene));
+    return searches.get(gene);
+  };
+  const binOf = degreeBins(graph, minBinSize);
+  
+  return (targets, module) => networkProximity(graph, targets, module, { samples, seed, distancesFrom, binOf });
+}
+
+// The closer of two proximities - lowest z-score, then shortest distance; either may be null
+function closerProximity(a, b) {
+  if (!a || a.distance === null) return b || a;
+  if (!b || b.distance === null) return a;
+  if (a.zScore !== null && b.zScore !== null && a.zScore !== b.zScore) return a.zScore < b.zScore ? a : b;
+  if (a.zScore === null && b.zScore !== null) return b;
+  if (b.zScore === null && a.zScore !== null) return a;
+  return b.distance < a.distance ? b : a;
+}
+
+export {
+  buildRelationGraph,
+  shortestPathLengths,
+  closestDistance,
+  degreeBins,
+  networkProximity,
+  createProximityCalculator,
+  closerProximity
+};
@@ -0,0 +1,306 @@
+/**
+ * Analysis Report
+ * A standalone HTML or Markdown report of a gene search - the gene, pathways, related genes, ranked
+ * candidates with score breakdowns, the network figure and the parameters and KEGG release used
+ */
+
+import { candidateRows, CANDIDATE_COLUMNS } from './kegg-export.js';
+import { buildNetwork } from './kegg-network.js';
+import { SCORE_COMPONENTS } from './kegg-scoring.js';
+import { escapeXml } from './kegg-xlsx.js';
+
+// Report formats, with the file extension and media type each is written with
+const REPORT_FORMATS = {
+  html: { extension: 'html', mimeType: 'text/html' },
+  markdown: { extension: 'md', mimeType: 'text/markdown' }
+};
+
+const FIGURE_COLOURS = {
+  center: '#ea4335',
+  related: '#4285f4',
+  positive: '#34a853',
+  negative: '#ea4335',
+  neutral: '#aaaaaa'
+};
+
+// Network figure without a DOM, for reports written under Node: the genes on a circle around the
+// query gene as the network view first draws them, edges coloured by the sign of their relation
+function networkFigureSvg(result, geneCode, { size = 560, nodeRadius = 26 } = {}) {
+  const graph = buildNetwork(result, geneCode);
+  const genes = graph.nodes.filter(node => node.type === 'gene');
+  const geneIds = new Set(genes.map(node => node.id));
+  const edges = graph.edges.filter(edge => geneIds.has(edge.source) && geneIds.has(edge.target));
+  
+  const legendWidth = 170;
+  const center = size / 2;
+  const radius = size / 2 - nodeRadius - 10;
+  const positions = new Map([[geneCode, { x: center, y: center }]]);
+  genes.filter(node => node.id !== geneCode).forEach((node, i, related) => {
+    const angle = (i * 2 * Math.PI) / related.length;
+    positions.set(node.id, { x: center + radius * Math.cos(angle), y: center + radius * Math.sin(angle) });
+  });
+  
+  const round = value => Math.round(value * 10) / 10;
+  const lines = edges.map(edge => {
+    const from = positions.get(edge.source);
+    const to = positions.get(edge.target);
+    const length = Math.hypot(to.x - from.x, to.y - from.y) || 1;
+    const [dx, dy] = [(to.x - from.x) / length, (to.y - from.y) / length];
+    const colour = FIGURE_COLOURS[edge.sign] || FIGURE_COLOURS.neutral;
+    const marker = edge.directed && edge.sign === 'positive' ? ' marker-end="url(#activation-marker)"'
+      : edge.directed && edge.sign === 'negative' ? ' marker-end="url(#inhibition-marker)"' : '';
+    return `<line x1="${round(from.x + dx * nodeRadius)}" y1="${round(from.y + dy * nodeRadius)}" ` +
+      `x2="${round(to.x - dx * nodeRadius)}" y2="${round(to.y - dy * nodeRadius)}" stroke="${colour}" stroke-width="2"` +
+      `${edge.direct === false && edge.sign ? ' stroke-dasharray="6 4"' : ''}${marker}/>`;
+  });
+  const circles = genes.map(node => {
+    const { x, y } = positions.get(node.id);
+    const label = node.name.length > 12 ? `${node.name.slice(0, 12)}...` : node.name;
+    return `<g transform="translate(${round(x)},${round(y)})"><circle r="${nodeRadius}" fill="${node.center ? FIGURE_COLOURS.center : FIGURE_COLOURS.related}" stroke="#fff" stroke-width="2"/>` +
+      `<text text-anchor="middle" dominant-baseline="central" fill="#fff" font-size="10" font-family="Arial, Helvetica, sans-serif">${escapeXml(label)}</text></g>`;
+  });
+  
+  const legend = [
+    ['node', FIGURE_COLOURS.center, 'Query gene'],
+    ['node', FIGURE_COLOURS.related, 'Related gene'],
+    ['edge', FIGURE_COLOURS.positive, 'Activation / expression', 'activation-marker'],
+    ['edge', FIGURE_COLOURS.negative, 'Inhibition / repression', 'inhibition-marker'],
+    ['edge', FIGURE_COLOURS.neutral, 'Other relation / shared pathway']
+  ].map(([shape, colour, label, marker], i) => {
+    const y = 20 + i * 22;
+    const symbol = shape === 'node'
+      ? `<circle cx="10" cy="${y}" r="7" fill="${colour}"/>`
+      : `<line x1="0" y1="${y}" x2="24" y2="${y}" stroke="${colour}" stroke-width="2"${marker ? ` marker-end="url(#${marker})"` : ''}/>`;
+    return `${symbol}<text x="32" y="${y}" dominant-baseline="central" fill="#333" font-size="12" font-family="Arial, Helvetica, sans-serif">${label}</text>`;
+  });
+  
+  const width = size + legendWidth;
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${size}" viewBox="0 0 ${width} ${size}">`,
+    '<defs>',
+    `<marker id="activation-marker" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="6" markerHeight="6" orient="auto"><path d="M 0 0 L 10 5 L 0 10 z" fill="${FIGURE_COLOURS.positive}"/></marker>`,
+    `<marker id="inhibition-marker" viewBox="0 0 10 10" refX="8" refY="5" markerWidth="6" markerHeight="6" orient="auto"><path d="M 8 0 L 8 10 M 0 5 L 10 5" stroke="${FIGURE_COLOURS.negative}" stroke-width="2" fill="none"/></marker>`,
+    '</defs>',
+    `<rect width="100%" height="100%" fill="#ffffff"/>`,
+    ...lines,
+    ...circles,
+    `<g transform="translate(${size},0)">${legend.join('')}</g>`,
+    '</svg>'
+  ].join('\n');
+}
+
+// Drug candidates ranked by repurposing score, each drug once with every gene it came through
+function rankedCandidates(result, geneCode) {
+  const drugs = new Map();
+  for (const row of candidateRows(result, geneCode)) {
+    const existing = drugs.get(row.drug.code);
+    if (!existing) {
+      drugs.set(row.drug.code, { ...row, genes: [row.gene.geneName || row.geneCode] });
+      continue;
+    }
+    existing.genes.push(row.gene.geneName || row.geneCode);
+    if ((row.drug.repurposingScore ?? -Infinity) > (existing.drug.repurposingScore ?? -Infinity)) {
+      Object.assign(existing, { geneCode: row.geneCode, gene: row.gene, drug: row.drug });
+    }
+  }
+  return [...drugs.values()].sort((a, b) => (b.drug.repurposingScore ?? -1) - (a.drug.repurposingScore ?? -1));
+}
+
+// Value of one of CANDIDATE_COLUMNS for a row
+function columnValue(header, row) {
+  return CANDIDATE_COLUMNS.find(column => column.header === header).value(row);
+}
+
+function formatScore(value) {
+  return typeof value === 'number' ? value.toFixed(2) : '';
+}
+
+// Report content as sections - { title, text?, items?, table?: { headers, rows }, figure? } - that
+// the HTML and Markdown writers lay out the same way.
+// options: scoring (weights used), proximity, keggBase, figure (SVG markup of the network - the
+// browser passes its live view; otherwise one is drawn), generatedAt
+function buildReport(result, geneCode, { scoring = null, proximity = false, keggBase = null, figure = null, generatedAt = new Date() } = {}) {
+  const sections = [];
+  const expansion = result.expansion;
+  const relatedGenes = Object.entries(result.relatedGenes || {});
+  
+  sections.push({
+    title: 'Query gene',
+    text: `${result.geneName || geneCode} (${geneCode})${result.organism ? `, organism ${result.organism}` : ''}`,
+    items: [
+      `KEGG Orthology: ${(result.geneKO || []).map(ko => `${ko.name} (${ko.id})`).join('; ') || 'none'}`,
+      `Diseases: ${(result.diseases || []).map(disease => `${disease.name} (${disease.code})`).join('; ') || 'none'}`,
+      ...((result.orthologs || []).length > 0
+        ? [`Human orthologs (drug targets): ${result.orthologs.map(ortholog => `${ortholog.id} via ${ortholog.ko}`).join('; ')}`]
+        : [])
+    ]
+  });
+  
+  if (expansion) {
+    sections.push({
+      title: 'Pathways expanded',
+      text: expansion.truncated
+        ? `Not expanded within the budgets: ${expansion.pathwaysSkipped} pathways and ${expansion.genesSkipped} genes.`
+        : null,
+      table: {
+        headers: ['Pathway', 'Name', 'Hop', 'From', 'Genes', 'Expanded'],
+        rows: expansion.pathways.map(pathway => [
+          pathway.id,
+          pathway.name,
+          pathway.hop,
+          pathway.from,
+          pathway.geneCount,
+          pathway.expanded.length
+        ])
+      }
+    });
+  }
+  
+  sections.push({
+    title: 'Related genes',
+    table: {
+      headers: ['Gene', 'Name', 'Relation', 'Pathway', 'Depth', 'Via'],
+      rows: relatedGenes.map(([code, gene]) => [code, gene.geneName, gene.relation, gene.pathway, gene.depth ?? '', gene.via || geneCode])
+    }
+  });
+  
+  const candidates = rankedCandidates(result, geneCode);
+  sections.push({
+    title: 'Drug candidates',
+    text: candidates.length === 0 ? 'No drugs found for the gene or its related genes.' : null,
+    table: {
+      headers: ['#', 'Drug', 'Name', 'Score', 'Through', 'Target', 'Score breakdown', 'Diseases'],
+      rows: candidates.map((row, i) => [
+        i + 1,
+        row.drug.code,
+        row.drug.name,
+        formatScore(row.drug.repurposingScore),
+        row.genes.join(', '),
+        [row.drug.targetLabel, row.drug.mechanism].filter(Boolean).join(', '),
+        columnValue('score_breakdown', row),
+        columnValue('diseases', row)
+      ])
+    }
+  });
+  
+  sections.push({ title: 'Network', figure: figure || networkFigureSvg(result, geneCode) });
+  
+  const release = result.release;
+  const parameters = [
+    ['KEGG release', release && release.release ? `${release.release}${release.date ? ` (${release.date})` : ''}` : 'unknown'],
+    ...(keggBase ? [['KEGG REST endpoint', keggBase]] : []),
+    ...(expansion
+      ? [
+        ['Expansion depth', expansion.depth],
+        ['Expansion strategy', expansion.strategy],
+        ['Pathways per gene', expansion.maxPathwaysPerGene],
+        ['Genes per pathway', expansion.maxGenesPerPathway],
+        ['Related genes in total', expansion.maxTotalGenes]
+      ]
+      : []),
+    ...(scoring
+      ? [['Score weights', Object.entries(scoring)
+        .map(([component, weight]) => `${SCORE_COMPONENTS[component] ? SCORE_COMPONENTS[component].label : component} ${weight}`)
+        .join('; ')]]
+      : []),
+    ['Network proximity', proximity ? 'on' : 'off'],
+    ['Generated', new Date(generatedAt).toISOString()]
+  ];
+  sections.push({ title: 'Parameters', table: { headers: ['Parameter', 'Value'], rows: parameters } });
+  
+  return { title: `Omnigene report: ${result.geneName || geneCode} (${geneCode})`, sections };
+}
+
+function markdownCell(value) {
+  return String(value ?? '').replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+// Markdown, with the figure as an SVG data URL so the file stands alone
+function reportToMarkdown(report) {
+  const lines = [`# ${report.title}`, ''];
+  for (const section of report.sections) {
+    lines.push(`## ${section.title}`, '');
+    if (section.text) lines.push(section.text, '');
+    if (section.items) lines.push(...section.items.map(item => `- ${item}`), '');
+    if (section.table && section.table.rows.length > 0) {
+      lines.push(`| ${section.table.headers.map(markdownCell).join(' | ')} |`);
+      lines.push(`|${section.table.headers.map(() => ' --- ').join('|')}|`);
+      lines.push(...section.table.rows.map(row => `| ${row.map(markdownCell).join(' | ')} |`), '');
+    } else if (section.table) {
+      lines.push('None.', '');
+    }
+    if (section.figure) {
+      lines.push(`![Network](data:image/svg+xml;charset=utf-8,${encodeURIComponent(section.figure)})`, '');
+    }
+  }
+  return lines.join('\n');
+}
+
+const REPORT_STYLE = `
+body { font-family: Arial, Helvetica, sans-serif; color: #222; max-width: 1100px; margin: 2em auto; padding: 0 1em; }
+h1 { font-size: 1.6em; } h2 { font-size: 1.2em; margin-top: 1.8em; border-bottom: 1px solid #ddd; }
+table { border-collapse: collapse; width: 100%; font-size: 0.9em; }
+th, td { border: 1px solid #ddd; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f4f4f4; }
+figure svg { max-width: 100%; height: auto; }
+`;
+
+// Standalone HTML - styles inline and the figure as inline SVG
+function reportToHtml(report) {
+  const html = [
+    '<!DOCTYPE html>',
+    '<html lang="en">',
+    '<head>',
+    '<meta charset="UTF-8">',
+    `<title>${escapeXml(report.title)}</title>`,
+    `<style>${REPORT_STYLE}</style>`,
+    '</head>',
+    '<body>',
+    `<h1>${escapeXml(report.title)}</h1>`
+  ];
+  for (const section of report.sections) {
+    html.push(`<h2>${escapeXml(section.title)}</h2>`);
+    if (section.text) html.push(`<p>${escapeXml(section.text)}</p>`);
+    if (section.items) html.push(`<ul>${section.items.map(item => `<li>${escapeXml(item)}</li>`).join('')}</ul>`);
+    if (section.table && section.table.rows.length > 0) {
+      html.push('<table>', `<tr>${section.table.headers.map(header => `<th>${escapeXml(header)}</th>`).join('')}</tr>`);
+      html.push(...section.table.rows.map(row => `<tr>${row.map(cell => `<td>${escapeXml(cell ?? '')}</td>`).join('')}</tr>`));
+      html.push('</table>');
+    } else if (section.table) {
+      html.push('<p>None.</p>');
+    }
+    if (section.figure) html.push(`<figure>${section.figure.replace(/^<\?xml[^>]*>\s*/, '')}</figure>`);
+  }
+  html.push('</body>', '</html>');
+  return `${html.join('\n')}\n`;
+}
+
+// Report of a gene search (see buildReport for the options) as { content, filename, mimeType }
+function exportReport(result, geneCode, format, { basename = 'omnigene-report', ...options } = {}) {
+  const report = buildReport(result, geneCode, options);
+  let content;
+  if (format === 'html') content = reportToHtml(report);
+  else if (format === 'markdown') content = reportToMarkdown(report);
+  else throw new Error(`Unknown report format "${format}" (expected ${Object.keys(REPORT_FORMATS).join(', ')})`);
+  
+  const { extension, mimeType } = REPORT_FORMATS[format];
+  return { content, filename: `${basename}.${extension}`, mimeType };
+}
+
+// Report format of a file name, from its extension - .md or .markdown, .html or .htm
+function reportFormatOf(filename) {
+  const extension = String(filename).split('.').pop().toLowerCase();
+  if (extension === 'md' || extension === 'markdown') return 'markdown';
+  if (extension === 'html' || extension === 'htm') return 'html';
+  return null;
+}
+
+export {
+  REPORT_FORMATS,
+  networkFigureSvg,
+  buildReport,
+  reportToMarkdown,
+  reportToHtml,
+  exportReport,
+  reportFormatOf
+};
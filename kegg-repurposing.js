@@ -0,0 +1,45 @@
+/**
+ * Drug-First Search
+ * Diseases linked to a drug's target neighbourhood - "what else could this drug treat"
+ */
+
+// Diseases linked to a drug's targets and their pathway neighbours (gene -> Set of ds: codes,
+// as getOrganismDiseaseLinks returns). Each disease records the genes behind it: targets themselves,
+// neighbours with a KGML relation to a target, and neighbours that only share a pathway.
+// Ranked in that order of evidence; diseases in indicatedCodes are returned apart
+function rankNeighbourhoodDiseases(targets, neighbours, diseaseLinks, indicatedCodes = new Set()) {
+  const diseases = new Map();
+  
+  const add = (gene, kind) => {
+    for (const code of diseaseLinks.get(gene) || []) {
+      if (!diseases.has(code)) {
+        diseases.set(code, {
+          code,
+          targetGenes: [],
+          interactingGenes: [],
+          pathwayGenes: [],
+          indicated: indicatedCodes.has(code)
+        });
+      }
+      const genes = diseases.get(code)[kind];
+      if (!genes.includes(gene)) genes.push(gene);
+    }
+  };
+  
+  for (const target of targets) add(target.code, 'targetGenes');
+  for (const neighbour of neighbours) add(neighbour.gene, neighbour.interaction ? 'interactingGenes' : 'pathwayGenes');
+  
+  const sorted = [...diseases.values()].sort((a, b) =>
+    b.targetGenes.length - a.targetGenes.length ||
+    b.interactingGenes.length - a.interactingGenes.length ||
+    b.pathwayGenes.length - a.pathwayGenes.length ||
+    a.code.localeCompare(b.code)
+  );
+  
+  return {
+    candidates: sorted.filter(disease => !disease.indicated),
+    indicated: sorted.filter(disease => disease.indicated)
+  };
+}
+
+export { rankNeighbourhoodDiseases };
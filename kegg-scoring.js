@@ -0,0 +1,187 @@
+/**
+ * Repurposing Scores
+ * Named, weighted score components and the per-drug breakdown of how a score was reached
+ */
+
+import { CONFIG } from './kegg-config.js';
+
+// Bare disease code (ds:H00031 and H00031 -> H00031) - drug entries and gene links differ
+function diseaseId(code) {
+  return String(code).replace(/^ds:/, '');
+}
+
+// Disease codes in both lists, in the order of the first
+function sharedDiseaseCodes(diseases, others) {
+  const codes = new Set((others || []).map(disease => diseaseId(disease.code)));
+  return [...new Set((diseases || []).map(disease => diseaseId(disease.code)))].filter(code => codes.has(code));
+}
+
+// Components a score is made of. evaluate(drug, context) returns how much of the component's
+// weight the drug earns (0-1) and what earned it, or null when the component doesn't apply.
+// The context is the query gene's diseases and - for drugs of a related gene - that gene's
+// diseases and its KGML relation (see scoreGeneResult); weights are in CONFIG.SCORING_WEIGHTS
+const SCORE_COMPONENTS = {
+  base: {
+    label: 'base',
+    description: 'Every drug reached from the query gene',
+    evaluate: () => ({ value: 1 })
+  },
+  
+  queryTarget: {
+    label: 'targets the query gene',
+    description: 'The drug targets the query gene (or its human ortholog) itself',
+    evaluate: drug => (drug.targetClass === 'query' ? { value: 1 } : null)
+  },
+  
+  sharedDisease: {
+    label: 'shared disease',
+    description: 'The related gene the drug targets shares a disease with the query gene',
+    evaluate(drug, { queryDiseases, geneDiseases }) {
+      if (!geneDiseases) return null;
+      const shared = sharedDiseaseCodes(queryDiseases, geneDiseases);
+      return shared.length > 0 ? { value: 1, detail: shared.join(', ') } : null;
+    }
+  },
+  
+  indication: {
+    label: 'indicated for a query-gene disease',
+    description: 'The drug is already used for diseases of the query gene - full weight at 3 or more',
+    evaluate(drug, { queryDiseases }) {
+      const shared = sharedDiseaseCodes(queryDiseases, drug.diseases);
+      return shared.length > 0 ? { value: Math.min(shared.length, 3) / 3, detail: shared.join(', ') } : null;
+    }
+  },
+  
+  activation: {
+    label: 'activating relation',
+    description: 'The related gene has an activating KGML relation (activation, expression)',
+    evaluate(drug, { interaction, relation }) {
+      const activating = interaction ? interaction.sign === 'positive' : /activ/i.test(relation || '');
+      return activating ? { value: 1, detail: interaction ? interaction.label : relation } : null;
+    }
+  },
+  
+  inhibition: {
+    label: 'inhibiting relation',
+    description: 'The related gene has an inhibiting KGML relation (inhibition, repression)',
+    evaluate(drug, { interaction, relation }) {
+      const inhibiting = interaction ? interaction.sign === 'negative' : /inhib/i.test(relation || '');
+      return inhibiting ? { value: 1, detail: interaction ? interaction.label : relation } : null;
+    }
+  },
+  
+  proximity: {
+    label: 'network proximity',
+    description: 'The drug\'s targets are closer to the disease module than degree-matched random genes - full weight at z = -2 (needs network proximity)',
+    evaluate(drug) {
+      const zScore = drug.proximity ? drug.proximity.zScore : null;
+      if (zScore === null || zScore >= 0) return null;
+      return { value: Math.min(-zScore / 2, 1), detail: `d = ${drug.proximity.distance.toFixed(2)}, z = ${zScore.toFixed(2)}` };
+    }
+  }
+};
+
+// Component weights with CONFIG defaults filled in; throws on an unknown component or a non-numeric weight
+function resolveScoringWeights(weights = {}) {
+  const settings = { ...CONFIG.SCORING_WEIGHTS };
+  
+  for (const [key, value] of Object.entries(weights || {})) {
+    if (!SCORE_COMPONENTS[key]) {
+      throw new Error(`Unknown score component "${key}" (expected one of ${Object.keys(SCORE_COMPONENTS).join(', ')})`);
+    }
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new Error(`Score weight ${key} must be a number (got ${JSON.stringify(value)})`);
+    }
+    settings[key] = value;
+  }
+  
+  return settings;
+}
+
+// Weights from a JSON scoring file - either the weights themselves or { "weights": {...} }
+function parseScoringWeights(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Scoring weights are not valid JSON: ${error.message}`);
+  }
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('Scoring weights must be a JSON object of component weights');
+  }
+  return resolveScoringWeights(data.weights && typeof data.weights === 'object' ? data.weights : data);
+}
+
+// Score one drug: the weighted components it earns, summed and kept within 0-1.
+// The breakdown lists every component that added or took away points
+function scoreDrug(drug, context, weights) {
+  const breakdown = [];
+  let total = 0;
+  
+  for (const [component, definition] of Object.entries(SCORE_COMPONENTS)) {
+    const weight = weights[component] ?? 0;
+    if (weight === 0) continue;
+    const earned = definition.evaluate(drug, context);
+    if (!earned || !earned.value) continue;
+    
+    const points = weight * earned.value;
+    total += points;
+    breakdown.push({ component, label: definition.label, points, detail: earned.detail || null });
+  }
+  
+  // Rounded so that 0.3 + 0.5 - 0.1 reads 0.7
+  const rounded = Math.round(total * 1e6) / 1e6;
+  return { score: Math.max(0, Math.min(1, rounded)), total: rounded, breakdown };
+}
+
+// Score every drug of a getRelatedGenesAndDrugs result in place (after annotateDrugTargets,
+// which sets the target classes), best first within each gene
+function scoreGeneResult(result, weights) {
+  const queryDiseases = result.diseases || [];
+  
+  const apply = (drugs, context) => {
+    for (const drug of drugs || []) {
+      const { score, total, breakdown } = scoreDrug(drug, context, weights);
+      drug.repurposingScore = score;
+      drug.scoreTotal = total;
+      drug.scoreBreakdown = breakdown;
+    }
+    (drugs || []).sort((a, b) => b.repurposingScore - a.repurposingScore);
+  };
+  
+  apply(result.drugsWithInfo, { queryDiseases, geneDiseases: null, interaction: null, relation: null });
+  for (const gene of Object.values(result.relatedGenes || {})) {
+    apply(gene.drugsWithInfo, {
+      queryDiseases,
+      geneDiseases: gene.diseases || [],
+      interaction: gene.interaction || null,
+      relation: gene.relation || null
+    });
+  }
+  
+  return result;
+}
+
+// One breakdown entry as text - "+0.50 shared disease H00031"
+function formatScoreComponent(entry) {
+  const sign = entry.points < 0 ? '-' : '+';
+  return `${sign}${Math.abs(entry.points).toFixed(2)} ${entry.label}${entry.detail ? ` ${entry.detail}` : ''}`;
+}
+
+// A whole breakdown on one line, noting when the sum was capped to the 0-1 range
+function formatScoreBreakdown(breakdown, total = null) {
+  const parts = (breakdown || []).map(formatScoreComponent);
+  if (total !== null && (total > 1 || total < 0)) parts.push(`(capped from ${total.toFixed(2)})`);
+  return parts.join('; ');
+}
+
+export {
+  SCORE_COMPONENTS,
+  resolveScoringWeights,
+  parseScoringWeights,
+  scoreDrug,
+  scoreGeneResult,
+  formatScoreComponent,
+  formatScoreBreakdown
+};
@@ -0,0 +1,150 @@
+/**
+ * Drug Targets
+ * Mechanisms of action from drug TARGET sections, and how each candidate drug reaches the query gene
+ */
+
+// Mode-of-action notes from TARGET lines, e.g. "PTGS2 (inhibitor) [HSA:5743]", and the
+// direction they push their target. Checked in order - "inverse agonist" before "agonist"
+const MECHANISM_SIGNS = [
+  { pattern: /inverse agonist/i, sign: 'negative' },
+  { pattern: /antagonist|inhibitor|blocker|negative (allosteric )?modulator|down-?regulator|degrader|suppressor|inactivator/i, sign: 'negative' },
+  { pattern: /agonist|activator|opener|positive (allosteric )?modulator|inducer|stimulator|potentiator|enhancer/i, sign: 'positive' }
+];
+
+// How a candidate drug reaches the query gene
+const TARGET_CLASSES = {
+  query: 'directly targets query gene',
+  neighbour: 'targets a pathway neighbour',
+  pathway: 'linked only via pathway'
+};
+
+// 'positive', 'negative' or null when the mechanism doesn't say
+function getMechanismSign(mechanism) {
+  if (!mechanism) return null;
+  const match = MECHANISM_SIGNS.find(({ pattern }) => pattern.test(mechanism));
+  return match ? match.sign : null;
+}
+
+// Targets of a parsed drug entry (see parseKeggEntry), with their mechanism of action
+function getDrugTargets(drugEntry) {
+  return (drugEntry.targets || []).map(target => {
+    const mechanism = target.notes.length > 0 ? target.notes.join(', ') : null;
+    return {
+      name: target.name,
+      genes: target.genes,
+      kos: target.kos,
+      mechanism,
+      sign: getMechanismSign(mechanism)
+    };
+  });
+}
+
+// Targets of a drug that hit any of the given gene IDs or KO IDs
+function findTargetsOf(drug, geneIds, koIds = new Set()) {
+  return (drug.targets || []).filter(target =>
+    target.genes.some(gene => geneIds.has(gene)) || target.kos.some(ko => koIds.has(ko))
+  );
+}
+
+// The sign all targets agree on, or null if they don't (or any is unknown)
+function commonSign(signs) {
+  const unique = [...new Set(signs)];
+  return unique.length === 1 && unique[0] ? unique[0] : null;
+}
+
+// Net effect of a chain of signs: two negatives make a positive; null if any link is unknown
+function multiplySigns(signs) {
+  if (signs.some(sign => sign !== 'positive' && sign !== 'negative')) return null;
+  const negatives = signs.filter(sign => sign === 'negative').length;
+  return negatives % 2 === 0 ? 'positive' : 'negative';
+}
+
+// KGML relations from a related gene back to the query gene, following `via`
+function getRelationChain(relatedGenes, geneCode, queryGeneCode) {
+  const links = [];
+  const seen = new Set();
+  let current = geneCode;
+  
+  while (current !== queryGeneCode) {
+    const gene = relatedGenes[current];
+    if (!gene || seen.has(current)) return null;
+    seen.add(current);
+    links.push(gene.interaction || { sign: null, direction: null });
+    current = gene.via;
+  }
+  
+  return links;
+}
+
+// Label a drug of the query gene or of a related gene: which class of target it hits, its
+// mechanism there, and - where the mechanism and KGML relations allow - its likely effect on
+// the query gene. An inhibitor of the query gene's inhibitor is flagged as a plausible activator
+function classifyDrug(drug, { queryGenes, queryKos, geneCode = null, relatedGenes = {}, queryGeneCode }) {
+  const queryTargets = findTargetsOf(drug, queryGenes, queryKos);
+  if (queryTargets.length > 0) {
+    const sign = commonSign(queryTargets.map(target => target.sign));
+    return {
+      targetClass: 'query',
+      targetLabel: TARGET_CLASSES.query,
+      mechanism: queryTargets.map(target => target.mechanism).filter(Boolean).join(', ') || null,
+      queryEffect: sign ? { sign, label: sign === 'positive' ? 'activates query gene' : 'inhibits query gene', inhibitorOfInhibitor: false } : null
+    };
+  }
+  
+  const gene = geneCode ? relatedGenes[geneCode] : null;
+  const neighbourGenes = new Set(gene ? [geneCode, ...(gene.orthologs || []).map(ortholog => ortholog.id)] : []);
+  const neighbourTargets = findTargetsOf(drug, neighbourGenes);
+  if (neighbourTargets.length === 0) {
+    return { targetClass: 'pathway', targetLabel: TARGET_CLASSES.pathway, mechanism: null, queryEffect: null };
+  }
+  
+  const mechanism = neighbourTargets.map(target => target.mechanism).filter(Boolean).join(', ') || null;
+  const drugSign = commonSign(neighbourTargets.map(target => target.sign));
+  const chain = getRelationChain(relatedGenes, geneCode, queryGeneCode);
+  const chainSign = chain ? multiplySigns(chain.map(link => link.sign)) : null;
+  const sign = drugSign && chainSign ? multiplySigns([drugSign, chainSign]) : null;
+  
+  let queryEffect = null;
+  if (sign) {
+    // Only an upstream neighbour (one acting on the query gene) can be its inhibitor
+    const upstream = chain.every(link => link.direction === 'in');
+    const inhibitorOfInhibitor = upstream && drugSign === 'negative' && chainSign === 'negative';
+    queryEffect = {
+      sign,
+      label: inhibitorOfInhibitor
+        ? 'plausible activator (inhibits an inhibitor of the query gene)'
+        : `plausible ${sign === 'positive' ? 'activator' : 'inhibitor'} of the query gene's pathway`,
+      inhibitorOfInhibitor
+    };
+  }
+  
+  return { targetClass: 'neighbour', targetLabel: TARGET_CLASSES.neighbour, mechanism, queryEffect };
+}
+
+// Add target classes to every drug of a getRelatedGenesAndDrugs result, in place
+function annotateDrugTargets(result, queryGeneCode) {
+  const queryGenes = new Set([queryGeneCode, ...(result.orthologs || []).map(ortholog => ortholog.id)]);
+  const queryKos = new Set((result.geneKO || []).map(ko => ko.id));
+  const relatedGenes = result.relatedGenes || {};
+  const context = { queryGenes, queryKos, relatedGenes, queryGeneCode };
+  
+  for (const drug of result.drugsWithInfo || []) {
+    Object.assign(drug, classifyDrug(drug, context));
+  }
+  for (const [geneCode, gene] of Object.entries(relatedGenes)) {
+    for (const drug of gene.drugsWithInfo || []) {
+      Object.assign(drug, classifyDrug(drug, { ...context, geneCode }));
+    }
+  }
+  
+  return result;
+}
+
+export {
+  MECHANISM_SIGNS,
+  TARGET_CLASSES,
+  getMechanismSign,
+  getDrugTargets,
+  classifyDrug,
+  annotateDrugTargets
+};
@@ -0,0 +1,170 @@
+/**
+ * XLSX Writer
+ * Minimal single-sheet workbooks - inline strings and numbers in an uncompressed zip, no dependencies
+ */
+
+// CRC-32 lookup table (IEEE polynomial), as zip wants it
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of bytes) crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+// Zip archive of [{ name, data }] (data as text) with every file stored uncompressed.
+// Timestamps are fixed at 1980-01-01, so the same files always give the same bytes
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const entries = files.map(file => {
+    const name = encoder.encode(file.name);
+    const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+    return { name, data, crc: crc32(data) };
+  });
+  
+  const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+  const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+  const bytes = new Uint8Array(localSize + centralSize + 22);
+  const view = new DataView(bytes.buffer);
+  let offset = 0;
+  
+  // Shared by the local and central headers: version 2.0, no flags, stored, DOS time 0, date 1980-01-01
+  const writeCommon = entry => {
+    view.setUint16(offset, 20, true);
+    view.setUint16(offset + 2, 0, true);
+    view.setUint16(offset + 4, 0, true);
+    view.setUint16(offset + 6, 0, true);
+    view.setUint16(offset + 8, 0x21, true);
+    view.setUint32(offset + 10, entry.crc, true);
+    view.setUint32(offset + 14, entry.data.length, true);
+    view.setUint32(offset + 18, entry.data.length, true);
+    view.setUint16(offset + 22, entry.name.length, true);
+    view.setUint16(offset + 24, 0, true);
+    offset += 26;
+  };
+  
+  for (const entry of entries) {
+    entry.offset = offset;
+    view.setUint32(offset, 0x04034B50, true);
+    offset += 4;
+    writeCommon(entry);
+    bytes.set(entry.name, offset);
+    offset += entry.name.length;
+    bytes.set(entry.data, offset);
+    offset += entry.data.length;
+  }
+  
+  const centralOffset = offset;
+  for (const entry of entries) {
+    view.setUint32(offset, 0x02014B50, true);
+    view.setUint16(offset + 4, 20, true);
+    offset += 6;
+    writeCommon(entry);
+    // Comment length, disk number, internal and external attributes, then the local header's offset
+    view.setUint16(offset, 0, true);
+    view.setUint16(offset + 2, 0, true);
+    view.setUint16(offset + 4, 0, true);
+    view.setUint32(offset + 6, 0, true);
+    view.setUint32(offset + 10, entry.offset, true);
+    offset += 14;
+    bytes.set(entry.name, offset);
+    offset += entry.name.length;
+  }
+  
+  view.setUint32(offset, 0x06054B50, true);
+  view.setUint16(offset + 4, 0, true);
+  view.setUint16(offset + 6, 0, true);
+  view.setUint16(offset + 8, entries.length, true);
+  view.setUint16(offset + 10, entries.length, true);
+  view.setUint32(offset + 12, offset - centralOffset, true);
+  view.setUint32(offset + 16, centralOffset, true);
+  view.setUint16(offset + 20, 0, true);
+  
+  return bytes;
+}
+
+// Text for XML content and attributes, without the control characters XML 1.0 forbids
+function escapeXml(value) {
+  return String(value)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Spreadsheet column letters - 0 -> A, 25 -> Z, 26 -> AA
+function columnName(index) {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// One worksheet cell - finite numbers as numbers, anything else as an inline string; empty cells are left out
+function cellXml(value, reference) {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number' && Number.isFinite(value)) return `<c r="${reference}"><v>${value}</v></c>`;
+  return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+// Workbook of one sheet holding rows (arrays of cell values, the first usually the headers) -> Uint8Array
+function createXlsx(rows, { sheetName = 'Sheet1' } = {}) {
+  // Sheet names are at most 31 characters, without []:*?/\
+  const name = String(sheetName).replace(/[[\]:*?/\\]/g, ' ').slice(0, 31) || 'Sheet1';
+  const sheetRows = rows.map((row, r) =>
+    `<row r="${r + 1}">${row.map((value, c) => cellXml(value, `${columnName(c)}${r + 1}`)).join('')}</row>`
+  );
+  
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+  const relationships = 'http://schemas.openxmlformats.org/package/2006/relationships';
+  const officeDocument = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+  
+  return createZip([
+    {
+      name: '[Content_Types].xml',
+      data: `${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '</Types>'
+    },
+    {
+      name: '_rels/.rels',
+      data: `${xml}<Relationships xmlns="${relationships}">` +
+        `<Relationship Id="rId1" Type="${officeDocument}/officeDocument" Target="xl/workbook.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/workbook.xml',
+      data: `${xml}<workbook xmlns="${main}" xmlns:r="${officeDocument}">` +
+        `<sheets><sheet name="${escapeXml(name)}" sheetId="1" r:id="rId1"/></sheets></workbook>`
+    },
+    {
+      name: 'xl/_rels/workbook.xml.rels',
+      data: `${xml}<Relationships xmlns="${relationships}">` +
+        `<Relationship Id="rId1" Type="${officeDocument}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`
+    },
+    {
+      name: 'xl/worksheets/sheet1.xml',
+      data: `${xml}<worksheet xmlns="${main}"><sheetData>${sheetRows.join('')}</sheetData></worksheet>`
+    }
+  ]);
+}
+
+export {
+  crc32,
+  createZip,
+  createXlsx,
+  escapeXml
+};
@@ -0,0 +1,117 @@
+/**
+ * Zoom and Drag
+ * Mouse-wheel zoom, background panning and node dragging for the network SVGs - browser only.
+ * What is drawn goes in a <g class="viewport"> directly inside the SVG; zoom and pan transform that group
+ */
+
+import { fitTransform } from './kegg-layout.js';
+
+// Pointer position in the coordinates of an SVG element (its user space, after its own transform)
+function pointIn(element, event) {
+  return new DOMPoint(event.clientX, event.clientY).matrixTransform(element.getScreenCTM().inverse());
+}
+
+// Size of an SVG in its own units - the viewBox when it has one, else its size on the page
+function svgSize(svg) {
+  const viewBox = svg.viewBox && svg.viewBox.baseVal;
+  if (viewBox && viewBox.width > 0) return { width: viewBox.width, height: viewBox.height };
+  const rect = svg.getBoundingClientRect();
+  return { width: rect.width || 600, height: rect.height || 600 };
+}
+
+// Wheel zoom around the pointer and panning by dragging the background. Dragging a node doesn't
+// pan (see enableNodeDrag). Returns { getTransform, setTransform, fit } - fit zooms to the given
+// positions (id -> { x, y }) with fitTransform's options
+function createZoomPan(svg, { minScale = 0.1, maxScale = 4 } = {}) {
+  let transform = { scale: 1, x: 0, y: 0 };
+  
+  const setTransform = next => {
+    transform = { ...next, scale: Math.min(maxScale, Math.max(minScale, next.scale)) };
+    const viewport = svg.querySelector(':scope > .viewport');
+    if (viewport) viewport.setAttribute('transform', `translate(${transform.x},${transform.y}) scale(${transform.scale})`);
+  };
+  
+  svg.addEventListener('wheel', event => {
+    event.preventDefault();
+    const point = pointIn(svg, event);
+    const scale = Math.min(maxScale, Math.max(minScale, transform.scale * Math.exp(-event.deltaY * 0.0015)));
+    const ratio = scale / transform.scale;
+    setTransform({ scale, x: point.x - (point.x - transform.x) * ratio, y: point.y - (point.y - transform.y) * ratio });
+  }, { passive: false });
+  
+  svg.addEventListener('pointerdown', event => {
+    if (event.button !== 0) return;
+    const start = pointIn(svg, event);
+    const origin = transform;
+    svg.setPointerCapture(event.pointerId);
+    svg.classList.add('panning');
+    
+    const move = moveEvent => {
+      const point = pointIn(svg, moveEvent);
+      setTransform({ ...origin, x: origin.x + point.x - start.x, y: origin.y + point.y - start.y });
+    };
+    const end = () => {
+      svg.classList.remove('panning');
+      svg.removeEventListener('pointermove', move);
+      svg.removeEventListener('pointerup', end);
+      svg.removeEventListener('pointercancel', end);
+    };
+    svg.addEventListener('pointermove', move);
+    svg.addEventListener('pointerup', end);
+    svg.addEventListener('pointercancel', end);
+  });
+  
+  return {
+    getTransform: () => transform,
+    setTransform,
+    fit: (positions, options = {}) => setTransform(fitTransform(positions, { ...svgSize(svg), ...options }))
+  };
+}
+
+// Drag an element of the viewport around. position() is where it is now; onMove(x, y) gets each
+// new spot and onDrop() runs once it has been moved and let go. The click that ends a drag is
+// swallowed, so dragging a node doesn't also select it
+function enableNodeDrag(element, { position, onMove, onDrop = () => {} }) {
+  let suppressClickUntil = 0;
+  
+  element.addEventListener('click', event => {
+    if (performance.now() < suppressClickUntil) event.stopImmediatePropagation();
+  }, { capture: true });
+  
+  element.addEventListener('pointerdown', event => {
+    if (event.button !== 0) return;
+    // Not a pan of the background as well
+    event.stopPropagation();
+    const viewport = element.parentNode;
+    const start = pointIn(viewport, event);
+    const origin = { ...position() };
+    let moved = false;
+    element.setPointerCapture(event.pointerId);
+    
+    const move = moveEvent => {
+      const point = pointIn(viewport, moveEvent);
+      const dx = point.x - start.x;
+      const dy = point.y - start.y;
+      // A few pixels of jitter in a click isn't a drag
+      if (!moved && Math.hypot(moveEvent.clientX - event.clientX, moveEvent.clientY - event.clientY) < 4) return;
+      moved = true;
+      onMove(origin.x + dx, origin.y + dy);
+    };
+    const end = () => {
+      element.removeEventListener('pointermove', move);
+      element.removeEventListener('pointerup', end);
+      element.removeEventListener('pointercancel', end);
+      if (!moved) return;
+      suppressClickUntil = performance.now() + 300;
+      onDrop();
+    };
+    element.addEventListener('pointermove', move);
+    element.addEventListener('pointerup', end);
+    element.addEventListener('pointercancel', end);
+  });
+}
+
+export {
+  createZoomPan,
+  enableNodeDrag
+};
@@ -1,4 +1,6 @@
 // Test script to fetch drug information from KEGG API
+import { parseKeggEntry } from './kegg-flat-file.js';
+
 async function testDrugApi() {
   const drugCodes = ['D00036', 'D00049', 'D00097']; // Some sample drug codes
   
@@ -25,34 +27,24 @@ async function testDrugApi() {
       const data = await response.text();
       console.log(`Response length: ${data.length} characters`);
       
-      // Check for DISEASE section
-      const diseaseIndex = data.indexOf('DISEASE');
-      if (diseaseIndex >= 0) {
-        console.log(`DISEASE section found at position ${diseaseIndex}`);
-        
-        // Display a snippet of the DISEASE section
-        const diseaseSection = data.substring(diseaseIndex, diseaseIndex + 300);
-        console.log('DISEASE section snippet:');
-        console.log(diseaseSection);
-        
-        // Try different regex patterns
-        const patterns = [
-          /DISEASE\s+(.*?)(?=\n[A-Z]|\n\n|$)/gs, // Original pattern
-          /DISEASE\s+([\s\S]*?)(?=\n\S+:|$)/, // New pattern from our last fix
-          /\[DS:(.*?)\]\s+(.*?)(?:\s+\(.*\))?$/gm, // Disease code pattern
-        ];
-        
-        for (let i = 0; i < patterns.length; i++) {
-          const matches = data.match(patterns[i]);
-          console.log(`Pattern ${i+1} matches: ${matches ? matches.length : 0}`);
-          if (matches && matches.length > 0) {
-            console.log(`First match: ${matches[0].substring(0, 100)}...`);
-          }
+      // Parse the entry and report what the shared parser found
+      const entry = parseKeggEntry(data);
+      console.log(`Name: ${entry.name}`);
+      console.log(`Sections: ${Object.keys(entry.sections).join(', ')}`);
+      
+      if (entry.diseases.length > 0) {
+        console.log(`Found ${entry.diseases.length} diseases:`);
+        for (const disease of entry.diseases) {
+          console.log(`  ${disease.name} [DS:${disease.code}]`);
         }
       } else {
         console.log('No DISEASE section found in the response');
       }
       
+      if (entry.targets.length > 0) {
+        console.log(`Targets: ${entry.targets.map(target => `${target.name} ${target.genes.join(' ')}`).join(', ')}`);
+      }
+      
       console.log('---------------------------');
     } catch (error) {
       console.error(`Error fetching drug ${code}: ${error.message}`);
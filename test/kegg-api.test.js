@@ -0,0 +1,159 @@
+/**
+ * KeggAPI Tests
+ * Request sharing, batching and retries against stubbed fetches - no network
+ */
+
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { KeggAPI } from '../kegg-api.js';
+import { KeggAbortError, KeggRateLimitError } from '../kegg-errors.js';
+
+// In-memory stand-in for KeggCache; get can be held back per URL with gate(url)
+function memoryCache() {
+  const gates = new Map();
+  return {
+    gate(url) {
+      let open;
+      gates.set(url, new Promise(resolve => { open = resolve; }));
+      return () => open();
+    },
+    async get(url) {
+      if (gates.has(url)) await gates.get(url);
+      return null;
+    },
+    async set() {},
+    storedAt: () => null
+  };
+}
+
+// Batches go nowhere until answered by hand; each call is recorded with its signal
+function stubBatches(api) {
+  const calls = [];
+  api._fetchEntryBatch = (ids, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => reject(new KeggAbortError()), { once: true });
+    calls.push({
+      ids,
+      signal,
+      answer: () => resolve(new Map(ids.map(id => [id, { entry: id }])))
+    });
+  });
+  return calls;
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+test('getEntries keeps a shared batch alive while a second caller is still reading the cache', async () => {
+  const cache = memoryCache();
+  const api = new KeggAPI({ cache });
+  const calls = stubBatches(api);
+  
+  const first = new AbortController();
+  const firstResult = api.getEntries(['hsa:1'], { signal: first.signal });
+  firstResult.catch(() => {});
+  await tick();
+  assert.equal(calls.length, 1);
+  
+  // The second caller joins hsa:1's batch, then waits on the cache for hsa:2
+  const openCache = cache.gate(`${api.baseUrl}/get/hsa:2`);
+  const secondResult = api.getEntries(['hsa:1', 'hsa:2'], { signal: new AbortController().signal });
+  await tick();
+  
+  first.abort();
+  await assert.rejects(firstResult, KeggAbortError);
+  assert.equal(calls[0].signal.aborted, false);
+  
+  openCache();
+  await tick();
+  calls.forEach(call => call.answer());
+  
+  const entries = await secondResult;
+  assert.deepEqual([...entries.keys()].sort(), ['hsa:1', 'hsa:2']);
+});
+
+test('getEntries cancels a batch once every caller has aborted', async () => {
+  const api = new KeggAPI({ cache: memoryCache() });
+  const calls = stubBatches(api);
+  
+  const first = new AbortController();
+  const second = new AbortController();
+  const results = [api.getEntries(['hsa:1'], { signal: first.signal })];
+  await tick();
+  results.push(api.getEntries(['hsa:1'], { signal: second.signal }));
+  await tick();
+  assert.equal(calls.length, 1);
+  
+  first.abort();
+  assert.equal(calls[0].signal.aborted, false);
+  second.abort();
+  assert.equal(calls[0].signal.aborted, true);
+  
+  for (const result of results) await assert.rejects(result, KeggAbortError);
+});
+
+test('fetchEntry stops listening for abort once its entry arrives', async () => {
+  const api = new KeggAPI({ cache: memoryCache() });
+  api.getEntries = async ids => new Map(ids.map(id => [id, { entry: id }]));
+  
+  const { signal } = new AbortController();
+  const added = [];
+  const removed = [];
+  const addEventListener = signal.addEventListener.bind(signal);
+  const removeEventListener = signal.removeEventListener.bind(signal);
+  signal.addEventListener = (type, listener, options) => {
+    added.push(listener);
+    addEventListener(type, listener, options);
+  };
+  signal.removeEventListener = (type, listener, options) => {
+    removed.push(listener);
+    removeEventListener(type, listener, options);
+  };
+  
+  assert.deepEqual(await api.fetchEntry('hsa:1', { signal }), { entry: 'hsa:1' });
+  // The first listener is fetchEntry's own; the batch's combined signal adds its own after it
+  assert.ok(removed.includes(added[0]));
+});
+
+// Run a request under fake timers, moving the clock on until it settles
+async function settleWithFakeTimers(start, step = 50) {
+  mock.timers.enable({ apis: ['setTimeout'] });
+  try {
+    let settled = false;
+    const result = start().finally(() => { settled = true; });
+    result.catch(() => {});
+    while (!settled) {
+      await tick();
+      mock.timers.tick(step);
+    }
+    return result;
+  } finally {
+    mock.timers.reset();
+  }
+}
+
+test('a retryable status gets every attempt when the backoff would pass maxDelay', async t => {
+  const fetch = t.mock.method(globalThis, 'fetch', async () => new Response('busy', { status: 503 }));
+  const api = new KeggAPI({ cache: memoryCache(), retry: { attempts: 8, baseDelay: 50, maxDelay: 100 } });
+  
+  await assert.rejects(settleWithFakeTimers(() => api.fetchData(`${api.baseUrl}/get/hsa:1`)), /HTTP 503/);
+  assert.equal(fetch.mock.callCount(), 8);
+});
+
+test('a Retry-After beyond maxDelay fails at once, a shorter one is waited out', async t => {
+  let retryAfter = '3600';
+  const fetch = t.mock.method(globalThis, 'fetch', async () => (
+    fetch.mock.callCount() === 0
+      ? new Response('slow down', { status: 429, headers: { 'Retry-After': retryAfter } })
+      : new Response('ENTRY       hsa:1')
+  ));
+  const api = new KeggAPI({ cache: memoryCache(), retry: { attempts: 3, maxDelay: 5000 } });
+  
+  await assert.rejects(settleWithFakeTimers(() => api.fetchData(`${api.baseUrl}/get/hsa:1`)), KeggRateLimitError);
+  assert.equal(fetch.mock.callCount(), 1);
+  
+  fetch.mock.resetCalls();
+  retryAfter = '2';
+  const data = await settleWithFakeTimers(() => api.fetchData(`${api.baseUrl}/get/hsa:2`), 500);
+  assert.equal(data, 'ENTRY       hsa:1');
+  assert.equal(fetch.mock.callCount(), 2);
+});
@@ -0,0 +1,37 @@
+/**
+ * Export Tests
+ * The candidate table as CSV and TSV
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { formatTable } from '../kegg-export.js';
+
+const columns = [
+  { header: 'drug', value: row => row.drug },
+  { header: 'score', value: row => row.score },
+  { header: 'note', value: row => row.note }
+];
+const rows = [
+  { drug: '=HYPERLINK("x")', score: -1.5, note: '+0.30 base' },
+  { drug: '@SUM(A1)', score: 2, note: '-pathway, "shared"' }
+];
+
+test('CSV cells that would read as formulas are kept as text', () => {
+  assert.equal(formatTable(rows, 'csv', { columns }), [
+    'drug,score,note',
+    `"'=HYPERLINK(""x"")",-1.5,'+0.30 base`,
+    `'@SUM(A1),2,"'-pathway, ""shared"""`,
+    ''
+  ].join('\r\n'));
+});
+
+test('TSV cells that would read as formulas are kept as text', () => {
+  assert.equal(formatTable(rows, 'tsv', { columns }), [
+    'drug\tscore\tnote',
+    `'=HYPERLINK("x")\t-1.5\t'+0.30 base`,
+    `'@SUM(A1)\t2\t'-pathway, "shared"`,
+    ''
+  ].join('\n'));
+});
@@ -0,0 +1,37 @@
+/**
+ * Gene List Tests
+ * Parsing pasted lists, DE tables and GMT files
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseGeneList, parseGmt } from '../kegg-gene-list.js';
+
+test('parseGeneList reads plain lists separated by lines, commas, semicolons or spaces', () => {
+  assert.deepEqual(parseGeneList('TP53\nBRCA1, EGFR;KRAS  hsa:1956\n# comment\ntp53'), ['TP53', 'BRCA1', 'EGFR', 'KRAS', 'hsa:1956']);
+  assert.deepEqual(parseGeneList('TP53, BRCA1, EGFR'), ['TP53', 'BRCA1', 'EGFR']);
+});
+
+test('parseGeneList takes the first column of a CSV DE table', () => {
+  const csv = 'gene,log2FC,padj\nTP53,2.1,0.001\n"BRCA1",-1.4,1e-5\nEGFR,0.8,0.03\n';
+  assert.deepEqual(parseGeneList(csv), ['TP53', 'BRCA1', 'EGFR']);
+  // No header, but the numbers give the table away
+  assert.deepEqual(parseGeneList('TP53,2.1,0.001\r\nKRAS,-0.7,0.2'), ['TP53', 'KRAS']);
+});
+
+test('parseGeneList takes the first column of a TSV DE table', () => {
+  const tsv = 'Symbol\tbaseMean\tlog2FoldChange\tpadj\nTP53\t1520.3\t2.1\t0.001\nBRCA1\t88\t-1.4\t1e-5';
+  assert.deepEqual(parseGeneList(tsv), ['TP53', 'BRCA1']);
+  assert.deepEqual(parseGeneList('ID\tscore\n7157\t3.2'), ['7157']);
+});
+
+test('parseGeneList skips numeric values but keeps bare gene numbers', () => {
+  assert.deepEqual(parseGeneList('TP53 2.1 0.001 -1.5 7157'), ['TP53', '7157']);
+});
+
+test('parseGmt reads one gene set per line', () => {
+  assert.deepEqual(parseGmt('SET_A\tfirst set\tTP53\tBRCA1\tTP53\nbroken\tline\n'), [
+    { name: 'SET_A', description: 'first set', genes: ['TP53', 'BRCA1'] }
+  ]);
+});